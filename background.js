@@ -7,6 +7,15 @@
 
 import { EmailCollator } from './modules/collator.js';
 import { StorageManager } from './modules/storage.js';
+import { EmbeddingCache } from './modules/utils.js';
+import { renderReport } from './modules/renderers.js';
+import { MboxWriter } from './modules/mbox.js';
+import { CollationJob, CollationCancelledError } from './modules/jobs.js';
+import { ReportManifest } from './modules/manifests.js';
+import { SCHEDULE_ALARM_PREFIX, syncScheduleAlarms, normalizeDownloadFolder } from './modules/schedules.js';
+import { parseAuthor } from './modules/identities.js';
+import { SenderIndex } from './modules/sender-index.js';
+import { MessageSearch } from './modules/search.js';
 
 const DEBUG = true;
 
@@ -17,33 +26,129 @@ function debugLog(...args) {
 }
 
 /**
- * Creates the context menu items when the extension is installed or updated.
+ * Sends a message to the collation window. Background runs, e.g. scheduled
+ * ones, usually have no window open to receive it, which is not an error.
+ * @param {string} action - The message's action, e.g. 'progress'.
+ * @param {object} data - The message's data.
  */
-function setupMenus() {
-    messenger.menus.create({
+function notifyPopup(action, data) {
+    messenger.runtime.sendMessage({ action, data }).catch(() => {});
+}
+
+// The collation currently running (or paused), if any. Only one runs at a time.
+let activeJob = null;
+
+// Menu item IDs of saved presets are this prefix followed by the preset ID
+const PRESET_MENU_PREFIX = "collate-preset:";
+
+// A scheduled run that finds another collation running is retried after this many minutes
+const SCHEDULE_RETRY_MINUTES = 15;
+
+// The senders of all messages, listed in the popup
+const senderIndex = new SenderIndex();
+senderIndex.progressReporter.addListener((status) => {
+    notifyPopup('senderIndexProgress', status);
+});
+
+/**
+ * Creates the menu items, replacing any existing ones. Called when the
+ * extension is installed or started, and whenever the presets change.
+ */
+async function setupMenus() {
+    await messenger.menus.removeAll();
+    const presets = await StorageManager.getPresets();
+
+    createMenu({
         id: "collate-emails-tools-menu",
         title: "Collate Emails by Sender...",
         contexts: ["tools_menu"]
-    }, () => {
-        if (messenger.runtime.lastError) {
-            debugLog("Error creating tools menu item:", messenger.runtime.lastError);
-        }
     });
+    // With saved presets the tools menu item becomes a submenu
+    if (presets.length > 0) {
+        createMenu({
+            id: "collate-emails-new",
+            parentId: "collate-emails-tools-menu",
+            title: "New Collation...",
+            contexts: ["tools_menu"]
+        });
+        createMenu({
+            id: "collate-presets-separator",
+            parentId: "collate-emails-tools-menu",
+            type: "separator",
+            contexts: ["tools_menu"]
+        });
+        for (const preset of presets) {
+            createMenu({
+                id: `${PRESET_MENU_PREFIX}${preset.id}`,
+                parentId: "collate-emails-tools-menu",
+                title: preset.name,
+                contexts: ["tools_menu"]
+            });
+        }
+    }
 
-    messenger.menus.create({
+    createMenu({
         id: "collate-from-sender-context-menu",
         title: "Collate emails from this sender",
         contexts: ["message_list"]
-    }, () => {
+    });
+}
+
+function createMenu(properties) {
+    messenger.menus.create(properties, () => {
         if (messenger.runtime.lastError) {
-            debugLog("Error creating message list menu item:", messenger.runtime.lastError);
+            debugLog(`Error creating menu item ${properties.id}:`, messenger.runtime.lastError);
         }
     });
 }
 
-// Set up menus on install or startup
+/**
+ * Opens the collation window.
+ * @param {string} [query] - A query string for the window, e.g. to preselect a sender.
+ */
+function openCollationWindow(query = '') {
+    return messenger.windows.create({
+        url: `/popup/collate.html${query}`,
+        type: "popup",
+        width: 800,
+        height: 700,
+    });
+}
+
+/**
+ * Sets the alarms of the scheduled presets. Called when the extension is
+ * installed or started, whenever the presets change and after each scheduled run.
+ */
+async function setupSchedules() {
+    await syncScheduleAlarms(await StorageManager.getPresets(), await StorageManager.getScheduleRuns());
+}
+
+// Set up menus and schedules on install or startup
 messenger.runtime.onInstalled.addListener(setupMenus);
 messenger.runtime.onStartup.addListener(setupMenus);
+messenger.runtime.onInstalled.addListener(setupSchedules);
+messenger.runtime.onStartup.addListener(setupSchedules);
+
+// Load the sender index, or build it the first time, and keep it current
+const updateSenderIndex = (update) => update.catch(error => console.warn("Could not update the sender index:", error));
+const rebuildSenderIndex = () => updateSenderIndex(senderIndex.build());
+updateSenderIndex(senderIndex.ready());
+messenger.messages.onNewMailReceived.addListener((folder, messageList) => updateSenderIndex(senderIndex.addMessages(messageList)));
+messenger.messages.onCopied.addListener((originalList, copiedList) => updateSenderIndex(senderIndex.addMessages(copiedList)));
+messenger.messages.onDeleted.addListener((messageList) => updateSenderIndex(senderIndex.removeMessages(messageList)));
+messenger.messages.onMoved.addListener((originalList, movedList) => updateSenderIndex(senderIndex.moveMessages(originalList, movedList)));
+// Message events aren't sent for the contents of deleted or copied folders and accounts
+messenger.folders.onDeleted.addListener(rebuildSenderIndex);
+messenger.folders.onCopied.addListener(rebuildSenderIndex);
+messenger.accounts.onCreated.addListener(rebuildSenderIndex);
+messenger.accounts.onDeleted.addListener(rebuildSenderIndex);
+
+messenger.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) {
+        runScheduledPreset(alarm.name.slice(SCHEDULE_ALARM_PREFIX.length))
+            .catch(error => console.error("Scheduled collation failed:", error));
+    }
+});
 
 
 /**
@@ -54,23 +159,18 @@ messenger.runtime.onStartup.addListener(setupMenus);
 messenger.menus.onClicked.addListener(async (info, tab) => {
     debugLog("Menu clicked:", info);
 
-    if (info.menuItemId === "collate-emails-tools-menu") {
-        messenger.windows.create({
-            url: "/popup/collate.html",
-            type: "popup",
-            width: 800,
-            height: 700,
-        });
+    if (info.menuItemId === "collate-emails-tools-menu" || info.menuItemId === "collate-emails-new") {
+        openCollationWindow();
+
+    } else if (String(info.menuItemId).startsWith(PRESET_MENU_PREFIX)) {
+        runPreset(info.menuItemId.slice(PRESET_MENU_PREFIX.length))
+            .catch(error => console.error("Preset collation failed:", error));
 
     } else if (info.menuItemId === "collate-from-sender-context-menu") {
         if (info.selectedMessages && info.selectedMessages.messages.length > 0) {
-            const sender = info.selectedMessages.messages[0].author;
-            messenger.windows.create({
-                url: `/popup/collate.html?sender=${encodeURIComponent(sender)}`,
-                type: "popup",
-                width: 800,
-                height: 700,
-            });
+            const author = info.selectedMessages.messages[0].author;
+            const sender = parseAuthor(author).address || author;
+            openCollationWindow(`?sender=${encodeURIComponent(sender)}`);
         } else {
             debugLog("No message selected for context menu action.");
         }
@@ -98,6 +198,26 @@ messenger.runtime.onMessage.addListener((request, sender, sendResponse) => {
                 });
             return true; // Indicates async response
 
+        case 'pauseCollation':
+        case 'resumeCollation':
+        case 'cancelCollation':
+            controlCollation(request.action, request.data?.jobId)
+                .then(() => sendResponse({ status: 'success' }))
+                .catch(error => sendResponse({ status: 'error', message: error.message }));
+            return true;
+
+        case 'getCollationStatus':
+            getCollationStatus()
+                .then(status => sendResponse({ status: 'success', data: status }))
+                .catch(error => sendResponse({ status: 'error', message: error.message }));
+            return true;
+
+        case 'discardCollation':
+            CollationJob.discard(request.data.jobId)
+                .then(() => sendResponse({ status: 'success' }))
+                .catch(error => sendResponse({ status: 'error', message: error.message }));
+            return true;
+
         case 'getSettings':
             StorageManager.getSettings()
                 .then(settings => sendResponse({ status: 'success', data: settings }))
@@ -110,9 +230,108 @@ messenger.runtime.onMessage.addListener((request, sender, sendResponse) => {
                 .catch(error => sendResponse({ status: 'error', message: error.message }));
             return true;
 
+        case 'getPresets':
+            StorageManager.getPresets()
+                .then(presets => sendResponse({ status: 'success', data: presets }))
+                .catch(error => sendResponse({ status: 'error', message: error.message }));
+            return true;
+
+        case 'savePreset':
+            StorageManager.savePreset(request.data)
+                .then(async preset => {
+                    await setupMenus();
+                    await setupSchedules();
+                    sendResponse({ status: 'success', data: preset });
+                })
+                .catch(error => sendResponse({ status: 'error', message: error.message }));
+            return true;
+
+        case 'deletePreset':
+            StorageManager.deletePreset(request.data.id)
+                .then(setupMenus)
+                .then(setupSchedules)
+                .then(() => sendResponse({ status: 'success' }))
+                .catch(error => sendResponse({ status: 'error', message: error.message }));
+            return true;
+
+        case 'getSenderIndexStatus':
+            sendResponse({ status: 'success', data: senderIndex.getStatus() });
+            return false;
+
+        case 'rebuildSenderIndex':
+            rebuildSenderIndex();
+            sendResponse({ status: 'success' });
+            return false;
+
+        case 'getSenderGroups':
+            StorageManager.getSenderGroups()
+                .then(groups => sendResponse({ status: 'success', data: groups }))
+                .catch(error => sendResponse({ status: 'error', message: error.message }));
+            return true;
+
+        case 'saveSenderGroup':
+            StorageManager.saveSenderGroup(request.data)
+                .then(group => sendResponse({ status: 'success', data: group }))
+                .catch(error => sendResponse({ status: 'error', message: error.message }));
+            return true;
+
+        case 'deleteSenderGroup':
+            StorageManager.deleteSenderGroup(request.data.id)
+                .then(() => sendResponse({ status: 'success' }))
+                .catch(error => sendResponse({ status: 'error', message: error.message }));
+            return true;
+
+        case 'getScheduleRuns':
+            StorageManager.getScheduleRuns()
+                .then(runs => sendResponse({ status: 'success', data: runs }))
+                .catch(error => sendResponse({ status: 'error', message: error.message }));
+            return true;
+
+        case 'getCacheStats':
+            EmbeddingCache.getStats()
+                .then(stats => sendResponse({ status: 'success', data: stats }))
+                .catch(error => sendResponse({ status: 'error', message: error.message }));
+            return true;
+
+        case 'clearCache':
+            EmbeddingCache.clear()
+                .then(() => sendResponse({ status: 'success' }))
+                .catch(error => sendResponse({ status: 'error', message: error.message }));
+            return true;
+
+        case 'getReportManifests':
+            ReportManifest.list()
+                .then(manifests => sendResponse({ status: 'success', data: manifests }))
+                .catch(error => sendResponse({ status: 'error', message: error.message }));
+            return true;
+
+        case 'clearReportManifests':
+            ReportManifest.clear()
+                .then(() => sendResponse({ status: 'success' }))
+                .catch(error => sendResponse({ status: 'error', message: error.message }));
+            return true;
+
+        case 'searchReport':
+            searchReport(request.data.key, request.data.query)
+                .then(results => sendResponse({ status: 'success', data: results }))
+                .catch(error => sendResponse({ status: 'error', message: error.message }));
+            return true;
+
+        case 'openMessage':
+            openMessage(request.data.messageId)
+                .then(() => sendResponse({ status: 'success' }))
+                .catch(error => sendResponse({ status: 'error', message: error.message }));
+            return true;
+
+        case 'getFilterOptions':
+            getFilterOptions()
+                .then(options => sendResponse({ status: 'success', data: options }))
+                .catch(error => sendResponse({ status: 'error', message: error.message }));
+            return true;
+
         case 'getAllSenders':
-            getAllSenders()
-                .then(senders => sendResponse({ status: 'success', data: Array.from(senders.entries()) }))
+            senderIndex.ready()
+                .then(() => sendResponse({ status: 'success', data: senderIndex.getSenders() }))
                 .catch(error => {
                      console.error("Failed to get senders:", error);
                      sendResponse({ status: 'error', message: error.message })
@@ -129,39 +348,247 @@ messenger.runtime.onMessage.addListener((request, sender, sendResponse) => {
 /**
  * Handles the entire email collation process.
  * @param {object} data - The collation parameters from the popup.
+ * @param {CollationJob} [resumedJob] - A stored job to continue from its checkpoints.
+ * @returns {Promise<{cancelled: boolean, message: string, messages?: number}>}
+ * How the collation ended and, if it completed, the number of reported messages.
  */
-async function handleCollation(data) {
+async function handleCollation(data, resumedJob = null) {
     debugLog("Starting collation with data:", data);
+    if (activeJob) {
+        throw new Error("A collation is already running. Cancel it or wait for it to finish.");
+    }
+    // Claimed before anything is awaited, so a collation started meanwhile is refused
+    const job = resumedJob || CollationJob.prepare(data);
+    activeJob = job;
     try {
-        const collator = new EmailCollator(data.settings);
+        if (!resumedJob) {
+            await job.saveRecord();
+        }
+        const collator = new EmailCollator(data.settings, job);
 
         // Forward progress reports to the popup
         collator.progressReporter.addListener((status) => {
-             messenger.runtime.sendMessage({ action: 'progress', data: status });
+            notifyPopup('progress', status);
+        });
+
+        const report = await collator.collate(data.senders, data.startDate, {
+            incremental: Boolean(data.incremental),
+            filters: data.filters,
+            // Groups are looked up when the collation runs, so presets use their current members
+            senderGroups: await StorageManager.getSenderGroups()
         });
+        await job.setStage('saving');
+        // Scheduled runs save without asking, optionally into a folder of the downloads directory
+        const baseName = `${data.downloadFolder ? `${data.downloadFolder}/` : ''}collation-${Date.now()}`;
+        const saveAs = !data.scheduled;
+        const result = { cancelled: false, message: "Collation complete.", messages: report.messages.length };
+
+        if (data.outputMethod === 'mbox') {
+            await exportMbox(report.messages, `${baseName}.mbox`, saveAs);
+            await job.finish();
+            return result;
+        }
 
-        const htmlContent = await collator.collate(data.senders, data.startDate);
+        const output = renderReport(report, data.format || 'html', {
+            includeEmbeddings: data.includeEmbeddings,
+            // Reports in a tab are extension pages, which don't run inline scripts
+            viewerScriptUrl: data.outputMethod === 'tab' ? messenger.runtime.getURL('modules/report-viewer.js') : null
+        });
         
         if (data.outputMethod === 'tab') {
-            await openResultInBrowser(htmlContent);
+            await openResultInBrowser(output.content, output.viewType);
         } else {
-            await exportToFile(htmlContent, `collation-${Date.now()}.html`);
+            await exportToFile(output.content, `${baseName}.${output.extension}`, output.mimeType, saveAs);
+            if (data.bundleAttachments) {
+                await exportAttachments(report.messages, `${baseName}-attachments`);
+            }
         }
-        return "Collation complete.";
+        await job.finish();
+        return result;
     } catch (error) {
+        if (error instanceof CollationCancelledError) {
+            debugLog("Collation cancelled.");
+            await job.finish();
+            notifyPopup('progress', { type: 'cancelled', message: error.message });
+            return { cancelled: true, message: error.message };
+        }
         console.error("Error during handleCollation:", error);
-        // Also report error back to UI
-        messenger.runtime.sendMessage({ action: 'progress', data: { type: 'error', message: `Collation failed: ${error.message}` } });
+        // Also report error back to UI. The job's checkpoints are kept so it can be resumed.
+        notifyPopup('progress', { type: 'error', message: `Collation failed: ${error.message}` });
         throw error;
+    } finally {
+        activeJob = null;
+    }
+}
+
+/**
+ * Runs a saved preset with the current settings, showing its progress in the
+ * collation window.
+ * @param {string} presetId - The ID of the preset.
+ */
+async function runPreset(presetId) {
+    const preset = (await StorageManager.getPresets()).find(p => p.id === presetId);
+    if (!preset) {
+        throw new Error(`Preset ${presetId} no longer exists.`);
+    }
+    const settings = await StorageManager.getSettings();
+    const collation = handleCollation(buildPresetCollationData(preset, settings));
+    // The window picks up the running collation through getCollationStatus
+    openCollationWindow().catch(error => console.warn("Could not open the collation window:", error));
+    return collation;
+}
+
+/**
+ * Runs a scheduled preset in the background, covering the period since its
+ * last successful run, and reports the outcome as a notification. If another
+ * collation is running, the run is retried a little later.
+ * @param {string} presetId - The ID of the preset.
+ */
+async function runScheduledPreset(presetId) {
+    const preset = (await StorageManager.getPresets()).find(p => p.id === presetId);
+    if (!preset?.schedule) {
+        return;
+    }
+
+    const previousRun = (await StorageManager.getScheduleRuns())[preset.id];
+    const data = buildPresetCollationData(preset, await StorageManager.getSettings());
+    if (previousRun?.lastRunAt && (!data.startDate || previousRun.lastRunAt > data.startDate)) {
+        data.startDate = previousRun.lastRunAt;
+    }
+    data.scheduled = true;
+    data.downloadFolder = normalizeDownloadFolder(preset.schedule.downloadFolder);
+
+    // Checked after the last await, so nothing can start between this and handleCollation
+    if (activeJob) {
+        debugLog(`Postponing scheduled preset "${preset.name}": another collation is running.`);
+        messenger.alarms.create(`${SCHEDULE_ALARM_PREFIX}${preset.id}`, { delayInMinutes: SCHEDULE_RETRY_MINUTES });
+        return;
+    }
+    const startedAt = new Date().toISOString();
+    const run = { lastRunAt: previousRun?.lastRunAt || null, lastAttemptAt: startedAt };
+    try {
+        const result = await handleCollation(data);
+        if (result.cancelled) {
+            Object.assign(run, { status: 'cancelled', message: result.message });
+        } else {
+            const delivery = data.outputMethod === 'tab'
+                ? 'opened in a new tab'
+                : `saved to ${data.downloadFolder || 'your downloads folder'}`;
+            Object.assign(run, { lastRunAt: startedAt, status: 'success', message: `${result.messages} unique message(s), ${delivery}.` });
+            notify(`Collation "${preset.name}" is ready`, run.message);
+        }
+    } catch (error) {
+        Object.assign(run, { status: 'error', message: error.message });
+        notify(`Collation "${preset.name}" failed`, error.message);
+    }
+    await StorageManager.saveScheduleRun(preset.id, run);
+    await setupSchedules();
+}
+
+/**
+ * Shows a desktop notification.
+ * @param {string} title - The notification title.
+ * @param {string} message - The notification text.
+ */
+function notify(title, message) {
+    messenger.notifications.create({
+        type: 'basic',
+        iconUrl: messenger.runtime.getURL('icons/icon-64.png'),
+        title,
+        message
+    }).catch(error => console.warn("Could not show notification:", error));
+}
+
+/**
+ * Turns a preset into the parameters handleCollation expects, as the popup
+ * would send them.
+ * @param {object} preset - A preset from StorageManager.getPresets.
+ * @param {object} settings - The extension settings; the preset's dedup settings override them.
+ * @returns {object} The collation parameters.
+ */
+function buildPresetCollationData(preset, settings) {
+    let startDate = preset.startDate || null;
+    if (Number.isInteger(preset.sinceDays)) {
+        // Like the popup's date field: midnight UTC of the day, counted back from today
+        const today = new Date();
+        startDate = new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate() - preset.sinceDays)).toISOString();
+    }
+    return {
+        senders: preset.senders,
+        startDate,
+        outputMethod: preset.outputMethod || 'tab',
+        format: preset.format || 'html',
+        includeEmbeddings: Boolean(preset.includeEmbeddings),
+        bundleAttachments: Boolean(preset.bundleAttachments),
+        incremental: Boolean(preset.incremental),
+        filters: preset.filters || null,
+        settings: { ...settings, ...preset.dedup }
+    };
+}
+
+/**
+ * Pauses, resumes or cancels the running collation. Resuming with a job ID
+ * while nothing is running continues a stored (interrupted) job instead.
+ * @param {string} action - 'pauseCollation', 'resumeCollation' or 'cancelCollation'.
+ * @param {string} [jobId] - The ID of a stored job to resume.
+ */
+async function controlCollation(action, jobId) {
+    if (action === 'resumeCollation' && !activeJob && jobId) {
+        const job = await CollationJob.load(jobId);
+        if (!job) {
+            throw new Error("The interrupted collation could not be found.");
+        }
+        const settings = await StorageManager.getSettings();
+        const collation = handleCollation(job.paramsWithSecrets(settings), job);
+        if (activeJob !== job) {
+            // Refused: another collation started while the job was loading
+            return collation;
+        }
+        // Runs in the background; progress and errors are reported as usual
+        collation.catch(error => console.error("Resumed collation failed:", error));
+        return;
     }
+    if (!activeJob) {
+        throw new Error("No collation is running.");
+    }
+
+    if (action === 'pauseCollation') {
+        activeJob.pause();
+        notifyPopup('progress', { type: 'paused', message: 'Paused.' });
+    } else if (action === 'resumeCollation') {
+        activeJob.resume();
+        notifyPopup('progress', { type: 'resumed', message: 'Resuming...' });
+    } else {
+        activeJob.cancel();
+    }
+}
+
+/**
+ * Describes the running collation and any stored ones that were interrupted.
+ * @returns {Promise<{active: object|null, interrupted: object[]}>} The job states.
+ */
+async function getCollationStatus() {
+    const describe = record => ({
+        id: record.id,
+        senders: record.params.senders,
+        startDate: record.params.startDate,
+        stage: record.stage,
+        updatedAt: record.updatedAt
+    });
+    const stored = await CollationJob.list();
+    return {
+        active: activeJob ? { ...describe(activeJob.record), status: activeJob.status } : null,
+        interrupted: stored.filter(record => record.id !== activeJob?.id).map(describe)
+    };
 }
 
 /**
- * Opens the generated HTML content in a new browser tab.
- * @param {string} htmlContent - The HTML string to display.
+ * Opens the generated report in a new browser tab.
+ * @param {string} content - The rendered report to display.
+ * @param {string} [mimeType] - The MIME type to display it as.
  */
-async function openResultInBrowser(htmlContent) {
-    const blob = new Blob([htmlContent], { type: 'text/html;charset=utf-8' });
+async function openResultInBrowser(content, mimeType = 'text/html;charset=utf-8') {
+    const blob = new Blob([content], { type: mimeType });
     const url = URL.createObjectURL(blob);
 
     await messenger.tabs.create({ url: url });
@@ -170,72 +597,146 @@ async function openResultInBrowser(htmlContent) {
 }
 
 /**
- * Prompts the user to save the generated HTML content to a file.
- * @param {string} htmlContent - The HTML string to save.
- * @param {string} filename - The default filename.
+ * Saves the generated report to a file, by default asking the user where.
+ * @param {string|Blob} content - The rendered report to save.
+ * @param {string} filename - The default filename, including the format's extension.
+ * @param {string} [mimeType] - The MIME type of the content, if it is a string.
+ * @param {boolean} [saveAs=true] - Ask where to save; otherwise the file is saved
+ * under 'filename' in the downloads directory.
  */
-async function exportToFile(htmlContent, filename) {
-    const blob = new Blob([htmlContent], { type: 'text/html;charset=utf-8' });
+async function exportToFile(content, filename, mimeType = 'text/html;charset=utf-8', saveAs = true) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
     const url = URL.createObjectURL(blob);
 
     await messenger.downloads.download({
         url: url,
         filename: filename,
-        saveAs: true
+        saveAs,
+        conflictAction: 'uniquify'
     });
 
     // Revoke the URL after a short delay to ensure download starts
     setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
-
 /**
- * Fetches all unique senders from all accounts and folders.
- * This can be a long-running operation.
- * @returns {Promise<Map<string, number>>} A map of sender emails to their message count.
+ * Saves the raw source of the given messages, in their current order, as an mbox archive.
+ * @param {object[]} messages - The collated messages.
+ * @param {string} filename - The default filename.
+ * @param {boolean} [saveAs=true] - Ask where to save.
  */
-async function getAllSenders() {
-    const senders = new Map();
-    const accounts = await messenger.accounts.list(true); // include identities
-
-    for (const account of accounts) {
-        for (const folder of account.folders) {
-            await processFolder(folder, senders);
+async function exportMbox(messages, filename, saveAs = true) {
+    const writer = new MboxWriter();
+    for (const message of messages) {
+        try {
+            // Without a data format, MV3 returns a File rather than a binary string
+            const raw = await messenger.messages.getRaw(message.id, { data_format: 'BinaryString' });
+            writer.addMessage(raw, message.from, message.date);
+        } catch (error) {
+            console.warn(`Could not add message ${message.id} to the mbox archive:`, error);
         }
     }
-    return senders;
+    debugLog(`Exporting ${writer.count} of ${messages.length} messages as mbox.`);
+    await exportToFile(writer.toBlob(), filename, undefined, saveAs);
 }
 
 /**
- * Recursively process a folder and its subfolders to get senders.
- * @param {object} folder - The folder object from the API.
- * @param {Map<string, number>} senders - The map to accumulate senders.
+ * Saves every unique attachment of the collated messages into a folder
+ * inside the downloads directory. Duplicates are saved only once.
+ * @param {object[]} messages - Collated messages with attachment details.
+ * @param {string} folder - The folder name, relative to the downloads directory.
  */
-async function processFolder(folder, senders) {
-    debugLog(`Processing folder: ${folder.name}`);
-    try {
-        let page = await messenger.messages.list(folder.id);
-        while (true) {
-            for (const message of page.messages) {
-                const author = message.author;
-                if (!senders.has(author)) {
-                    senders.set(author, 0);
-                }
-                senders.set(author, senders.get(author) + 1);
+async function exportAttachments(messages, folder) {
+    const usedNames = new Set();
+    for (const message of messages) {
+        for (const attachment of message.attachments || []) {
+            if (attachment.duplicateOf !== undefined) continue;
+            try {
+                const file = await messenger.messages.getAttachmentFile(message.id, attachment.partName);
+                const url = URL.createObjectURL(file);
+                await messenger.downloads.download({
+                    url,
+                    filename: `${folder}/${uniqueFilename(attachment.name, usedNames)}`,
+                    saveAs: false,
+                    conflictAction: 'uniquify'
+                });
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+            } catch (error) {
+                console.warn(`Could not save attachment ${attachment.name} of message ${message.id}:`, error);
             }
-
-            if (!page.id) break; // No more pages
-            page = await messenger.messages.continueList(page.id);
         }
-    } catch (e) {
-        debugLog(`Could not list messages for folder ${folder.name}:`, e);
     }
+}
 
-    if (folder.subFolders) {
-        for (const subFolder of folder.subFolders) {
-            await processFolder(subFolder, senders);
+/**
+ * Makes an attachment name safe for the downloads API and unique within a bundle,
+ * since different files are often sent under the same name.
+ * @param {string} name - The attachment name.
+ * @param {Set<string>} usedNames - Names already used, updated in place.
+ * @returns {string} The file name to save under.
+ */
+function uniqueFilename(name, usedNames) {
+    const safeName = name.replace(/[\\/:*?"<>|\x00-\x1f]/g, '_').replace(/^\.+/, '_') || 'attachment';
+    let candidate = safeName;
+    for (let i = 2; usedNames.has(candidate.toLowerCase()); i++) {
+        const dot = safeName.lastIndexOf('.');
+        candidate = dot > 0 ? `${safeName.slice(0, dot)} (${i})${safeName.slice(dot)}` : `${safeName} (${i})`;
+    }
+    usedNames.add(candidate.toLowerCase());
+    return candidate;
+}
+
+
+/**
+ * Lists what the advanced filters of the popup can select from.
+ * @returns {Promise<{accounts: object[], folders: object[], tags: object[]}>}
+ * Accounts as { id, name }, folders as { id, name, accountId } named by their
+ * account and path, and tags as { key, name, color }.
+ */
+async function getFilterOptions() {
+    const accounts = await messenger.accounts.list(true);
+    const folders = [];
+    const addFolder = (folder, account, parentPath) => {
+        const path = parentPath ? `${parentPath}/${folder.name}` : folder.name;
+        folders.push({ id: folder.id, name: `${account.name}: ${path}`, accountId: account.id });
+        for (const subFolder of folder.subFolders || []) {
+            addFolder(subFolder, account, path);
+        }
+    };
+    for (const account of accounts) {
+        for (const folder of account.folders) {
+            addFolder(folder, account, '');
         }
     }
+    const tags = await messenger.messages.tags.list();
+    return {
+        accounts: accounts.map(account => ({ id: account.id, name: account.name })),
+        folders,
+        tags: tags.map(tag => ({ key: tag.key, name: tag.tag, color: tag.color }))
+    };
+}
+
+/**
+ * Searches the messages of a stored report with the current settings.
+ * @param {string} key - The key of the report's manifest.
+ * @param {string} query - What to look for.
+ * @returns {Promise<object>} The results, from MessageSearch.search.
+ */
+async function searchReport(key, query) {
+    const settings = await StorageManager.getSettings();
+    return new MessageSearch(settings).search(key, query);
+}
+
+/**
+ * Opens a message in a Thunderbird tab, e.g. a search result.
+ * @param {string} headerMessageId - The message's Message-ID header; IDs
+ * stored with a report may have changed since, as messages were moved.
+ */
+async function openMessage(headerMessageId) {
+    if (!headerMessageId) {
+        throw new Error("The message has no Message-ID and can't be looked up.");
+    }
+    await messenger.messageDisplay.open({ headerMessageId, location: 'tab' });
 }
 
 debugLog("Background script loaded.");
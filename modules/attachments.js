@@ -0,0 +1,142 @@
+/**
+ * @file attachments.js
+ * @description Lists the attachments of collated messages and detects
+ * identical files by content hash, so a document re-sent many times is
+ * shown once with back-references to the other messages it was attached to.
+ */
+import { ConcurrencyPool } from './utils.js';
+
+export class AttachmentInventory {
+    /**
+     * @param {ConcurrencyPool} [pool] - Limits how many messages are read at once.
+     */
+    constructor(pool = new ConcurrencyPool(1)) {
+        this.pool = pool;
+    }
+
+    /**
+     * Adds an 'attachments' array to every message. Each attachment is
+     * { name, size, contentType, partName, hash } plus either 'alsoAttachedIn'
+     * (IDs of later messages carrying the same file) on its first occurrence, or
+     * 'duplicateOf' (ID of the message where it first appeared) on later ones.
+     * @param {object[]} messages - Messages in chronological order.
+     * @param {function} onProgress - Callback for progress updates; awaited if it returns a promise.
+     * @param {object[]} [inventoried] - Earlier messages whose attachments were already
+     * collected, e.g. those of a report being updated. Files sent again are linked
+     * to them, and their 'alsoAttachedIn' lists are extended in place.
+     * @returns {Promise<object[]>} New message objects with attachment details.
+     */
+    async collect(messages, onProgress = () => {}, inventoried = []) {
+        // Read and hash the attachments of several messages at once...
+        let count = 0;
+        const listed = await this.pool.map(messages, async (message) => {
+            const attachments = [];
+            for (const attachment of await this.listAttachments(message.id)) {
+                attachments.push({
+                    name: attachment.name || 'Unnamed attachment',
+                    size: attachment.size,
+                    contentType: attachment.contentType,
+                    partName: attachment.partName,
+                    hash: await this.hashAttachment(message.id, attachment.partName)
+                });
+            }
+            count++;
+            await onProgress(count, messages.length);
+            return attachments;
+        });
+
+        // ...then link duplicates in chronological order, so the earliest copy is the original
+        const firstSeen = new Map(); // hash -> first attachment entry
+        for (const message of inventoried) {
+            for (const entry of message.attachments || []) {
+                if (entry.hash && entry.duplicateOf === undefined && !firstSeen.has(entry.hash)) {
+                    firstSeen.set(entry.hash, { messageId: message.id, entry });
+                }
+            }
+        }
+        return messages.map((message, i) => {
+            for (const entry of listed[i]) {
+                const original = entry.hash ? firstSeen.get(entry.hash) : null;
+                if (original) {
+                    entry.duplicateOf = original.messageId;
+                    if (!original.entry.alsoAttachedIn.includes(message.id)) {
+                        original.entry.alsoAttachedIn.push(message.id);
+                    }
+                } else {
+                    entry.alsoAttachedIn = [];
+                    if (entry.hash) {
+                        firstSeen.set(entry.hash, { messageId: message.id, entry });
+                    }
+                }
+            }
+            return { ...message, attachments: listed[i] };
+        });
+    }
+
+    /**
+     * Lists a message's attachments, treating failures as "no attachments".
+     * @param {number} messageId - The ID of the message.
+     * @returns {Promise<object[]>} The attachments reported by Thunderbird.
+     */
+    async listAttachments(messageId) {
+        try {
+            return await messenger.messages.listAttachments(messageId);
+        } catch (error) {
+            console.warn(`Could not list attachments for message ${messageId}:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Computes the SHA-256 hash of an attachment's content.
+     * @param {number} messageId - The ID of the message.
+     * @param {string} partName - The MIME part of the attachment.
+     * @returns {Promise<string|null>} The hex digest, or null if the file could not be read.
+     */
+    async hashAttachment(messageId, partName) {
+        try {
+            const file = await messenger.messages.getAttachmentFile(messageId, partName);
+            const buffer = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+            return Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+        } catch (error) {
+            console.warn(`Could not read attachment ${partName} of message ${messageId}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Counts attachments across messages.
+     * @param {object[]} messages - Messages returned by collect().
+     * @returns {{total: number, unique: number}} All attachments, and those that are not duplicates.
+     */
+    static countAttachments(messages) {
+        let total = 0;
+        let unique = 0;
+        for (const message of messages) {
+            for (const attachment of message.attachments || []) {
+                total++;
+                if (attachment.duplicateOf === undefined) unique++;
+            }
+        }
+        return { total, unique };
+    }
+}
+
+/**
+ * Formats a byte count for display, e.g. "1.2 MB".
+ * @param {number} bytes - The size in bytes.
+ * @returns {string} The human-readable size.
+ */
+export function formatFileSize(bytes) {
+    if (!Number.isFinite(bytes)) {
+        return 'unknown size';
+    }
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+}
@@ -0,0 +1,269 @@
+/**
+ * @file cleaning.js
+ * @description Separates the new text of a message from quoted replies,
+ * forwarded content and signatures, so only what the sender actually wrote
+ * is embedded and rendered.
+ */
+
+// Lines that introduce a quoted reply, e.g. "On Mon, 1 Jan 2024, Jane Doe wrote:"
+const ATTRIBUTION_PATTERNS = [
+    /^On\b.+\bwrote:\s*$/i,
+    /^Am\b.+\bschrieb\b.*:\s*$/i,
+    /^Le\b.+\ba \u00e9crit\s*:\s*$/i,
+    /^El\b.+\bescribi\u00f3:\s*$/i
+];
+
+// Separators after which the rest of the message is quoted or forwarded content
+const SEPARATOR_PATTERNS = [
+    /^-{2,}\s*Original Message\s*-{2,}\s*$/i,
+    /^-{2,}\s*Forwarded message\s*-{2,}\s*$/i,
+    /^Begin forwarded message:\s*$/i,
+    /^_{10,}\s*$/
+];
+
+// RFC 3676 signature delimiter
+const SIGNATURE_DELIMITER = '-- ';
+// Many clients drop the trailing space, but a bare "--" line also occurs in
+// text, so it only counts within SIGNATURE_MAX_LENGTH of the end
+const BARE_SIGNATURE_DELIMITER = '--';
+
+// A trailing block must end this many of a sender's messages to be treated as a signature
+const SIGNATURE_MIN_REPEATS = 3;
+const SIGNATURE_MAX_LENGTH = 500;
+
+export class ContentCleaner {
+    /**
+     * Cleans the bodies of a list of messages.
+     * Besides per-message cleaning, trailing blocks repeated across several
+     * messages from the same sender are treated as signatures.
+     * @param {object[]} messages - Messages with 'body' and 'from' properties.
+     * @returns {object[]} New message objects whose 'body' holds only the new text,
+     * with the removed parts in 'quoted' and 'signature'.
+     */
+    cleanAll(messages) {
+        const cleaned = messages.map(message => ({ ...message, ...this.clean(message.body) }));
+        this.stripRepeatedTrailers(cleaned);
+
+        // Never reduce a message to nothing, e.g. a forward without a comment
+        return cleaned.map((message, i) => message.body.trim().length > 0
+            ? message
+            : { ...message, body: messages[i].body, quoted: '', signature: '' });
+    }
+
+    /**
+     * Splits a single body into new text, quoted text and signature.
+     * @param {string} text - The plain text body.
+     * @returns {{body: string, quoted: string, signature: string}} The separated parts.
+     */
+    clean(text) {
+        const lines = (text || '').replace(/\r\n?/g, '\n').split('\n');
+        const ownLines = [];
+        const quotedLines = [];
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const trimmed = line.trim();
+
+            if (trimmed.startsWith('>')) {
+                quotedLines.push(line);
+                continue;
+            }
+
+            if (this.isSeparator(lines, i)) {
+                quotedLines.push(...lines.slice(i));
+                break;
+            }
+
+            const attributionLength = this.matchAttribution(lines, i);
+            if (attributionLength > 0) {
+                if (this.nextContentIsQuoted(lines, i + attributionLength)) {
+                    // Bottom-posted or interleaved reply: only the attribution itself is dropped
+                    quotedLines.push(...lines.slice(i, i + attributionLength));
+                    i += attributionLength - 1;
+                    continue;
+                }
+                // Top-posted reply with an unprefixed quote: everything below belongs to it
+                quotedLines.push(...lines.slice(i));
+                break;
+            }
+
+            ownLines.push(line);
+        }
+
+        const signatureStart = this.findSignatureDelimiter(ownLines);
+        const signatureLines = signatureStart === -1 ? [] : ownLines.splice(signatureStart);
+
+        return {
+            body: this.tidy(ownLines.join('\n')),
+            quoted: this.tidy(quotedLines.join('\n')),
+            signature: this.tidy(signatureLines.slice(1).join('\n'))
+        };
+    }
+
+    /**
+     * Moves trailing paragraphs that end many messages of the same sender into 'signature'.
+     * @param {object[]} messages - Cleaned messages, modified in place.
+     */
+    stripRepeatedTrailers(messages) {
+        const bySender = new Map();
+        for (const message of messages) {
+            const sender = (message.from || '').toLowerCase();
+            if (!bySender.has(sender)) {
+                bySender.set(sender, []);
+            }
+            bySender.get(sender).push(message);
+        }
+
+        for (const senderMessages of bySender.values()) {
+            if (senderMessages.length < SIGNATURE_MIN_REPEATS) continue;
+
+            // Signatures may span several paragraphs, so peel them off one at a time
+            for (let round = 0; round < 3; round++) {
+                const counts = new Map();
+                for (const message of senderMessages) {
+                    const trailer = this.lastParagraph(message.body);
+                    if (trailer) {
+                        counts.set(trailer.key, (counts.get(trailer.key) || 0) + 1);
+                    }
+                }
+
+                let stripped = false;
+                for (const message of senderMessages) {
+                    const trailer = this.lastParagraph(message.body);
+                    if (!trailer || counts.get(trailer.key) < SIGNATURE_MIN_REPEATS) continue;
+
+                    message.body = this.tidy(message.body.slice(0, trailer.start));
+                    message.signature = this.tidy(`${trailer.text}\n\n${message.signature}`);
+                    stripped = true;
+                }
+                if (!stripped) break;
+            }
+        }
+    }
+
+    /**
+     * Returns a function that cleans messages one at a time as they arrive,
+     * predicting the body cleanAll will produce: a trailing paragraph is
+     * removed once it has ended SIGNATURE_MIN_REPEATS messages of the sender.
+     * The first messages carrying a signature can't be recognized yet, so the
+     * prediction is only good for work that is redone if it was wrong.
+     * @returns {function(object): string} Maps a message to its predicted body.
+     */
+    createIncrementalCleaner() {
+        const countsBySender = new Map(); // sender -> one Map(trailer key -> count) per round
+        return (message) => {
+            const sender = (message.from || '').toLowerCase();
+            if (!countsBySender.has(sender)) {
+                countsBySender.set(sender, [new Map(), new Map(), new Map()]);
+            }
+
+            let body = this.clean(message.body).body;
+            for (const counts of countsBySender.get(sender)) {
+                const trailer = this.lastParagraph(body);
+                if (!trailer) break;
+                const count = (counts.get(trailer.key) || 0) + 1;
+                counts.set(trailer.key, count);
+                if (count < SIGNATURE_MIN_REPEATS) break;
+                body = this.tidy(body.slice(0, trailer.start));
+            }
+            return body.trim().length > 0 ? body : message.body;
+        };
+    }
+
+    /**
+     * Finds the last paragraph of a body, if the body has more than one.
+     * @param {string} body - The body text.
+     * @returns {{text: string, key: string, start: number}|null} The paragraph,
+     * a whitespace-insensitive comparison key and its offset in the body.
+     */
+    lastParagraph(body) {
+        const match = /\n\s*\n/g;
+        let start = -1;
+        let result;
+        while ((result = match.exec(body)) !== null) {
+            start = result.index;
+        }
+        if (start === -1) {
+            return null;
+        }
+
+        const text = body.slice(start).trim();
+        if (!text || text.length > SIGNATURE_MAX_LENGTH) {
+            return null;
+        }
+        return { text, key: text.replace(/\s+/g, ' ').toLowerCase(), start };
+    }
+
+    /**
+     * Finds the signature delimiter closest to the end of a message.
+     * @param {string[]} lines - The message's own lines.
+     * @returns {number} The index of the delimiter line, or -1 if there is none.
+     */
+    findSignatureDelimiter(lines) {
+        let tailLength = 0;
+        for (let i = lines.length - 1; i >= 0; i--) {
+            if (lines[i] === SIGNATURE_DELIMITER) {
+                return i;
+            }
+            if (lines[i] === BARE_SIGNATURE_DELIMITER && tailLength <= SIGNATURE_MAX_LENGTH) {
+                return i;
+            }
+            tailLength += lines[i].length + 1;
+        }
+        return -1;
+    }
+
+    /**
+     * Checks whether line i starts a forwarded or original-message block,
+     * including Outlook-style "From: / Sent:" header blocks.
+     */
+    isSeparator(lines, i) {
+        const trimmed = lines[i].trim();
+        if (SEPARATOR_PATTERNS.some(pattern => pattern.test(trimmed))) {
+            return true;
+        }
+        if (/^From:\s/i.test(trimmed)) {
+            return lines.slice(i + 1, i + 5).some(line => /^(Sent|Date):\s/i.test(line.trim()));
+        }
+        return false;
+    }
+
+    /**
+     * Returns the number of lines (1 or 2) forming an attribution line at i,
+     * or 0 if there is none. Clients often wrap long attributions onto a second line.
+     */
+    matchAttribution(lines, i) {
+        const trimmed = lines[i].trim();
+        if (!trimmed) {
+            return 0;
+        }
+        if (ATTRIBUTION_PATTERNS.some(pattern => pattern.test(trimmed))) {
+            return 1;
+        }
+        const next = lines[i + 1]?.trim();
+        if (next && /^On\b/i.test(trimmed) && ATTRIBUTION_PATTERNS.some(pattern => pattern.test(`${trimmed} ${next}`))) {
+            return 2;
+        }
+        return 0;
+    }
+
+    /**
+     * Checks whether the first non-blank line from index i is '>'-quoted.
+     */
+    nextContentIsQuoted(lines, i) {
+        for (let j = i; j < lines.length; j++) {
+            const trimmed = lines[j].trim();
+            if (trimmed) {
+                return trimmed.startsWith('>');
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Trims a block and collapses runs of blank lines.
+     */
+    tidy(text) {
+        return text.replace(/[ \t]+$/gm, '').replace(/\n{3,}/g, '\n\n').trim();
+    }
+}
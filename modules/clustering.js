@@ -0,0 +1,244 @@
+/**
+ * @file clustering.js
+ * @description Groups a report's messages into topics by clustering the
+ * vectors deduplication already computed (embeddings, or the lexical vectors
+ * of the offline strategy). Spherical k-means, i.e. k-means on
+ * length-normalized vectors, groups messages by cosine similarity. Topics are
+ * labeled with the terms that set their subjects apart from the others.
+ */
+import { dot, normalize, seededRandom } from './utils.js';
+
+// Topics per sqrt(messages / 2), e.g. 100 messages make about 4, 7 or 14 topics
+export const TOPIC_GRANULARITIES = { coarse: 0.5, medium: 1, fine: 2 };
+const MAX_ITERATIONS = 25;
+const LABEL_TERMS = 3;
+// Words that say nothing about a topic, in the languages reports are most often in
+const STOP_WORDS = new Set((
+    'the and for with from this that your you are was were have has had not but all any can our out new about into '
+    + 'will would should could there their they them what when where which who how why its it\'s per via re fwd fw '
+    + 'aw wg sv tr update updates reminder question questions info information request please thanks thank hello '
+    + 'der die das und mit von für den dem des ein eine auf ist les des une pour avec dans sur'
+).split(' '));
+
+export class TopicClusterer {
+    /**
+     * @param {object} [options] - Clustering options.
+     * @param {string} [options.granularity='medium'] - 'coarse', 'medium' or 'fine'.
+     */
+    constructor(options = {}) {
+        this.granularity = options.granularity in TOPIC_GRANULARITIES ? options.granularity : 'medium';
+    }
+
+    /**
+     * Picks the number of topics for a number of messages.
+     * @param {number} count - The number of messages with a vector.
+     * @returns {number} The number of topics.
+     */
+    getTopicCount(count) {
+        if (count < 4) {
+            return Math.min(count, 1);
+        }
+        const topics = Math.round(Math.sqrt(count / 2) * TOPIC_GRANULARITIES[this.granularity]);
+        return Math.max(2, Math.min(count, topics));
+    }
+
+    /**
+     * Clusters messages into topics.
+     * @param {object[]} messages - The report's messages, in chronological order.
+     * @param {Map<number, number[]>} vectors - The vector of each message by its ID.
+     * Messages without one are collected in a last topic, 'Other messages'.
+     * @param {function} [onIteration] - Called after each k-means iteration. If it
+     * returns a promise, it is awaited, so the caller can pause or abort (by throwing).
+     * @returns {Promise<object[]>} The topics as { id, label, terms, messageIds },
+     * largest first, with their message IDs in chronological order.
+     */
+    async cluster(messages, vectors, onIteration = () => {}) {
+        const clustered = messages.filter(message => vectors.get(message.id)?.length > 0);
+        const points = clustered.map(message => normalize(vectors.get(message.id)));
+        const assignments = await this.kMeans(points, this.getTopicCount(points.length), onIteration);
+
+        const groups = new Map();
+        clustered.forEach((message, index) => {
+            if (!groups.has(assignments[index])) {
+                groups.set(assignments[index], []);
+            }
+            groups.get(assignments[index]).push(message);
+        });
+        const clusters = Array.from(groups.values())
+            .sort((a, b) => b.length - a.length || new Date(a[0].date) - new Date(b[0].date));
+
+        const termsByCluster = salientTerms(clusters, messages);
+        const topics = clusters.map((members, index) => ({
+            id: `topic-${index + 1}`,
+            label: termsByCluster[index].length > 0 ? termsByCluster[index].map(capitalize).join(', ') : `Topic ${index + 1}`,
+            terms: termsByCluster[index],
+            messageIds: members.map(message => message.id)
+        }));
+        const clusteredIds = new Set(clustered.map(message => message.id));
+        const unclustered = messages.filter(message => !clusteredIds.has(message.id));
+        if (unclustered.length > 0) {
+            topics.push({ id: 'topic-other', label: 'Other messages', terms: [], messageIds: unclustered.map(message => message.id) });
+        }
+        return topics;
+    }
+
+    /**
+     * Spherical k-means with k-means++ seeding. The seed is fixed, so the
+     * same messages always form the same topics.
+     * @param {number[][]} points - Normalized vectors.
+     * @param {number} k - The number of clusters.
+     * @param {function} onIteration - Awaited after each iteration.
+     * @returns {Promise<number[]>} The cluster index of each point.
+     */
+    async kMeans(points, k, onIteration) {
+        if (points.length === 0 || k <= 1) {
+            return points.map(() => 0);
+        }
+        const random = seededRandom(points.length);
+        const centers = [points[Math.floor(random() * points.length)]];
+        const distances = points.map(point => 1 - dot(point, centers[0]));
+        while (centers.length < k) {
+            // Pick the next center with a probability growing with the squared distance to the closest one
+            const total = distances.reduce((sum, distance) => sum + distance * distance, 0);
+            let target = random() * total;
+            let next = distances.findIndex(distance => (target -= distance * distance) <= 0);
+            if (total === 0 || next === -1) {
+                next = distances.indexOf(Math.max(...distances));
+            }
+            centers.push(points[next]);
+            points.forEach((point, i) => {
+                distances[i] = Math.min(distances[i], 1 - dot(point, points[next]));
+            });
+        }
+
+        const assignments = new Array(points.length).fill(-1);
+        for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+            let changed = 0;
+            const similarities = new Array(points.length);
+            points.forEach((point, i) => {
+                let best = 0;
+                let bestSimilarity = -Infinity;
+                centers.forEach((center, c) => {
+                    const similarity = dot(point, center);
+                    if (similarity > bestSimilarity) {
+                        best = c;
+                        bestSimilarity = similarity;
+                    }
+                });
+                similarities[i] = bestSimilarity;
+                if (assignments[i] !== best) {
+                    assignments[i] = best;
+                    changed++;
+                }
+            });
+            await onIteration(iteration + 1, MAX_ITERATIONS);
+            if (changed === 0) {
+                break;
+            }
+
+            const sums = centers.map(() => null);
+            points.forEach((point, i) => {
+                const sum = sums[assignments[i]];
+                if (!sum) {
+                    sums[assignments[i]] = point.slice();
+                    return;
+                }
+                for (let d = 0; d < sum.length; d++) {
+                    sum[d] += point[d];
+                }
+            });
+            for (let c = 0; c < centers.length; c++) {
+                if (sums[c]) {
+                    centers[c] = normalize(sums[c]);
+                    continue;
+                }
+                // An empty cluster takes over the point that fits its own cluster worst
+                const worst = similarities.indexOf(Math.min(...similarities));
+                centers[c] = points[worst];
+                similarities[worst] = Infinity;
+            }
+        }
+        return assignments;
+    }
+}
+
+/**
+ * Combines the vectors of the reported texts into one per message: the mean
+ * of its paragraphs' vectors, or its own vector if it was compared as a whole.
+ * @param {object[]} vectors - The vectors as { id, embedding }.
+ * @returns {Map<number, number[]>} The vector of each message by its ID.
+ */
+export function meanVectors(vectors) {
+    const sums = new Map();
+    for (const { id, embedding } of vectors) {
+        if (!embedding?.length) continue;
+        const entry = sums.get(id);
+        if (!entry) {
+            sums.set(id, { sum: normalize(embedding), count: 1 });
+            continue;
+        }
+        const vector = normalize(embedding);
+        for (let d = 0; d < entry.sum.length; d++) {
+            entry.sum[d] += vector[d];
+        }
+        entry.count++;
+    }
+    return new Map(Array.from(sums, ([id, { sum, count }]) => [id, sum.map(value => value / count)]));
+}
+
+/**
+ * Finds the terms that characterize each cluster's subjects: frequent in the
+ * cluster, rare in the other messages. Terms scoring less than half of the
+ * best one are left out, so labels don't trail off into filler words.
+ * @param {object[][]} clusters - The messages of each cluster.
+ * @param {object[]} messages - All messages.
+ * @returns {string[][]} Up to LABEL_TERMS terms per cluster, most salient first.
+ */
+function salientTerms(clusters, messages) {
+    const documentFrequency = new Map();
+    for (const message of messages) {
+        for (const term of subjectTerms(message.subject)) {
+            documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+        }
+    }
+    return clusters.map(members => {
+        const counts = new Map();
+        for (const message of members) {
+            for (const term of subjectTerms(message.subject)) {
+                counts.set(term, (counts.get(term) || 0) + 1);
+            }
+        }
+        const scored = Array.from(counts)
+            // Terms of a single message only label a topic that consists of it
+            .filter(([, count]) => count > 1 || members.length === 1)
+            .map(([term, count]) => {
+                const frequency = documentFrequency.get(term);
+                // Weighted by the share of the term's messages that are in this cluster
+                return [term, count * Math.log((messages.length + 1) / frequency) * (count / frequency)];
+            })
+            .filter(([, score]) => score > 0)
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+        return scored
+            .filter(([, score]) => score >= scored[0][1] / 2)
+            .slice(0, LABEL_TERMS)
+            .map(([term]) => term);
+    });
+}
+
+/**
+ * Returns the distinct meaningful words of a subject, without reply and
+ * forward prefixes.
+ * @param {string} subject - The subject.
+ * @returns {Set<string>} The lowercase terms.
+ */
+function subjectTerms(subject) {
+    const words = (subject || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .match(/[\p{L}][\p{L}\p{N}'-]*[\p{L}\p{N}]|\p{N}{4}/gu) || [];
+    return new Set(words.filter(word => word.length > 2 && !STOP_WORDS.has(word)));
+}
+
+function capitalize(term) {
+    return term.charAt(0).toUpperCase() + term.slice(1);
+}
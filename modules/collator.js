@@ -2,15 +2,62 @@
  * @file collator.js
  * @description Handles the main logic of fetching, processing, and collating emails.
  */
-import { EmbeddingService } from './embeddings.js';
-import { Deduplicator } from './deduplication.js';
-import { ProgressReporter } from './utils.js';
+import { EmbeddingService, EmbeddingStream } from './embeddings.js';
+import { Deduplicator, MIN_PARAGRAPH_LENGTH } from './deduplication.js';
+import { ContentCleaner } from './cleaning.js';
+import { ThreadBuilder, parseMessageIds } from './threading.js';
+import { AttachmentInventory } from './attachments.js';
+import { HtmlSanitizer } from './sanitizer.js';
+import { LexicalVectorizer } from './lexical.js';
+import { CollationJob, CollationCancelledError, fingerprintTexts } from './jobs.js';
+import { ReportManifest } from './manifests.js';
+import { normalizeFilters, buildQueryInfo, isInExcludedFolder } from './filters.js';
+import { SenderMatcher } from './identities.js';
+import { SummaryService } from './summaries.js';
+import { TopicClusterer, meanVectors } from './clustering.js';
+import { ProgressReporter, ConcurrencyPool, blobToDataUrl } from './utils.js';
+
+// Larger embedded images are left out of HTML bodies to keep reports manageable
+const MAX_INLINE_IMAGE_BYTES = 5 * 1024 * 1024;
+// Extracted messages are checkpointed in chunks of this size
+const EXTRACTION_CHECKPOINT_SIZE = 25;
+// Messages read from Thunderbird at once (extraction, attachments), unless configured
+const DEFAULT_READ_CONCURRENCY = 4;
+// Bodies of this length or shorter are not compared and left out of the report
+const MIN_BODY_LENGTH = 50;
+// Length of the body excerpt shown for removed and skipped messages
+const AUDIT_EXCERPT_LENGTH = 200;
 
 export class EmailCollator {
-    constructor(settings) {
+    /**
+     * @param {object} settings - The extension settings.
+     * @param {CollationJob} [job] - Controls pausing and cancellation and stores
+     * checkpoints; a resumed job continues from its checkpoints.
+     */
+    constructor(settings, job = new CollationJob()) {
         this.settings = settings;
+        this.job = job;
         this.embeddingService = new EmbeddingService(settings);
-        this.deduplicator = new Deduplicator(settings.similarityThreshold || 0.95);
+        this.summaryService = new SummaryService(settings);
+        this.topicClusterer = new TopicClusterer(settings.topics);
+        this.lexicalVectorizer = new LexicalVectorizer();
+        // 'auto' uses embeddings and switches to lexical matching if the provider fails
+        this.dedupStrategy = settings.dedupStrategy || 'auto';
+        this.strategyUsed = this.dedupStrategy === 'lexical' ? 'lexical' : 'embedding';
+        this.fallbackReason = null;
+        this.previous = null; // The manifest of the report being updated, if any
+        this.filters = normalizeFilters();
+        this.senderGroups = [];
+        this.senderMatcher = new SenderMatcher([]);
+        this.deduplicator = new Deduplicator(this.getThreshold(this.strategyUsed));
+        this.contentCleaner = new ContentCleaner();
+        this.threadBuilder = new ThreadBuilder();
+        this.readPool = new ConcurrencyPool(settings.concurrency?.extraction || DEFAULT_READ_CONCURRENCY);
+        this.attachmentInventory = new AttachmentInventory(this.readPool);
+        this.htmlSanitizer = new HtmlSanitizer({
+            allowRemoteImages: settings.htmlBodies?.allowRemoteImages,
+            stripQuotes: settings.cleaning?.enabled !== false
+        });
         this.progressReporter = new ProgressReporter();
     }
 
@@ -18,45 +65,161 @@ export class EmailCollator {
      * Main collation method.
      * @param {string[]} senders - An array of sender emails to collate.
      * @param {string|null} startDate - ISO date string to filter emails from.
-     * @returns {Promise<string>} The final generated HTML content.
+     * @param {object} [options] - Collation options.
+     * @param {boolean} [options.incremental=false] - Update the previous report for
+     * these senders: only messages that arrived since its last run are fetched,
+     * compared against what it already contains and added to it, marked as new.
+     * Without a previous report this is a full run.
+     * @param {object} [options.filters] - Narrow down the messages, see filters.js.
+     * @param {object[]} [options.senderGroups] - The person groups that senders
+     * selected as 'group:<id>' refer to, as { id, name, members }.
+     * @returns {Promise<object>} The report: the unique messages in chronological
+     * order plus metadata, ready to be passed to renderReport.
      */
-    async collate(senders, startDate) {
+    async collate(senders, startDate, options = {}) {
         try {
-            // 1. Fetch messages
+            // 1. Fetch messages, only those not seen before when updating a report
             await this.progressReporter.reportProgress(0, 100, `Fetching emails for ${senders.length} sender(s)...`);
-            const messages = await this.fetchEmailsBySenders(senders, startDate);
+            this.filters = normalizeFilters(options.filters);
+            this.senderGroups = options.senderGroups || [];
+            this.senderMatcher = new SenderMatcher(senders, this.senderGroups);
+            this.previous = options.incremental ? await this.loadPreviousReport(senders) : null;
+            const messages = this.previous
+                ? (await this.fetchMessages(senders, this.getUpdateStartDate(startDate)))
+                    .filter(message => !this.previous.processedIds.has(message.headerMessageId))
+                : await this.fetchMessages(senders, startDate);
+            // Attribute each message to the address, domain or group it is collated under
+            const attribute = message => ({ ...message, ...this.senderMatcher.attribute(message.from) });
+            let previousMessages = this.previous ? this.previous.messages.map(attribute) : [];
             if (messages.length === 0) {
-                 await this.progressReporter.reportProgress(100, 100, `No messages found.`);
-                 return "<h1>No Messages Found</h1><p>No messages matched the selected criteria.</p>";
+                 await this.progressReporter.reportProgress(100, 100, this.previous ? `No new messages found.` : `No messages found.`);
+                 const report = this.buildReport(previousMessages, senders, startDate, { fetched: 0, extracted: 0, embedded: 0 });
+                 await this.addTopics(report, this.previous?.vectors || []);
+                 await this.addSummary(report);
+                 if (this.previous) {
+                     const { dedupMode, vectorSpace } = this.previous;
+                     await this.saveManifest(report, [], [], this.previous.vectors, { dedupMode, vectorSpace });
+                 }
+                 return report;
             }
 
-            // 2. Extract content
+            // 2. Extract content, embedding it as it arrives
             const totalMessages = messages.length;
-            await this.progressReporter.reportProgress(10, 100, `Found ${totalMessages} messages. Extracting content...`);
-            const messageContents = await this.extractAllMessageContents(messages);
-
-            // 3. Generate embeddings
-            await this.progressReporter.reportProgress(40, 100, `Generating AI embeddings for content analysis...`);
-            const messagesWithEmbeddings = await this.embeddingService.generateEmbeddingsForMessages(
-                messageContents.filter(mc => mc.body.trim().length > 50), // Only embed non-trivial bodies
-                (current, total) => this.progressReporter.reportProgress(40 + Math.round((current/total)*30), 100, `Generating embedding ${current} of ${total}...`)
-            );
-            
-            // 4. Deduplicate
-            await this.progressReporter.reportProgress(70, 100, `Deduplicating content...`);
-            const uniqueMessages = this.deduplicator.deduplicate(messagesWithEmbeddings);
+            await this.progressReporter.reportProgress(10, 100, `Found ${totalMessages} ${this.previous ? 'new ' : ''}messages. Extracting content...`);
+            await this.job.setStage('extracting');
+            let messageContents = (await this.extractAndEmbed(messages)).map(attribute);
+
+            // Strip quoted replies and signatures so only new text is embedded and rendered
+            if (this.settings.cleaning?.enabled !== false) {
+                messageContents = this.contentCleaner.cleanAll(messageContents);
+            }
+
+            // Rebuild conversations before filtering, so every thread's ancestry is complete.
+            // Messages already in the report take part, so replies join their conversations.
+            if (this.isThreadingEnabled()) {
+                const threaded = this.threadBuilder.buildThreads([...previousMessages, ...messageContents]);
+                previousMessages = threaded.slice(0, previousMessages.length);
+                messageContents = threaded.slice(previousMessages.length);
+            }
+
+            // 3 & 4. Generate embeddings and deduplicate, also against the previous report
+            await this.job.setStage('embedding');
+            const embeddableMessages = messageContents.filter(mc => mc.body.trim().length > MIN_BODY_LENGTH); // Only embed non-trivial bodies
+            const skipped = messageContents
+                .filter(mc => mc.body.trim().length <= MIN_BODY_LENGTH)
+                .map(mc => ({ id: mc.id, reason: 'short' }));
+            let uniqueMessages;
+            let vectors; // What later updates of this report are compared against
+            if (this.settings.dedupMode === 'paragraph') {
+                await this.progressReporter.reportProgress(70, 100, this.strategyUsed === 'lexical'
+                    ? `Comparing paragraph text...`
+                    : `Generating AI embeddings for each paragraph...`);
+                const { messages: messagesWithChunks, references } = await this.embedParagraphs(embeddableMessages, this.getReferenceItems());
+                for (const message of messagesWithChunks) {
+                    const failed = message.chunks.filter(chunk => chunk.text.length >= MIN_PARAGRAPH_LENGTH && !chunk.embedding).length;
+                    if (failed > 0) {
+                        skipped.push({ id: message.id, reason: 'not-embedded', paragraphs: failed });
+                    }
+                }
+
+                await this.job.checkIn();
+                await this.progressReporter.reportProgress(75, 100, `Removing paragraphs already seen earlier...`);
+                // Paragraphs are only novel relative to what came before them in the timeline
+                messagesWithChunks.sort((a, b) => new Date(a.date) - new Date(b.date));
+                uniqueMessages = await this.deduplicator.deduplicateParagraphs(messagesWithChunks, references);
+                vectors = [...references, ...uniqueMessages.flatMap(message => {
+                    const novel = new Set(this.deduplicator.splitParagraphs(message.body));
+                    return message.chunks
+                        .filter(chunk => chunk.embedding && novel.has(chunk.text))
+                        .map(chunk => ({ id: message.id, body: chunk.text, embedding: chunk.embedding }));
+                })];
+            } else {
+                await this.progressReporter.reportProgress(70, 100, this.strategyUsed === 'lexical'
+                    ? `Comparing message text...`
+                    : `Generating AI embeddings for content analysis...`);
+                // Most embeddings were already requested during extraction and come from the cache
+                const { items: messagesWithEmbeddings, references } = await this.vectorizeWithReferences(
+                    embeddableMessages,
+                    this.getReferenceItems(),
+                    (current, total) => this.progressReporter.reportProgress(70 + Math.round((current/total)*5), 100, `Generating embedding ${current} of ${total}...`)
+                );
+                for (const message of messagesWithEmbeddings.filter(m => !m.embedding)) {
+                    skipped.push({ id: message.id, reason: 'not-embedded' });
+                }
+
+                await this.job.checkIn();
+                await this.progressReporter.reportProgress(75, 100, `Deduplicating content...`);
+                uniqueMessages = this.isThreadingEnabled()
+                    ? await this.deduplicateByThread(messagesWithEmbeddings)
+                    : await this.deduplicator.deduplicate(messagesWithEmbeddings);
+                uniqueMessages = await this.deduplicator.deduplicateAgainst(uniqueMessages, references);
+                vectors = [...references, ...uniqueMessages.filter(m => m.embedding)];
+            }
             
-            // 5. Sort and generate HTML
-            await this.progressReporter.reportProgress(90, 100, `Generating final HTML document...`);
-            const sortedMessages = uniqueMessages.sort((a, b) => new Date(a.date) - new Date(b.date));
-            const html = this.generateHtml(sortedMessages, senders);
+            // 5. Sort, index attachments and build the report
+            let sortedMessages = uniqueMessages.sort((a, b) => new Date(a.date) - new Date(b.date));
+            if (this.settings.attachments?.enabled !== false) {
+                await this.job.setStage('attachments');
+                await this.progressReporter.reportProgress(80, 100, `Indexing attachments...`);
+                sortedMessages = await this.attachmentInventory.collect(
+                    sortedMessages,
+                    async (current, total) => {
+                        await this.job.checkIn();
+                        await this.progressReporter.reportProgress(80 + Math.round((current/total)*10), 100, `Checked attachments of ${current} of ${total} messages...`);
+                    },
+                    previousMessages
+                );
+            }
+            if (this.previous) {
+                sortedMessages = [
+                    ...previousMessages.map(message => ({ ...message, isNew: false })),
+                    ...sortedMessages.map(message => ({ ...message, isNew: true }))
+                ].sort((a, b) => new Date(a.date) - new Date(b.date));
+            }
+
+            await this.progressReporter.reportProgress(90, 100, `Generating final report...`);
+            const report = this.buildReport(sortedMessages, senders, startDate, {
+                fetched: messages.length,
+                extracted: messageContents.length,
+                embedded: embeddableMessages.length
+            }, this.buildAudit(messageContents, sortedMessages, skipped));
+            // 6. Group by topic and summarize, before the manifest records the messages as reported
+            await this.addTopics(report, vectors);
+            await this.addSummary(report);
+            await this.saveManifest(report, messages, messageContents, vectors);
 
-            await this.progressReporter.reportProgress(100, 100, `Collation complete! Found ${uniqueMessages.length} unique messages.`);
-            this.progressReporter.reportComplete(`Collation Complete! Found ${uniqueMessages.length} unique messages.`);
+            const summary = this.previous
+                ? `Found ${uniqueMessages.length} new unique messages.`
+                : `Found ${uniqueMessages.length} unique messages.`;
+            await this.progressReporter.reportProgress(100, 100, `Collation complete! ${summary}`);
+            this.progressReporter.reportComplete(`Collation Complete! ${summary}`);
 
-            return html;
+            return report;
 
         } catch (error) {
+            if (error instanceof CollationCancelledError) {
+                throw error; // Not a failure; the caller reports the cancellation
+            }
             console.error("Collation process failed:", error);
             this.progressReporter.reportError(error);
             throw error;
@@ -64,59 +227,497 @@ export class EmailCollator {
     }
 
     /**
-     * Fetches all messages for the given senders using the query API.
+     * Assembles the report object handed to the renderers.
+     * @param {object[]} messages - The unique messages, in chronological order.
+     * @param {string[]} senders - The collated senders.
+     * @param {string|null} startDate - The start date filter.
+     * @param {object} counts - Message counts for the individual stages.
+     * @param {object} [audit] - What was left out, from buildAudit.
+     * @returns {object} The report.
+     */
+    buildReport(messages, senders, startDate, counts, audit = { removed: [], skipped: [] }) {
+        return {
+            generatedAt: new Date().toISOString(),
+            senders,
+            startDate,
+            senderEntities: this.senderMatcher.describe(),
+            filters: this.filters,
+            settings: {
+                provider: this.embeddingService.provider,
+                model: this.embeddingService.getModelName(),
+                dedupMode: this.settings.dedupMode || 'message',
+                dedupStrategy: this.strategyUsed,
+                requestedDedupStrategy: this.dedupStrategy,
+                dedupFallbackReason: this.fallbackReason,
+                similarityThreshold: this.deduplicator.threshold,
+                threading: this.isThreadingEnabled(),
+                cleaning: { ...this.settings.cleaning }
+            },
+            // Set when this run updated an earlier report
+            update: this.previous ? {
+                previousRunAt: this.previous.lastRunAt,
+                newMessages: messages.filter(message => message.isNew).length
+            } : null,
+            stats: {
+                ...counts,
+                unique: messages.length,
+                removed: audit.removed.length,
+                skipped: audit.skipped.length,
+                attachments: AttachmentInventory.countAttachments(messages)
+            },
+            messages,
+            audit,
+            dedupDecisions: this.deduplicator.decisions,
+            topics: null, // Added by addTopics
+            summary: null // Added by addSummary
+        };
+    }
+
+    /**
+     * Groups a report's messages into topics by clustering their vectors, if
+     * topics are enabled. Topics are labeled with salient subject terms, or by
+     * the chat model if summaries are enabled; the terms remain if it fails.
+     * @param {object} report - The report from buildReport.
+     * @param {object[]} vectors - The vectors of the reported texts, as { id, embedding };
+     * a message with several (one per paragraph) is represented by their mean.
+     */
+    async addTopics(report, vectors) {
+        if (!this.settings.topics?.enabled || report.messages.length === 0) {
+            return;
+        }
+        await this.job.setStage('clustering');
+        await this.progressReporter.reportProgress(90, 100, `Grouping ${report.messages.length} messages by topic...`);
+        const topics = await this.topicClusterer.cluster(report.messages, meanVectors(vectors), async (iteration, total) => {
+            await this.job.checkIn();
+            await this.progressReporter.reportProgress(90 + Math.round((iteration / total) * 2), 100, `Grouping messages by topic (pass ${iteration})...`);
+        });
+
+        const labeled = topics.filter(topic => topic.id !== 'topic-other');
+        if (this.settings.summary?.enabled && labeled.length > 1) {
+            try {
+                const labels = await this.summaryService.labelTopics(labeled, report.messages);
+                labeled.forEach((topic, index) => {
+                    if (labels[index]) {
+                        topic.label = labels[index];
+                    }
+                });
+            } catch (error) {
+                console.warn("Could not label the topics, using their subject terms:", error);
+            }
+        }
+        report.topics = topics;
+    }
+
+    /**
+     * Adds the overall summary, monthly digests, action items and decisions
+     * to a report, if summaries are enabled. A failed summary doesn't fail the
+     * collation; the report then states why it has none.
+     * @param {object} report - The report from buildReport.
+     */
+    async addSummary(report) {
+        if (!this.settings.summary?.enabled || report.messages.length === 0) {
+            return;
+        }
+        await this.job.setStage('summarizing');
+        await this.progressReporter.reportProgress(92, 100, `Summarizing ${report.messages.length} messages...`);
+        try {
+            report.summary = await this.summaryService.summarize(report.messages, async (current, total) => {
+                await this.job.checkIn();
+                await this.progressReporter.reportProgress(92 + Math.round((current / total) * 6), 100, `Summarizing (request ${current} of ${total})...`);
+            });
+        } catch (error) {
+            if (error instanceof CollationCancelledError) {
+                throw error;
+            }
+            console.warn("Could not summarize the report:", error);
+            report.summary = {
+                provider: this.summaryService.provider,
+                model: this.summaryService.getModelName(),
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Builds the audit trail of the report: every message removed as a
+     * duplicate, with the message it matched and the score, and every message
+     * that was not compared.
+     * @param {object[]} contents - All extracted messages.
+     * @param {object[]} messages - The messages in the report.
+     * @param {object[]} skipped - Skipped messages as { id, reason, paragraphs? }.
+     * @returns {{removed: object[], skipped: object[]}} The audit trail.
+     */
+    buildAudit(contents, messages, skipped) {
+        const contentsById = new Map(contents.map(content => [content.id, content]));
+        const reportedIds = new Set(messages.map(msg => msg.id));
+        const removals = this.deduplicator.decisions.filter(decision => decision.type === 'message');
+        const matchedIds = new Map(removals.map(decision => [decision.removedId, decision.keptId]));
+
+        // A matched message may itself have been removed later; follow the
+        // chain to the message that made it into the report
+        const resolveKept = (id) => {
+            const visited = new Set();
+            while (!reportedIds.has(id) && matchedIds.has(id) && !visited.has(id)) {
+                visited.add(id);
+                id = matchedIds.get(id);
+            }
+            return reportedIds.has(id) ? id : null;
+        };
+        const summarize = (id) => {
+            const content = contentsById.get(id) || {};
+            const body = (content.body || '').replace(/\s+/g, ' ').trim();
+            return {
+                id,
+                subject: content.subject || 'No Subject',
+                from: content.from || 'Unknown Sender',
+                date: content.date || null,
+                excerpt: body.length > AUDIT_EXCERPT_LENGTH ? `${body.slice(0, AUDIT_EXCERPT_LENGTH)}...` : body
+            };
+        };
+
+        return {
+            removed: removals.map(decision => ({
+                ...summarize(decision.removedId),
+                matchedId: decision.keptId,
+                keptId: resolveKept(decision.keptId),
+                similarity: decision.similarity,
+                basis: decision.basis
+            })),
+            skipped: skipped.map(({ id, ...details }) => ({ ...summarize(id), ...details }))
+        };
+    }
+
+    /**
+     * Loads the manifest of the last report for these senders. Thunderbird
+     * message IDs are only valid for a session, so its messages are looked up
+     * again by Message-ID header; messages that were deleted in the meantime
+     * stay in the report under a placeholder ID.
+     * @param {string[]} senders - The collated senders.
+     * @returns {Promise<object|null>} The manifest, with current message IDs and
+     * 'processedIds' as a Set, or null if there is no previous report.
+     */
+    async loadPreviousReport(senders) {
+        let manifest;
+        try {
+            manifest = await ReportManifest.load(ReportManifest.keyFor(senders, this.filters));
+        } catch (error) {
+            console.warn("Could not load the previous report, collating everything:", error);
+            return null;
+        }
+        if (!manifest) {
+            return null;
+        }
+
+        let placeholders = 0;
+        const currentIds = new Map(await this.readPool.map(manifest.messages, async (message) =>
+            [message.id, (await this.findMessageId(message.messageId)) ?? `stored-${++placeholders}`]
+        ));
+        const remap = id => (currentIds.has(id) ? currentIds.get(id) : id);
+        const messages = manifest.messages.map(message => ({
+            ...message,
+            id: remap(message.id),
+            ...(message.threadId && {
+                threadId: `thread-${remap(message.ancestorIds?.length ? message.ancestorIds.at(-1) : message.id)}`,
+                ancestorIds: (message.ancestorIds || []).map(remap)
+            }),
+            attachments: message.attachments?.map(entry => ({
+                ...entry,
+                ...(entry.duplicateOf !== undefined && { duplicateOf: remap(entry.duplicateOf) }),
+                ...(entry.alsoAttachedIn && { alsoAttachedIn: entry.alsoAttachedIn.map(remap) })
+            }))
+        }));
+        return {
+            ...manifest,
+            processedIds: new Set(manifest.processedIds),
+            messages,
+            vectors: manifest.vectors.map(vector => ({ ...vector, id: remap(vector.id) }))
+        };
+    }
+
+    /**
+     * Looks up the current ID of a message by its Message-ID header.
+     * @param {string|null} headerMessageId - The Message-ID header.
+     * @returns {Promise<number|null>} The message ID, or null if it wasn't found.
+     */
+    async findMessageId(headerMessageId) {
+        if (!headerMessageId) {
+            return null;
+        }
+        try {
+            const page = await messenger.messages.query({ headerMessageId, includeSubFolders: true });
+            return page.messages[0]?.id ?? null;
+        } catch (error) {
+            console.warn(`Could not look up message ${headerMessageId}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Returns the date to fetch from when updating the previous report: its
+     * newest message, unless the start date is later. Messages from that day
+     * that were already processed are filtered out by their Message-ID.
+     * @param {string|null} startDate - The start date filter.
+     * @returns {string|null} ISO date string.
+     */
+    getUpdateStartDate(startDate) {
+        const latest = this.previous.latestMessageDate;
+        if (!latest || (startDate && new Date(startDate) > new Date(latest))) {
+            return startDate;
+        }
+        return latest;
+    }
+
+    /**
+     * Returns what new messages are compared against when updating the
+     * previous report: its stored vectors, if it was deduplicated in the same
+     * mode, or else its texts split the current way, to be vectorized again.
+     * @returns {object[]} Items as { id, body, embedding }.
+     */
+    getReferenceItems() {
+        if (!this.previous) {
+            return [];
+        }
+        if (this.previous.dedupMode === (this.settings.dedupMode || 'message')) {
+            return this.previous.vectors;
+        }
+        return this.previous.messages.flatMap(message =>
+            this.predictEmbeddingTexts(message.body).map(body => ({ id: message.id, body, embedding: null }))
+        );
+    }
+
+    /**
+     * Stores what the report contains, so the next incremental run only has to
+     * process newer messages. Failures are logged, not thrown: without a
+     * manifest the next update is just a full run.
+     * @param {object} report - The report.
+     * @param {object[]} fetched - The fetched messages, as { id, headerMessageId }.
+     * @param {object[]} contents - Their extracted contents.
+     * @param {object[]} vectors - The vectors of the reported texts, as { id, body, embedding }.
+     * @param {object} [basis] - How the vectors were made, as { dedupMode, vectorSpace }.
+     */
+    async saveManifest(report, fetched, contents, vectors, basis = {
+        dedupMode: this.settings.dedupMode || 'message',
+        vectorSpace: this.getVectorSpace()
+    }) {
+        const times = contents.map(content => new Date(content.date).getTime()).filter(time => !isNaN(time));
+        if (this.previous?.latestMessageDate) {
+            times.push(new Date(this.previous.latestMessageDate).getTime());
+        }
+        const reportedIds = new Set(report.messages.map(message => message.id));
+        try {
+            await ReportManifest.save({
+                key: ReportManifest.keyFor(report.senders, this.filters),
+                senders: report.senders,
+                createdAt: this.previous?.createdAt || report.generatedAt,
+                lastRunAt: report.generatedAt,
+                latestMessageDate: times.length > 0 ? new Date(Math.max(...times)).toISOString() : null,
+                processedIds: [...new Set([
+                    ...(this.previous?.processedIds || []),
+                    ...fetched.map(message => message.headerMessageId).filter(Boolean)
+                ])],
+                ...basis,
+                messages: report.messages.map(({ embedding, chunks, isNew, ...message }) => message),
+                vectors: vectors
+                    .filter(vector => reportedIds.has(vector.id))
+                    .map(({ id, body, embedding }) => ({ id, body, embedding }))
+            });
+        } catch (error) {
+            console.warn("Could not store the report manifest:", error);
+        }
+    }
+
+    /**
+     * Returns the messages to collate, from the job's checkpoint if it has one.
+     * Thunderbird message IDs are only valid for a session, so checkpointed
+     * messages are identified by their Message-ID header and looked up again;
+     * messages that were deleted in the meantime are dropped.
      * @param {string[]} senders - Array of sender emails.
      * @param {string|null} fromDate - ISO date string.
+     * @returns {Promise<Array<{id: number, headerMessageId: string}>>} The messages.
+     */
+    async fetchMessages(senders, fromDate) {
+        const saved = await this.job.loadCheckpoint('fetched');
+        const headers = await this.fetchEmailsBySenders(senders, fromDate);
+        if (!saved) {
+            const fetched = headers.map(header => ({ id: header.id, headerMessageId: header.headerMessageId }));
+            await this.job.saveCheckpoint('fetched', fetched);
+            return fetched;
+        }
+
+        const currentIds = new Map(headers.map(header => [header.headerMessageId, header.id]));
+        return saved
+            .filter(message => currentIds.has(message.headerMessageId))
+            .map(message => ({ id: currentIds.get(message.headerMessageId), headerMessageId: message.headerMessageId }));
+    }
+
+    /**
+     * Fetches all messages for the given senders using the query API,
+     * narrowed down by the collation's filters. Each address is queried once,
+     * even if several selected groups contain it.
+     * @param {string[]} senders - The selected senders, see identities.js.
+     * @param {string|null} fromDate - ISO date string.
      * @returns {Promise<object[]>} An array of message headers.
      */
     async fetchEmailsBySenders(senders, fromDate) {
+        const matcher = new SenderMatcher(senders, this.senderGroups);
+        const { authors, domains } = matcher.getQueries();
+        const queries = authors.map(author => ({
+            label: author,
+            queryInfo: buildQueryInfo(author, fromDate, this.filters),
+            matches: () => true
+        }));
+        for (const domain of domains) {
+            // The author query matches the domain anywhere in the header, e.g. in a
+            // name or another domain, so the parsed address is checked as well
+            queries.push({
+                label: `@${domain}`,
+                queryInfo: buildQueryInfo(domain, fromDate, this.filters),
+                matches: header => matcher.findEntity(header.author) !== null
+            });
+        }
+
         const allMessages = [];
-        for (const sender of senders) {
+        const seen = new Set();
+        for (const { label, queryInfo, matches } of queries) {
             try {
-                const queryInfo = { author: sender, includeSubFolders: true };
-                if (fromDate) {
-                    queryInfo.fromDate = new Date(fromDate);
-                }
+                const add = (page) => {
+                    for (const header of page.messages) {
+                        if (!seen.has(header.id) && matches(header) && !isInExcludedFolder(header, this.filters)) {
+                            seen.add(header.id);
+                            allMessages.push(header);
+                        }
+                    }
+                };
 
                 let page = await messenger.messages.query(queryInfo);
-                allMessages.push(...page.messages);
+                add(page);
 
                 while (page.id) {
                     page = await messenger.messages.continueList(page.id);
-                    allMessages.push(...page.messages);
+                    add(page);
                 }
             } catch (error) {
-                 console.warn(`Could not fetch emails for ${sender}:`, error);
+                 console.warn(`Could not fetch emails for ${label}:`, error);
             }
         }
         return allMessages;
     }
 
     /**
-     * Extracts full content for a list of message headers.
+     * Extracts all messages and, unless text is compared lexically, starts
+     * embedding each one as soon as it has been extracted, so reading messages
+     * and waiting for the provider overlap. Progress covers both (10-70%).
      * @param {object[]} messages - Array of message headers.
      * @returns {Promise<object[]>} Array of message content objects.
      */
-    async extractAllMessageContents(messages) {
-        const contents = [];
-        let processedCount = 0;
+    async extractAndEmbed(messages) {
         const total = messages.length;
+        let extracted = 0;
+        let pushed = 0;
+        let settled = 0;
+        let lastPercentage = 10;
+        const report = (message) => {
+            // Embedding is complete once every message is extracted and every pushed text settled
+            const embeddedShare = pushed > 0 ? (settled / pushed) * (extracted / total) : extracted / total;
+            lastPercentage = Math.max(lastPercentage, 10 + Math.round(30 * (extracted / total) + 30 * embeddedShare));
+            return this.progressReporter.reportProgress(lastPercentage, 100, message);
+        };
 
-        for (const message of messages) {
-            const content = await this.extractMessageContent(message.id);
-            if (content) {
-                contents.push(content);
+        const predictBody = this.settings.cleaning?.enabled !== false
+            ? this.contentCleaner.createIncrementalCleaner()
+            : content => content.body;
+        const stream = this.strategyUsed === 'lexical' ? null : new EmbeddingStream(this.embeddingService, count => {
+            settled += count;
+            report(`Embedded ${settled} of ${pushed} texts...`);
+        });
+
+        const contents = await this.extractAllMessageContents(messages, async (content) => {
+            extracted++;
+            if (content && stream) {
+                for (const text of this.predictEmbeddingTexts(predictBody(content))) {
+                    stream.push(text);
+                    pushed++;
+                }
             }
-            processedCount++;
-             if (processedCount % 10 === 0 || processedCount === total) {
-                 await this.progressReporter.reportProgress(10 + Math.round((processedCount/total)*30), 100, `Extracted content from ${processedCount} of ${total} messages...`);
+            if (extracted % 10 === 0 || extracted === total) {
+                await report(`Extracted content from ${extracted} of ${total} messages...`);
             }
+        });
+
+        if (stream) {
+            await report(`Waiting for the remaining embeddings...`);
+            await stream.close();
         }
         return contents;
     }
 
+    /**
+     * Returns the texts that will be embedded for a message body: the body
+     * itself, or its paragraphs in paragraph mode.
+     * @param {string} body - The (predicted) cleaned body.
+     * @returns {string[]} The texts, none if the body is too short to embed.
+     */
+    predictEmbeddingTexts(body) {
+        if (body.trim().length <= MIN_BODY_LENGTH) {
+            return [];
+        }
+        if (this.settings.dedupMode === 'paragraph') {
+            return this.deduplicator.splitParagraphs(body).filter(text => text.length >= MIN_PARAGRAPH_LENGTH);
+        }
+        return [body];
+    }
+
+    /**
+     * Extracts full content for a list of message headers, several at once,
+     * reusing the contents checkpointed by an interrupted run of the job.
+     * @param {object[]} messages - Array of message headers.
+     * @param {function} [onExtracted] - Awaited with each content (or null on failure) as it is extracted.
+     * @returns {Promise<object[]>} Array of message content objects, in the order of the headers.
+     */
+    async extractAllMessageContents(messages, onExtracted = () => {}) {
+        // Contents extracted before the job was interrupted, by Message-ID header
+        const chunks = await this.job.loadCheckpoints('extracted:');
+        const restored = new Map();
+        for (const { value } of chunks) {
+            for (const { headerMessageId, content } of value) {
+                restored.set(headerMessageId, content);
+            }
+        }
+        let chunkIndex = chunks.length;
+        let unsaved = [];
+        const saveUnsaved = async () => {
+            const chunk = unsaved;
+            unsaved = [];
+            await this.job.saveCheckpoint(`extracted:${chunkIndex++}`, chunk);
+        };
+
+        const contents = await this.readPool.map(messages, async (message) => {
+            await this.job.checkIn();
+            let content = message.headerMessageId && restored.get(message.headerMessageId);
+            if (content) {
+                content = { ...content, id: message.id };
+            } else {
+                content = await this.extractMessageContent(message.id);
+                if (content && message.headerMessageId) {
+                    unsaved.push({ headerMessageId: message.headerMessageId, content });
+                }
+            }
+            if (unsaved.length >= EXTRACTION_CHECKPOINT_SIZE) {
+                await saveUnsaved();
+            }
+            await onExtracted(content);
+            return content;
+        });
+        if (unsaved.length > 0) {
+            await saveUnsaved();
+        }
+        return contents.filter(Boolean);
+    }
+
     /**
      * Extracts subject, date, from, and plain text body for a single message.
+     * The plain text is always used for embeddings; a sanitized copy of the
+     * HTML part is added as 'htmlBody' when HTML rendering is enabled.
      * @param {number} messageId - The ID of the message.
      * @returns {Promise<object|null>} The extracted content or null on error.
      */
@@ -124,13 +725,18 @@ export class EmailCollator {
         try {
             const fullMessage = await messenger.messages.getFull(messageId);
             const bodyPart = await messenger.messages.getPlainTextBody(messageId);
+            const headers = fullMessage.headers;
             
             return {
                 id: messageId,
-                subject: fullMessage.headers.subject?.[0] || 'No Subject',
-                date: fullMessage.headers.date?.[0] || new Date().toISOString(),
-                from: fullMessage.headers.from?.[0] || 'Unknown Sender',
-                body: bodyPart || ''
+                subject: headers.subject?.[0] || 'No Subject',
+                date: headers.date?.[0] || new Date().toISOString(),
+                from: headers.from?.[0] || 'Unknown Sender',
+                messageId: parseMessageIds(headers['message-id']?.[0])[0] || null,
+                inReplyTo: parseMessageIds(headers['in-reply-to']?.[0])[0] || null,
+                references: parseMessageIds(headers.references?.[0]),
+                body: bodyPart || '',
+                htmlBody: this.settings.htmlBodies?.enabled ? await this.extractHtmlBody(messageId, fullMessage) : null
             };
         } catch (error) {
             console.error(`Failed to extract content for message ${messageId}:`, error);
@@ -139,66 +745,208 @@ export class EmailCollator {
     }
 
     /**
-     * Generates the final HTML report from the collated messages.
-     * @param {object[]} messages - The sorted, unique array of messages.
-     * @param {string[]} senders - The list of senders for the report header.
-     * @returns {string} The generated HTML as a string.
-     */
-    generateHtml(messages, senders) {
-        let bodyContent = messages.map(msg => `
-            <div class="message">
-                <div class="meta">
-                    <strong>From:</strong> ${this.escapeHtml(msg.from)}<br>
-                    <strong>Subject:</strong> ${this.escapeHtml(msg.subject)}<br>
-                    <strong>Date:</strong> ${new Date(msg.date).toLocaleString()}
-                </div>
-                <div class="body">
-                    <pre>${this.escapeHtml(msg.body)}</pre>
-                </div>
-            </div>
-        `).join('');
-
-        return `
-        <!DOCTYPE html>
-        <html lang="en">
-        <head>
-            <meta charset="UTF-8">
-            <title>Email Collation Report</title>
-            <style>
-                body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; line-height: 1.6; color: #333; max-width: 900px; margin: 2rem auto; padding: 0 1rem; background-color: #f9f9f9; }
-                h1, h2 { color: #111; border-bottom: 2px solid #eee; padding-bottom: 10px; }
-                .report-meta { background-color: #e7f3ff; border: 1px solid #b3d7ff; padding: 1rem; border-radius: 8px; margin-bottom: 2rem; }
-                .message { border: 1px solid #ddd; border-radius: 8px; margin-bottom: 1.5rem; background-color: #fff; box-shadow: 0 2px 4px rgba(0,0,0,0.05); }
-                .meta { background-color: #f7f7f7; padding: 1rem; border-bottom: 1px solid #ddd; border-radius: 8px 8px 0 0; }
-                .body { padding: 1rem; }
-                pre { white-space: pre-wrap; word-wrap: break-word; font-family: "SF Mono", "Fira Code", "Source Code Pro", Menlo, Consolas, Monaco, monospace; font-size: 0.95em; }
-                strong { color: #555; }
-            </style>
-        </head>
-        <body>
-            <h1>Email Collation Report</h1>
-            <div class="report-meta">
-                <h2>Report Details</h2>
-                <p><strong>Generated on:</strong> ${new Date().toLocaleString()}</p>
-                <p><strong>Collated ${messages.length} unique messages from sender(s):</strong></p>
-                <ul>${senders.map(s => `<li>${this.escapeHtml(s)}</li>`).join('')}</ul>
-            </div>
-            ${bodyContent}
-        </body>
-        </html>
-        `;
-    }
-
-    /**
-     * Simple HTML escaper.
-     * @param {string} str - The string to escape.
-     */
-    escapeHtml(str) {
-        return str
-            .replace(/&/g, "&amp;")
-            .replace(/</g, "&lt;")
-            .replace(/>/g, "&gt;")
-            .replace(/"/g, "&quot;")
-            .replace(/'/g, "&#039;");
+     * Finds the text/html part of a message and sanitizes it.
+     * @param {number} messageId - The ID of the message.
+     * @param {object} fullMessage - The message as returned by messenger.messages.getFull.
+     * @returns {Promise<string|null>} The sanitized HTML, or null if the message has no HTML part.
+     */
+    async extractHtmlBody(messageId, fullMessage) {
+        const parts = this.flattenParts(fullMessage.parts || []);
+        const htmlPart = parts.find(part => part.contentType?.toLowerCase() === 'text/html'
+            && typeof part.body === 'string'
+            && !/^attachment/i.test(part.headers?.['content-disposition']?.[0] || ''));
+        if (!htmlPart) {
+            return null;
+        }
+
+        try {
+            const inlineImages = htmlPart.body.includes('cid:')
+                ? await this.loadInlineImages(messageId, parts)
+                : new Map();
+            return this.htmlSanitizer.sanitize(htmlPart.body, inlineImages);
+        } catch (error) {
+            console.warn(`Could not sanitize HTML body of message ${messageId}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Reads the images embedded in a message (parts with a Content-ID) as data URIs.
+     * @param {number} messageId - The ID of the message.
+     * @param {object[]} parts - All MIME parts of the message.
+     * @returns {Promise<Map<string, string>>} Data URIs by normalized Content-ID.
+     */
+    async loadInlineImages(messageId, parts) {
+        const images = new Map();
+        for (const part of parts) {
+            const contentId = part.headers?.['content-id']?.[0];
+            if (!contentId || !part.contentType?.toLowerCase().startsWith('image/')) continue;
+            if (part.size > MAX_INLINE_IMAGE_BYTES) continue;
+
+            try {
+                const file = await messenger.messages.getAttachmentFile(messageId, part.partName);
+                images.set(this.htmlSanitizer.normalizeContentId(contentId), await blobToDataUrl(file));
+            } catch (error) {
+                console.warn(`Could not load inline image ${part.partName} of message ${messageId}:`, error);
+            }
+        }
+        return images;
+    }
+
+    /**
+     * Flattens a MIME part tree into a list, depth first.
+     * @param {object[]} parts - The parts from messenger.messages.getFull.
+     * @returns {object[]} All parts.
+     */
+    flattenParts(parts) {
+        return parts.flatMap(part => [part, ...this.flattenParts(part.parts || [])]);
+    }
+
+    /**
+     * Whether messages should be grouped into conversation threads.
+     * @returns {boolean}
+     */
+    isThreadingEnabled() {
+        return this.settings.threading !== false;
+    }
+
+    /**
+     * Deduplicates within each thread first, where redundancy is highest,
+     * then across all surviving messages.
+     * @param {object[]} messages - Threaded messages with embeddings.
+     * @returns {Promise<object[]>} The unique messages.
+     */
+    async deduplicateByThread(messages) {
+        const survivors = [];
+        for (const thread of this.threadBuilder.groupThreads(messages)) {
+            survivors.push(...await this.deduplicator.deduplicate(thread.messages));
+        }
+        return this.deduplicator.deduplicate(survivors);
+    }
+
+    /**
+     * Returns the similarity threshold configured for a dedup strategy.
+     * @param {string} strategy - 'embedding' or 'lexical'.
+     * @returns {number} The threshold.
+     */
+    getThreshold(strategy) {
+        return strategy === 'lexical'
+            ? this.settings.lexicalThreshold || 0.8
+            : this.settings.similarityThreshold || 0.95;
+    }
+
+    /**
+     * Adds an 'embedding' to every item for the active dedup strategy: an AI
+     * embedding, or a lexical vector. In 'auto' mode, if the provider cannot
+     * embed every item, all items are compared lexically instead, since
+     * vectors from the two sources can't be compared with each other.
+     * @param {object[]} items - Items with a 'body' property.
+     * @param {function} onProgress - Callback for embedding progress.
+     * @returns {Promise<object[]>} Items with an added 'embedding' property.
+     */
+    async vectorize(items, onProgress = () => {}) {
+        // A resumed job reuses the vectors of its checkpoint if the input is unchanged
+        const fingerprint = fingerprintTexts(items.map(item => item.body));
+        const saved = await this.job.loadCheckpoint('embedded');
+        if (saved?.fingerprint === fingerprint) {
+            this.strategyUsed = saved.strategyUsed;
+            this.fallbackReason = saved.fallbackReason;
+            this.deduplicator.threshold = this.getThreshold(this.strategyUsed);
+            return items.map((item, i) => ({ ...item, embedding: saved.embeddings[i] }));
+        }
+
+        let vectorized;
+        if (this.strategyUsed === 'lexical') {
+            vectorized = this.lexicalVectorizer.vectorizeAll(items);
+        } else {
+            // Embeddings finished before an interruption are served from the embedding cache
+            vectorized = await this.embeddingService.generateEmbeddingsForMessages(items, async (current, total) => {
+                await this.job.checkIn();
+                await onProgress(current, total);
+            });
+            const failed = vectorized.filter(item => !item.embedding).length;
+            if (failed > 0 && this.dedupStrategy === 'auto') {
+                this.fallbackReason = `${failed} of ${items.length} embeddings could not be generated by ${this.embeddingService.provider}`;
+                console.warn(`Falling back to lexical deduplication: ${this.fallbackReason}.`);
+                this.strategyUsed = 'lexical';
+                this.deduplicator.threshold = this.getThreshold('lexical');
+                await this.progressReporter.reportProgress(70, 100, `Embedding provider unavailable, comparing text instead...`);
+                vectorized = this.lexicalVectorizer.vectorizeAll(items);
+            }
+        }
+
+        await this.job.saveCheckpoint('embedded', {
+            fingerprint,
+            strategyUsed: this.strategyUsed,
+            fallbackReason: this.fallbackReason,
+            embeddings: vectorized.map(item => item.embedding)
+        });
+        return vectorized;
+    }
+
+    /**
+     * Identifies how vectors are currently made; only vectors made the same
+     * way can be compared with each other.
+     * @returns {string} 'lexical', or 'embedding:' plus the provider and model.
+     */
+    getVectorSpace() {
+        return this.strategyUsed === 'lexical' ? 'lexical' : `embedding:${this.embeddingService.cache.namespace}`;
+    }
+
+    /**
+     * Vectorizes items along with the reference items they are deduplicated
+     * against. Stored reference vectors are reused if they were made the same
+     * way as the items' vectors; otherwise the references are vectorized again.
+     * @param {object[]} items - Items with a 'body' property.
+     * @param {object[]} references - Items with a 'body' and possibly a stored 'embedding'.
+     * @param {function} onProgress - Callback for embedding progress.
+     * @returns {Promise<{items: object[], references: object[]}>} Both, with an 'embedding' property.
+     */
+    async vectorizeWithReferences(items, references, onProgress = () => {}) {
+        const storedSpace = this.previous?.vectorSpace;
+        if (references.length === 0 || references.some(ref => !ref.embedding) || storedSpace !== this.getVectorSpace()) {
+            const vectorized = await this.vectorize([...references, ...items], onProgress);
+            return { items: vectorized.slice(references.length), references: vectorized.slice(0, references.length) };
+        }
+
+        const vectorized = await this.vectorize(items, onProgress);
+        if (this.getVectorSpace() !== storedSpace) {
+            // The provider failed and text is compared instead; the stored embeddings no longer fit
+            return { items: vectorized, references: this.lexicalVectorizer.vectorizeAll(references) };
+        }
+        return { items: vectorized, references };
+    }
+
+    /**
+     * Splits each message into paragraphs and embeds every non-trivial one.
+     * @param {object[]} messages - Messages with a 'body' property.
+     * @param {object[]} [references] - Paragraphs to compare against, as { id, body, embedding? }.
+     * @returns {Promise<{messages: object[], references: object[]}>} Messages with a
+     * 'chunks' array of { text, embedding }, and the references with their vectors.
+     */
+    async embedParagraphs(messages, references = []) {
+        const chunkedMessages = messages.map(message => ({
+            ...message,
+            chunks: this.deduplicator.splitParagraphs(message.body).map(text => ({ text, embedding: null }))
+        }));
+
+        const paragraphs = [];
+        for (const message of chunkedMessages) {
+            for (const chunk of message.chunks) {
+                if (chunk.text.length >= MIN_PARAGRAPH_LENGTH) {
+                    paragraphs.push({ id: message.id, body: chunk.text, chunk });
+                }
+            }
+        }
+
+        const { items: embedded, references: vectorizedReferences } = await this.vectorizeWithReferences(
+            paragraphs,
+            references,
+            (current, total) => this.progressReporter.reportProgress(70 + Math.round((current/total)*5), 100, `Generating paragraph embedding ${current} of ${total}...`)
+        );
+        for (const paragraph of embedded) {
+            paragraph.chunk.embedding = paragraph.embedding;
+        }
+        return { messages: chunkedMessages, references: vectorizedReferences };
     }
 }
@@ -0,0 +1,81 @@
+/**
+ * @file database.js
+ * @description Opens the extension's IndexedDB database and wraps its
+ * request/transaction events in promises. Used for data that is too large
+ * or too frequently written for messenger.storage.local (e.g. embeddings,
+ * collation checkpoints, report manifests).
+ */
+
+const DB_NAME = 'emailCollation';
+const DB_VERSION = 3;
+
+export const STORES = {
+    EMBEDDINGS: 'embeddings',
+    JOBS: 'jobs',
+    CHECKPOINTS: 'checkpoints',
+    REPORTS: 'reports'
+};
+
+let dbPromise = null;
+
+/**
+ * Opens (and if needed creates or upgrades) the extension database.
+ * The connection is shared for the lifetime of the background page.
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+export function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORES.EMBEDDINGS)) {
+                    const store = db.createObjectStore(STORES.EMBEDDINGS, { keyPath: 'key' });
+                    store.createIndex('lastUsed', 'lastUsed');
+                }
+                if (!db.objectStoreNames.contains(STORES.JOBS)) {
+                    db.createObjectStore(STORES.JOBS, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(STORES.CHECKPOINTS)) {
+                    const store = db.createObjectStore(STORES.CHECKPOINTS, { keyPath: 'key' });
+                    store.createIndex('jobId', 'jobId');
+                }
+                if (!db.objectStoreNames.contains(STORES.REPORTS)) {
+                    db.createObjectStore(STORES.REPORTS, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null; // Allow a later call to retry
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Resolves with the result of an IDBRequest.
+ * @param {IDBRequest} request - The request to wait for.
+ * @returns {Promise<any>} The request result.
+ */
+export function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolves once a transaction has committed.
+ * @param {IDBTransaction} transaction - The transaction to wait for.
+ * @returns {Promise<void>}
+ */
+export function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
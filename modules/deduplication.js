@@ -1,55 +1,245 @@
 /**
  * @file deduplication.js
  * @description Uses embeddings to find and remove duplicate messages.
+ * The similar-pair search itself runs in a Web Worker (see similarity.js).
  */
+import { packVectors, findSimilarPairs } from './similarity.js';
+
+// Smaller inputs are searched on the calling thread; a worker isn't worth starting
+const WORKER_MIN_ITEMS = 200;
+
+// Paragraphs shorter than this (greetings, sign-offs) are kept without comparison
+export const MIN_PARAGRAPH_LENGTH = 20;
 
 export class Deduplicator {
     constructor(similarityThreshold = 0.95) {
         // A high threshold means messages must be very similar to be duplicates.
         this.threshold = similarityThreshold;
+        // Every removal, so reports can show what was dropped and why
+        this.decisions = [];
     }
 
     /**
      * Deduplicates a list of messages based on embedding similarity.
      * @param {object[]} messages - Array of messages with an 'embedding' property.
-     * @returns {object[]} A new array with duplicate messages removed.
+     * @returns {Promise<object[]>} A new array with duplicate messages removed.
      */
-    deduplicate(messages) {
-        const uniqueMessages = [];
-        const messageEmbeddings = messages
-            .filter(m => m.embedding && m.embedding.length > 0)
-            .map(m => m.embedding);
-        
+    async deduplicate(messages) {
+        const neighbors = await this.findNeighbors(messages.map(m => m.embedding));
         const isDuplicate = new Array(messages.length).fill(false);
 
         for (let i = 0; i < messages.length; i++) {
-            if (isDuplicate[i] || !messages[i].embedding) continue;
-
-            for (let j = i + 1; j < messages.length; j++) {
-                if (isDuplicate[j] || !messages[j].embedding) continue;
-                
-                const similarity = this.cosineSimilarity(messages[i].embedding, messages[j].embedding);
-                
-                if (similarity > this.threshold) {
-                    // Mark the shorter message as a duplicate.
-                    // This tends to preserve the more complete message in a thread.
-                    if (messages[i].body.length > messages[j].body.length) {
-                        isDuplicate[j] = true;
-                    } else {
-                        isDuplicate[i] = true;
-                        break; // Move to the next i
-                    }
+            if (isDuplicate[i]) continue;
+
+            for (const { index: j, similarity } of neighbors[i]) {
+                if (j <= i || isDuplicate[j]) continue;
+
+                // Mark the shorter message as a duplicate.
+                // This tends to preserve the more complete message in a thread.
+                if (messages[i].body.length > messages[j].body.length) {
+                    isDuplicate[j] = true;
+                    this.recordMessageDecision(messages[j], messages[i], similarity);
+                } else {
+                    isDuplicate[i] = true;
+                    this.recordMessageDecision(messages[i], messages[j], similarity);
+                    break; // Move to the next i
                 }
             }
         }
         
-        for (let i = 0; i < messages.length; i++) {
-            if (!isDuplicate[i]) {
-                uniqueMessages.push(messages[i]);
+        return messages.filter((message, i) => !isDuplicate[i]);
+    }
+
+    /**
+     * Removes the messages that are similar to one of a set of reference
+     * messages, e.g. those already in a report being updated. The references
+     * are never removed, whatever their length.
+     * @param {object[]} messages - Messages with an 'embedding' property.
+     * @param {object[]} references - Messages with an 'embedding' property to compare against.
+     * @returns {Promise<object[]>} The messages not similar to any reference.
+     */
+    async deduplicateAgainst(messages, references) {
+        if (references.length === 0) {
+            return messages;
+        }
+        const neighbors = await this.findNeighbors([...references, ...messages].map(m => m.embedding));
+        return messages.filter((message, i) => {
+            const matches = neighbors[references.length + i].filter(neighbor => neighbor.index < references.length);
+            if (matches.length === 0) {
+                return true;
             }
+            const best = matches.reduce((a, b) => (b.similarity > a.similarity ? b : a));
+            this.recordMessageDecision(message, references[best.index], best.similarity);
+            return false;
+        });
+    }
+
+    /**
+     * Finds, for every embedding, the other embeddings above the similarity threshold.
+     * @param {Array<number[]|null>} embeddings - One embedding (or null) per item.
+     * @returns {Promise<Array<Array<{index: number, similarity: number}>>>} For each item,
+     * its similar items in ascending index order.
+     */
+    async findNeighbors(embeddings) {
+        const { data, valid, dimensions } = packVectors(embeddings);
+        const pairs = embeddings.length >= WORKER_MIN_ITEMS && typeof Worker !== 'undefined'
+            ? await this.findPairsInWorker(data, valid, dimensions)
+            : findSimilarPairs(data, valid, dimensions, this.threshold);
+
+        const neighbors = embeddings.map(() => []);
+        for (const { i, j, similarity } of pairs) {
+            neighbors[i].push({ index: j, similarity });
+            neighbors[j].push({ index: i, similarity });
         }
-        
-        return uniqueMessages;
+        for (const list of neighbors) {
+            list.sort((a, b) => a.index - b.index);
+        }
+        return neighbors;
+    }
+
+    /**
+     * Runs findSimilarPairs in a Web Worker so the background script stays
+     * responsive, falling back to the current thread if the worker fails.
+     */
+    findPairsInWorker(data, valid, dimensions) {
+        return new Promise((resolve) => {
+            const fallback = (reason) => {
+                console.warn("Similarity worker unavailable, searching on the main thread:", reason);
+                resolve(findSimilarPairs(data, valid, dimensions, this.threshold));
+            };
+
+            let worker;
+            try {
+                worker = new Worker(new URL('./similarity-worker.js', import.meta.url), { type: 'module' });
+            } catch (error) {
+                fallback(error);
+                return;
+            }
+
+            worker.onmessage = (event) => {
+                worker.terminate();
+                if (event.data.status === 'success') {
+                    resolve(event.data.pairs);
+                } else {
+                    fallback(event.data.message);
+                }
+            };
+            worker.onerror = (event) => {
+                event.preventDefault();
+                worker.terminate();
+                fallback(event.message);
+            };
+            worker.postMessage({ data, valid, dimensions, threshold: this.threshold });
+        });
+    }
+
+    /**
+     * Records that one message was removed as a duplicate of another.
+     * @param {object} removed - The dropped message.
+     * @param {object} kept - The message it matched.
+     * @param {number} similarity - The cosine similarity of the two.
+     * @param {string} [basis='message'] - 'paragraphs' if the message was dropped
+     * because each of its paragraphs matched an earlier one.
+     */
+    recordMessageDecision(removed, kept, similarity, basis = 'message') {
+        this.decisions.push({
+            type: 'message',
+            removedId: removed.id,
+            keptId: kept.id,
+            similarity,
+            basis
+        });
+    }
+
+    /**
+     * Splits a body into paragraphs at blank lines.
+     * @param {string} text - The body text.
+     * @returns {string[]} The non-empty paragraphs.
+     */
+    splitParagraphs(text) {
+        return text
+            .split(/\n\s*\n/)
+            .map(paragraph => paragraph.trim())
+            .filter(paragraph => paragraph.length > 0);
+    }
+
+    /**
+     * Deduplicates at paragraph level: walking the messages in order, every
+     * paragraph similar to one already seen earlier is removed, so each message
+     * keeps only its novel paragraphs. Messages left with nothing new are dropped
+     * and recorded as duplicates of the message their first paragraph matched.
+     * @param {object[]} messages - Chronologically sorted messages with a 'chunks'
+     * array of { text, embedding } paragraphs.
+     * @param {object[]} [references] - Paragraphs seen before all of the messages,
+     * as { id (of their message), body, embedding }, e.g. from a report being updated.
+     * @returns {Promise<object[]>} Messages whose 'body' holds only their novel paragraphs.
+     */
+    async deduplicateParagraphs(messages, references = []) {
+        const chunks = references.map(reference => ({
+            message: null,
+            messageId: reference.id,
+            chunk: { text: reference.body, embedding: reference.embedding }
+        }));
+        for (const message of messages) {
+            message.chunks.forEach((chunk, index) => chunks.push({ message, messageId: message.id, chunk, index }));
+        }
+        const neighbors = await this.findNeighbors(chunks.map(entry => entry.chunk.embedding));
+        const novelChunks = new Map(messages.map(message => [message, []]));
+        const counts = new Map(messages.map(message => [message, { compared: 0, novel: 0 }]));
+        // Per message: the first paragraph's match and the lowest paragraph score
+        const matches = new Map();
+
+        chunks.forEach(({ message, chunk, index }, position) => {
+            if (!message) {
+                return; // A reference paragraph: already seen
+            }
+            if (!chunk.embedding) {
+                // Too short to compare, or embedding failed: keep it
+                novelChunks.get(message).push(chunk);
+                return;
+            }
+            counts.get(message).compared++;
+
+            // The first similar paragraph earlier in the timeline, if any
+            const match = neighbors[position].find(neighbor => neighbor.index < position);
+            if (match) {
+                const decision = {
+                    type: 'paragraph',
+                    messageId: message.id,
+                    paragraphIndex: index,
+                    text: chunk.text,
+                    matchedMessageId: chunks[match.index].messageId,
+                    similarity: match.similarity
+                };
+                this.decisions.push(decision);
+                const seen = matches.get(message);
+                if (seen) {
+                    seen.lowest = Math.min(seen.lowest, match.similarity);
+                } else {
+                    matches.set(message, { matchedMessageId: decision.matchedMessageId, lowest: match.similarity });
+                }
+            } else {
+                novelChunks.get(message).push(chunk);
+                counts.get(message).novel++;
+            }
+        });
+
+        // Keep messages with new content, and those we could not compare at all
+        const kept = [];
+        for (const message of messages) {
+            const { compared, novel } = counts.get(message);
+            if (novel > 0 || compared === 0) {
+                kept.push(message);
+                continue;
+            }
+            const { matchedMessageId, lowest } = matches.get(message);
+            this.recordMessageDecision(message, { id: matchedMessageId }, lowest, 'paragraphs');
+        }
+        return kept.map(message => ({
+            ...message,
+            body: novelChunks.get(message).map(chunk => chunk.text).join('\n\n'),
+            omittedParagraphs: message.chunks.length - novelChunks.get(message).length
+        }));
     }
 
     /**
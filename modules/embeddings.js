@@ -1,46 +1,172 @@
 /**
  * @file embeddings.js
- * @description Manages communication with embedding APIs (Ollama, Gemini).
- * Includes caching and rate limiting.
+ * @description Manages communication with embedding APIs (Ollama, Gemini and
+ * OpenAI-compatible servers such as LM Studio, llama.cpp or vLLM).
+ * Includes batching, concurrency, caching and rate limiting.
  */
-import { RateLimiter, EmbeddingCache } from './utils.js';
+import { RateLimiter, EmbeddingCache, ConcurrencyPool } from './utils.js';
+
+const GEMINI_MODEL = 'text-embedding-004';
+// batchEmbedContents accepts at most 100 requests per call
+const GEMINI_MAX_BATCH_SIZE = 100;
+const DEFAULT_BATCH_SIZES = { ollama: 32, gemini: 100, openai: 32 };
+export const DEFAULT_OPENAI_BASE_URL = 'http://localhost:1234/v1';
+const DEFAULT_CONCURRENCY = 2;
+
+/**
+ * Whether a provider's requests go to a cloud service with a request quota.
+ * Local servers (Ollama, or an OpenAI-compatible server on this machine) are
+ * only limited by the concurrency setting.
+ * @param {string} provider - 'ollama', 'gemini' or 'openai'.
+ * @param {object} config - The provider's settings.
+ * @returns {boolean} True if requests must be throttled.
+ */
+export function isCloudProvider(provider, config = {}) {
+    if (provider === 'gemini') {
+        return true;
+    }
+    if (provider === 'openai') {
+        try {
+            const { hostname } = new URL(config.baseUrl || DEFAULT_OPENAI_BASE_URL);
+            return !['localhost', '127.0.0.1', '[::1]'].includes(hostname);
+        } catch (e) {
+            return true;
+        }
+    }
+    return false;
+}
 
 export class EmbeddingService {
     constructor(settings) {
         this.provider = settings.provider || 'ollama';
-        this.config = settings[this.provider];
-        this.cache = new EmbeddingCache(1000); // Cache up to 1000 embeddings
+        this.config = settings[this.provider] || {};
+        // Cached vectors are only reusable for the same provider, model and size
+        const dimensions = this.getDimensions();
+        this.cache = new EmbeddingCache(
+            settings.cache?.maxEntries || 20000,
+            `${this.provider}:${this.getModelName()}` + (dimensions ? `:${dimensions}` : '')
+        );
         
         // Gemini API has a default limit of 60 requests per minute.
-        // We set a conservative limit here.
+        // We set a conservative limit here; a batch counts as one request.
+        // Only applied to cloud endpoints (see isRateLimited).
         this.rateLimiter = new RateLimiter(45, 60 * 1000); 
+        // Batch requests in flight at once
+        this.pool = new ConcurrencyPool(settings.concurrency?.embedding || DEFAULT_CONCURRENCY);
+    }
+
+    /**
+     * Whether requests must be throttled, see isCloudProvider.
+     * @returns {boolean} True if requests must be throttled.
+     */
+    isRateLimited() {
+        return isCloudProvider(this.provider, this.config);
+    }
+
+    /**
+     * Returns the name of the model embeddings are requested from.
+     * @returns {string} The model name.
+     */
+    getModelName() {
+        if (this.provider === 'gemini') {
+            return GEMINI_MODEL;
+        }
+        if (this.provider === 'openai') {
+            return this.config.model || 'text-embedding-nomic-embed-text-v1.5';
+        }
+        return this.config.model || 'nomic-embed-text';
     }
 
     /**
-     * Generates embeddings for an array of message objects.
+     * Returns the requested embedding size for providers that support
+     * shortening vectors (OpenAI-compatible servers).
+     * @returns {number|null} The number of dimensions, or null for the model's default.
+     */
+    getDimensions() {
+        if (this.provider !== 'openai') {
+            return null;
+        }
+        return parseInt(this.config.dimensions, 10) || null;
+    }
+
+    /**
+     * Returns how many texts are sent per embedding request.
+     * @returns {number} The batch size (at least 1).
+     */
+    getBatchSize() {
+        const limit = this.provider === 'gemini' ? GEMINI_MAX_BATCH_SIZE : Infinity;
+        const size = parseInt(this.config.batchSize, 10) || DEFAULT_BATCH_SIZES[this.provider] || 1;
+        return Math.max(1, Math.min(size, limit));
+    }
+
+    /**
+     * Generates embeddings for an array of message objects. Cached embeddings
+     * are used as they are; the rest are requested in batches, several at once.
      * @param {object[]} messages - Messages with a 'body' property.
-     * @param {function} onProgress - Callback for progress updates.
+     * @param {function} onProgress - Callback for progress updates. If it returns
+     * a promise, it is awaited, so the caller can pause or abort (by throwing).
      * @returns {Promise<object[]>} Messages with an added 'embedding' property.
      */
     async generateEmbeddingsForMessages(messages, onProgress = () => {}) {
-        const messagesWithEmbeddings = [];
+        const messagesWithEmbeddings = new Array(messages.length);
+        const pending = [];
         let count = 0;
+
+        for (const [index, message] of messages.entries()) {
+            const cached = await this.cache.get(message.body);
+            if (cached) {
+                messagesWithEmbeddings[index] = { ...message, embedding: cached };
+                count++;
+                await onProgress(count, messages.length);
+            } else {
+                pending.push(index);
+            }
+        }
+
+        const batchSize = this.getBatchSize();
+        const batches = [];
+        for (let start = 0; start < pending.length; start += batchSize) {
+            batches.push(pending.slice(start, start + batchSize));
+        }
+        await this.pool.map(batches, async (batch) => {
+            const embeddings = await this.getBatchEmbeddingsSafely(batch.map(index => messages[index]));
+            for (const [position, index] of batch.entries()) {
+                messagesWithEmbeddings[index] = { ...messages[index], embedding: embeddings[position] };
+                count++;
+                await onProgress(count, messages.length);
+            }
+        });
+        return messagesWithEmbeddings;
+    }
+
+    /**
+     * Embeds a batch of messages. If the batch request fails, each message is
+     * retried on its own so one bad input does not cost the whole batch.
+     * @param {object[]} messages - Messages with a 'body' property.
+     * @returns {Promise<Array<number[]|null>>} One embedding (or null on failure) per message.
+     */
+    async getBatchEmbeddingsSafely(messages) {
+        if (messages.length > 1) {
+            try {
+                return await this.getEmbeddings(messages.map(message => message.body));
+            } catch (error) {
+                console.warn(`Batch embedding request for ${messages.length} messages failed, retrying one by one:`, error.message);
+            }
+        }
+
+        const embeddings = [];
         for (const message of messages) {
             try {
-                const embedding = await this.getEmbedding(message.body);
-                messagesWithEmbeddings.push({ ...message, embedding });
+                embeddings.push(await this.getEmbedding(message.body));
             } catch (error) {
                 console.warn(`Could not generate embedding for message ID ${message.id}:`, error.message);
-                // Push message without embedding to not lose it
-                messagesWithEmbeddings.push({ ...message, embedding: null });
+                // Keep the message without an embedding so it is not lost
+                embeddings.push(null);
             }
-            count++;
-            onProgress(count, messages.length);
         }
-        return messagesWithEmbeddings;
+        return embeddings;
     }
 
-
     /**
      * Gets an embedding for a given text, using cache if available.
      * @param {string} text - The text to embed.
@@ -52,13 +178,17 @@ export class EmbeddingService {
             return cached;
         }
 
-        await this.rateLimiter.throttle();
+        if (this.isRateLimited()) {
+            await this.rateLimiter.throttle();
+        }
 
         let embedding;
         if (this.provider === 'ollama') {
             embedding = await this.getOllamaEmbedding(text);
         } else if (this.provider === 'gemini') {
             embedding = await this.getGeminiEmbedding(text);
+        } else if (this.provider === 'openai') {
+            [embedding] = await this.getOpenAiEmbeddings([text]);
         } else {
             throw new Error(`Unsupported embedding provider: ${this.provider}`);
         }
@@ -67,6 +197,37 @@ export class EmbeddingService {
         return embedding;
     }
 
+    /**
+     * Gets embeddings for several texts with a single request and caches them.
+     * Does not consult the cache; callers filter out cached texts first.
+     * @param {string[]} texts - The texts to embed.
+     * @returns {Promise<number[][]>} One embedding vector per text, in order.
+     */
+    async getEmbeddings(texts) {
+        if (this.isRateLimited()) {
+            await this.rateLimiter.throttle();
+        }
+
+        let embeddings;
+        if (this.provider === 'ollama') {
+            embeddings = await this.getOllamaEmbeddings(texts);
+        } else if (this.provider === 'gemini') {
+            embeddings = await this.getGeminiEmbeddings(texts);
+        } else if (this.provider === 'openai') {
+            embeddings = await this.getOpenAiEmbeddings(texts);
+        } else {
+            throw new Error(`Unsupported embedding provider: ${this.provider}`);
+        }
+
+        if (!Array.isArray(embeddings) || embeddings.length !== texts.length) {
+            throw new Error(`Expected ${texts.length} embeddings, received ${embeddings?.length ?? 'none'}`);
+        }
+        for (const [i, text] of texts.entries()) {
+            await this.cache.set(text, embeddings[i]);
+        }
+        return embeddings;
+    }
+
     /**
      * Fetches an embedding from a local Ollama instance.
      * @param {string} text - The text to embed.
@@ -78,7 +239,7 @@ export class EmbeddingService {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
-                model: this.config.model || 'nomic-embed-text',
+                model: this.getModelName(),
                 prompt: text,
             }),
         });
@@ -102,12 +263,12 @@ export class EmbeddingService {
             throw new Error("Gemini API key is missing.");
         }
         
-        const url = `https://generativelanguage.googleapis.com/v1beta/models/text-embedding-004:embedContent?key=${apiKey}`;
+        const url = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:embedContent?key=${apiKey}`;
         const response = await fetch(url, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
-                model: "models/text-embedding-004",
+                model: `models/${GEMINI_MODEL}`,
                 content: { parts: [{ text }] }
             }),
         });
@@ -117,6 +278,177 @@ export class EmbeddingService {
             throw new Error(`Gemini API error (${response.status}): ${errorBody.error.message}`);
         }
         const data = await response.json();
-        return data.embedding.value;
+        return data.embedding.values;
+    }
+
+    /**
+     * Fetches embeddings for several texts from a local Ollama instance
+     * using the batch endpoint (Ollama 0.3 and later).
+     * @param {string[]} texts - The texts to embed.
+     * @returns {Promise<number[][]>} The embedding vectors.
+     */
+    async getOllamaEmbeddings(texts) {
+        const endpoint = this.config.endpoint || 'http://localhost:11434';
+        const response = await fetch(`${endpoint}/api/embed`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                model: this.getModelName(),
+                input: texts,
+            }),
+        });
+
+        if (!response.ok) {
+            const errorBody = await response.text();
+            throw new Error(`Ollama API error (${response.status}): ${errorBody}`);
+        }
+        const data = await response.json();
+        return data.embeddings;
+    }
+
+    /**
+     * Fetches embeddings for several texts from the Google Gemini API.
+     * @param {string[]} texts - The texts to embed (at most GEMINI_MAX_BATCH_SIZE).
+     * @returns {Promise<number[][]>} The embedding vectors.
+     */
+    async getGeminiEmbeddings(texts) {
+        const apiKey = this.config.apiKey;
+        if (!apiKey) {
+            throw new Error("Gemini API key is missing.");
+        }
+
+        const url = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:batchEmbedContents?key=${apiKey}`;
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                requests: texts.map(text => ({
+                    model: `models/${GEMINI_MODEL}`,
+                    content: { parts: [{ text }] }
+                }))
+            }),
+        });
+
+        if (!response.ok) {
+            const errorBody = await response.json();
+            throw new Error(`Gemini API error (${response.status}): ${errorBody.error.message}`);
+        }
+        const data = await response.json();
+        return (data.embeddings || []).map(embedding => embedding.values);
+    }
+
+    /**
+     * Fetches embeddings from a server implementing the OpenAI embeddings API
+     * (LM Studio, llama.cpp server, vLLM, ...). The API accepts a single text
+     * or a batch, so this is used for both.
+     * @param {string[]} texts - The texts to embed.
+     * @returns {Promise<number[][]>} The embedding vectors, in input order.
+     */
+    async getOpenAiEmbeddings(texts) {
+        const baseUrl = (this.config.baseUrl || DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, '');
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.config.apiKey) {
+            headers.Authorization = `Bearer ${this.config.apiKey}`;
+        }
+        const body = {
+            model: this.getModelName(),
+            input: texts,
+            encoding_format: 'float'
+        };
+        const dimensions = this.getDimensions();
+        if (dimensions) {
+            body.dimensions = dimensions;
+        }
+
+        const response = await fetch(`${baseUrl}/embeddings`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body),
+        });
+
+        if (!response.ok) {
+            const errorBody = await response.text();
+            throw new Error(`OpenAI-compatible API error (${response.status}): ${errorBody}`);
+        }
+        const data = await response.json();
+        // Entries carry their input index; not every server returns them in order
+        return (data.data || [])
+            .slice()
+            .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+            .map(entry => entry.embedding);
+    }
+}
+
+/**
+ * Embeds texts while they are still being produced (e.g. during message
+ * extraction), so the provider is busy while Thunderbird reads messages.
+ * Pushed texts are collected into batches and sent through the service's
+ * concurrency pool; the results only fill the embedding cache, from which
+ * generateEmbeddingsForMessages picks them up. Failures are left for that
+ * later call to retry and report, and stop any further streaming.
+ */
+export class EmbeddingStream {
+    /**
+     * @param {EmbeddingService} service - The service to embed with.
+     * @param {function(number): void} [onSettled] - Called with the number of
+     * texts whenever a batch has been embedded, was cached, or failed.
+     */
+    constructor(service, onSettled = () => {}) {
+        this.service = service;
+        this.onSettled = onSettled;
+        this.queue = [];
+        this.inFlight = new Set();
+        this.failed = false;
+    }
+
+    /**
+     * Adds a text; a batch is sent once enough texts have been queued.
+     * @param {string} text - The text to embed.
+     */
+    push(text) {
+        this.queue.push(text);
+        if (this.queue.length >= this.service.getBatchSize()) {
+            this.flush();
+        }
+    }
+
+    flush() {
+        if (this.queue.length === 0) return;
+        const batch = this.queue.splice(0);
+        const task = this.service.pool.run(() => this.embedBatch(batch))
+            .finally(() => {
+                this.inFlight.delete(task);
+                this.onSettled(batch.length);
+            });
+        this.inFlight.add(task);
+    }
+
+    async embedBatch(texts) {
+        if (this.failed) return;
+        try {
+            const uncached = [];
+            for (const text of texts) {
+                if (!(await this.service.cache.get(text))) {
+                    uncached.push(text);
+                }
+            }
+            if (uncached.length > 0) {
+                await this.service.getEmbeddings(uncached);
+            }
+        } catch (error) {
+            console.warn("Streaming embedding request failed; remaining texts will be embedded afterwards:", error.message);
+            this.failed = true;
+        }
+    }
+
+    /**
+     * Sends the last partial batch and waits for all requests to finish.
+     * @returns {Promise<void>}
+     */
+    async close() {
+        this.flush();
+        while (this.inFlight.size > 0) {
+            await Promise.all(this.inFlight);
+        }
     }
 }
@@ -0,0 +1,148 @@
+/**
+ * @file filters.js
+ * @description Optional filters that narrow down which messages of the
+ * selected senders are collated: an end date, accounts and folders, subject,
+ * body and recipient keywords, tags and read/flagged state. They map onto
+ * messenger.messages.query; only the Trash and Junk folder exclusions are
+ * applied to the query results, since folders can't be excluded in a query.
+ */
+
+export const DEFAULT_FILTERS = {
+    toDate: null,
+    accounts: [],      // [{ id, name }]
+    folders: [],       // [{ id, name }]
+    excludeTrash: false,
+    excludeJunk: false,
+    subject: '',
+    body: '',
+    recipients: '',
+    tags: [],          // [{ key, name }]
+    tagMode: 'any',    // 'any' or 'all'
+    read: null,        // true, false or null for either
+    flagged: null      // true, false or null for either
+};
+
+/**
+ * Fills in defaults and trims keywords, so filters from the popup, presets
+ * and older jobs (which have none) can be used alike.
+ * @param {object} [filters] - The filters, possibly partial.
+ * @returns {object} Complete filters.
+ */
+export function normalizeFilters(filters = {}) {
+    const normalized = { ...DEFAULT_FILTERS, ...filters };
+    for (const key of ['subject', 'body', 'recipients']) {
+        normalized[key] = (normalized[key] || '').trim();
+    }
+    for (const key of ['accounts', 'folders', 'tags']) {
+        normalized[key] = Array.isArray(normalized[key]) ? normalized[key] : [];
+    }
+    normalized.tagMode = normalized.tagMode === 'all' ? 'all' : 'any';
+    return normalized;
+}
+
+/**
+ * Checks whether any filter differs from the defaults.
+ * @param {object} filters - Normalized filters.
+ * @returns {boolean} True if the filters narrow down the messages.
+ */
+export function hasFilters(filters) {
+    return describeFilters(filters).length > 0;
+}
+
+/**
+ * Builds the messenger.messages.query options for one sender.
+ * @param {string|null} sender - The author to query for; null for all authors.
+ * @param {string|null} fromDate - ISO date string.
+ * @param {object} filters - Normalized filters.
+ * @returns {object} The query info.
+ */
+export function buildQueryInfo(sender, fromDate, filters) {
+    const queryInfo = { includeSubFolders: true };
+    if (sender) {
+        queryInfo.author = sender;
+    }
+    if (fromDate) {
+        queryInfo.fromDate = new Date(fromDate);
+    }
+    if (filters.toDate) {
+        queryInfo.toDate = new Date(filters.toDate);
+    }
+    if (filters.accounts.length > 0) {
+        queryInfo.accountId = filters.accounts.map(account => account.id);
+    }
+    if (filters.folders.length > 0) {
+        queryInfo.folderId = filters.folders.map(folder => folder.id);
+    }
+    for (const key of ['subject', 'body', 'recipients']) {
+        if (filters[key]) {
+            queryInfo[key] = filters[key];
+        }
+    }
+    if (filters.tags.length > 0) {
+        queryInfo.tags = {
+            mode: filters.tagMode,
+            tags: Object.fromEntries(filters.tags.map(tag => [tag.key, true]))
+        };
+    }
+    if (filters.read !== null) {
+        queryInfo.read = filters.read;
+    }
+    if (filters.flagged !== null) {
+        queryInfo.flagged = filters.flagged;
+    }
+    if (filters.excludeJunk) {
+        queryInfo.junk = false; // Junk-flagged messages outside the Junk folder, too
+    }
+    return queryInfo;
+}
+
+/**
+ * Checks whether a query result lies in a folder the filters exclude.
+ * @param {object} header - A message header from messenger.messages.query.
+ * @param {object} filters - Normalized filters.
+ * @returns {boolean} True if the message should be left out.
+ */
+export function isInExcludedFolder(header, filters) {
+    const specialUse = header.folder?.specialUse || [];
+    return (filters.excludeTrash && specialUse.includes('trash'))
+        || (filters.excludeJunk && specialUse.includes('junk'));
+}
+
+/**
+ * Describes the active filters for report headers, e.g.
+ * ['until 3/31/2024', 'subject contains "budget"', 'unread'].
+ * @param {object} filters - Normalized filters.
+ * @returns {string[]} One description per active filter; empty without filters.
+ */
+export function describeFilters(filters) {
+    const parts = [];
+    const names = items => items.map(item => item.name).join(', ');
+    if (filters.toDate) {
+        parts.push(`until ${new Date(filters.toDate).toLocaleDateString()}`);
+    }
+    if (filters.accounts.length > 0) {
+        parts.push(`accounts: ${names(filters.accounts)}`);
+    }
+    if (filters.folders.length > 0) {
+        parts.push(`folders: ${names(filters.folders)}`);
+    }
+    const excluded = [filters.excludeTrash && 'Trash', filters.excludeJunk && 'Junk'].filter(Boolean);
+    if (excluded.length > 0) {
+        parts.push(`excluding ${excluded.join(' and ')}`);
+    }
+    for (const [key, label] of [['subject', 'subject'], ['body', 'body'], ['recipients', 'recipients']]) {
+        if (filters[key]) {
+            parts.push(`${label} contain${key === 'recipients' ? '' : 's'} "${filters[key]}"`);
+        }
+    }
+    if (filters.tags.length > 0) {
+        parts.push(`tagged ${filters.tags.map(tag => tag.name).join(filters.tagMode === 'all' ? ' and ' : ' or ')}`);
+    }
+    if (filters.read !== null) {
+        parts.push(filters.read ? 'read' : 'unread');
+    }
+    if (filters.flagged !== null) {
+        parts.push(filters.flagged ? 'flagged' : 'not flagged');
+    }
+    return parts;
+}
@@ -0,0 +1,167 @@
+/**
+ * @file identities.js
+ * @description Sender identities: parses author strings such as
+ * '"Doe, Jane" <JANE@corp.com>' into a normalized name and address, and
+ * resolves the senders selected for a collation (addresses, whole domains
+ * like '@vendor.com', or person groups that merge several addresses) into
+ * message queries and per-message attributions.
+ */
+
+export const GROUP_PREFIX = 'group:';
+
+/**
+ * Splits an author string into display name and address. Addresses are
+ * lowercased, quotes and escapes are removed from names, and 'Last, First'
+ * names are turned around.
+ * @param {string} author - E.g. 'Jane Doe <jane@corp.com>', 'jane@corp.com'
+ * or 'jane@corp.com (Jane Doe)'.
+ * @returns {{name: string, address: string}} The parts; either may be empty.
+ */
+export function parseAuthor(author) {
+    const text = (author || '').trim();
+    const angled = text.match(/^(.*?)\s*<([^<>]*)>\s*$/);
+    if (angled) {
+        return { name: cleanName(angled[1]), address: angled[2].trim().toLowerCase() };
+    }
+    const commented = text.match(/^(\S+@\S+)\s*\((.*)\)$/);
+    if (commented) {
+        return { name: cleanName(commented[2]), address: commented[1].toLowerCase() };
+    }
+    const bare = text.match(/[^\s<>"]+@[^\s<>"]+/);
+    return bare
+        ? { name: cleanName(text.replace(bare[0], '')), address: bare[0].toLowerCase() }
+        : { name: cleanName(text), address: '' };
+}
+
+function cleanName(name) {
+    const unquoted = name.trim().replace(/^"(.*)"$/, '$1').replace(/\\(.)/g, '$1').trim();
+    const inverted = unquoted.match(/^([^,]+),\s*([^,]+)$/);
+    return inverted ? `${inverted[2].trim()} ${inverted[1].trim()}` : unquoted;
+}
+
+/**
+ * Interprets one selected sender.
+ * @param {string} value - An address or author string, '@domain', a name,
+ * or 'group:<id>' for a person group.
+ * @returns {object} { type: 'address', address }, { type: 'domain', domain },
+ * { type: 'name', name } or { type: 'group', id }.
+ */
+export function parseSelection(value) {
+    const text = (value || '').trim();
+    if (text.startsWith(GROUP_PREFIX)) {
+        return { type: 'group', id: text.slice(GROUP_PREFIX.length) };
+    }
+    if (/^@[^\s@<>]+$/.test(text)) {
+        return { type: 'domain', domain: text.slice(1).toLowerCase() };
+    }
+    const { name, address } = parseAuthor(text);
+    return address ? { type: 'address', address } : { type: 'name', name };
+}
+
+/**
+ * Describes a parsed selection, e.g. 'jane@corp.com' or '@vendor.com'.
+ * @param {object} selection - A selection from parseSelection.
+ * @returns {string} The description.
+ */
+function describeSelection(selection) {
+    switch (selection.type) {
+        case 'address': return selection.address;
+        case 'domain': return `@${selection.domain}`;
+        case 'group': return `${GROUP_PREFIX}${selection.id}`;
+        default: return selection.name;
+    }
+}
+
+/**
+ * Checks whether a parsed author belongs to a selection.
+ */
+function selectionMatches(selection, author) {
+    switch (selection.type) {
+        case 'address':
+            return author.address === selection.address;
+        case 'domain': {
+            // Subdomains belong to the domain, e.g. mail.vendor.com to @vendor.com
+            const domain = author.address.slice(author.address.lastIndexOf('@') + 1);
+            return domain === selection.domain || domain.endsWith(`.${selection.domain}`);
+        }
+        case 'name':
+            return author.name.toLowerCase().includes(selection.name.toLowerCase());
+        default:
+            return false;
+    }
+}
+
+/**
+ * The senders of a collation, each collated as one entity: an address, a
+ * whole domain, a name, or a person group of several of those.
+ */
+export class SenderMatcher {
+    /**
+     * @param {string[]} selections - The selected senders, see parseSelection.
+     * @param {object[]} [groups] - The person groups, as { id, name, members }.
+     */
+    constructor(selections, groups = []) {
+        this.entities = [];
+        for (const value of selections) {
+            const selection = parseSelection(value);
+            if (selection.type !== 'group') {
+                this.entities.push({ label: describeSelection(selection), kind: selection.type, members: [selection] });
+                continue;
+            }
+            const group = groups.find(g => g.id === selection.id);
+            if (!group) {
+                console.warn(`The sender group ${selection.id} no longer exists.`);
+                continue;
+            }
+            const members = group.members.map(parseSelection).filter(member => member.type !== 'group');
+            this.entities.push({ label: group.name, kind: 'group', members });
+        }
+    }
+
+    /**
+     * Returns what to query for: each address or name is an author query.
+     * Domains are queried as author substrings too, but that also matches them
+     * outside the address, so their results must be checked with findEntity().
+     * @returns {{authors: string[], domains: string[]}} The distinct query values.
+     */
+    getQueries() {
+        const members = this.entities.flatMap(entity => entity.members);
+        return {
+            authors: [...new Set(members.filter(m => m.type !== 'domain').map(describeSelection))],
+            domains: [...new Set(members.filter(m => m.type === 'domain').map(m => m.domain))]
+        };
+    }
+
+    /**
+     * Finds the entity an author belongs to.
+     * @param {string} author - The author string of a message.
+     * @returns {object|null} The first matching entity, or null.
+     */
+    findEntity(author) {
+        const parsed = parseAuthor(author);
+        return this.entities.find(entity => entity.members.some(member => selectionMatches(member, parsed))) || null;
+    }
+
+    /**
+     * Attributes a message to its sender.
+     * @param {string} author - The author string of the message.
+     * @returns {{fromAddress: string, sender: string}} The author's normalized
+     * address and the label of the entity it was collated under.
+     */
+    attribute(author) {
+        const { address } = parseAuthor(author);
+        return { fromAddress: address, sender: this.findEntity(author)?.label || address || author };
+    }
+
+    /**
+     * Describes the entities for reports.
+     * @returns {Array<{label: string, kind: string, members: string[]}>} The entities.
+     */
+    describe() {
+        return this.entities.map(entity => ({
+            label: entity.label,
+            kind: entity.kind,
+            members: entity.members.map(describeSelection)
+        }));
+    }
+}
@@ -0,0 +1,273 @@
+/**
+ * @file jobs.js
+ * @description Tracks a running collation so it can be paused, resumed or
+ * cancelled, and stores per-stage checkpoints in IndexedDB so a job that was
+ * interrupted (e.g. by a Thunderbird restart) can pick up where it stopped.
+ */
+import { openDatabase, promisifyRequest, transactionDone, STORES } from './database.js';
+
+/**
+ * Thrown from CollationJob.checkIn() once the job has been cancelled.
+ */
+export class CollationCancelledError extends Error {
+    constructor(message = 'Collation cancelled.') {
+        super(message);
+        this.name = 'CollationCancelledError';
+    }
+}
+
+export class CollationJob {
+    /**
+     * @param {object|null} [record] - The stored job ({ id, params, stage, createdAt, updatedAt }).
+     * Without a record the job is only controllable in memory and nothing is checkpointed.
+     */
+    constructor(record = null) {
+        this.record = record;
+        this.status = 'running';
+        this.resumeWaiters = [];
+    }
+
+    /**
+     * Creates and stores a new job.
+     * @param {object} params - The collation parameters from the popup.
+     * @returns {Promise<CollationJob>} The new job.
+     */
+    static async create(params) {
+        const job = CollationJob.prepare(params);
+        await job.saveRecord();
+        return job;
+    }
+
+    /**
+     * Creates a new job without storing it yet, for callers that must hold
+     * on to it before anything is awaited; saveRecord() stores it. Provider
+     * API keys are left out of the stored parameters; see paramsWithSecrets.
+     * @param {object} params - The collation parameters from the popup.
+     * @returns {CollationJob} The new job.
+     */
+    static prepare(params) {
+        const now = new Date().toISOString();
+        return new CollationJob({
+            id: `job-${Date.now()}`,
+            params: withoutSecrets(params),
+            stage: 'fetching',
+            createdAt: now,
+            updatedAt: now
+        });
+    }
+
+    /**
+     * Loads a stored job, e.g. to resume it after a restart.
+     * @param {string} id - The job ID.
+     * @returns {Promise<CollationJob|null>} The job, or null if it no longer exists.
+     */
+    static async load(id) {
+        const db = await openDatabase();
+        const tx = db.transaction(STORES.JOBS, 'readonly');
+        const record = await promisifyRequest(tx.objectStore(STORES.JOBS).get(id));
+        return record ? new CollationJob(record) : null;
+    }
+
+    /**
+     * Lists all stored jobs, i.e. those that have not finished or been cancelled.
+     * @returns {Promise<object[]>} The job records, most recent first.
+     */
+    static async list() {
+        const db = await openDatabase();
+        const tx = db.transaction(STORES.JOBS, 'readonly');
+        const records = await promisifyRequest(tx.objectStore(STORES.JOBS).getAll());
+        return records.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * Deletes a stored job and all of its checkpoints.
+     * @param {string} id - The job ID.
+     */
+    static async discard(id) {
+        const db = await openDatabase();
+        const tx = db.transaction([STORES.JOBS, STORES.CHECKPOINTS], 'readwrite');
+        tx.objectStore(STORES.JOBS).delete(id);
+        const checkpoints = tx.objectStore(STORES.CHECKPOINTS);
+        const keys = await promisifyRequest(checkpoints.index('jobId').getAllKeys(id));
+        for (const key of keys) {
+            checkpoints.delete(key);
+        }
+        await transactionDone(tx);
+    }
+
+    get id() {
+        return this.record?.id || null;
+    }
+
+    get params() {
+        return this.record?.params || null;
+    }
+
+    /**
+     * The job's parameters with the provider API keys taken from the current
+     * settings, to resume it with.
+     * @param {object} settings - The current extension settings.
+     * @returns {object} The parameters.
+     */
+    paramsWithSecrets(settings) {
+        const params = this.params;
+        const withKeys = Object.fromEntries(Object.entries(params.settings || {}).map(([key, value]) =>
+            [key, isSecretHolder(value) ? { ...value, apiKey: settings[key]?.apiKey || '' } : value]));
+        return { ...params, settings: withKeys };
+    }
+
+    get isPersistent() {
+        return this.record !== null;
+    }
+
+    pause() {
+        if (this.status === 'running') {
+            this.status = 'paused';
+        }
+    }
+
+    resume() {
+        if (this.status === 'paused') {
+            this.status = 'running';
+            this.wakeUp();
+        }
+    }
+
+    cancel() {
+        this.status = 'cancelled';
+        this.wakeUp();
+    }
+
+    wakeUp() {
+        const waiters = this.resumeWaiters;
+        this.resumeWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    /**
+     * Called by the collator between units of work: waits while the job is
+     * paused and throws once it has been cancelled.
+     * @throws {CollationCancelledError} If the job was cancelled.
+     */
+    async checkIn() {
+        while (this.status === 'paused') {
+            await new Promise(resolve => this.resumeWaiters.push(resolve));
+        }
+        if (this.status === 'cancelled') {
+            throw new CollationCancelledError();
+        }
+    }
+
+    /**
+     * Records the stage the job has reached, for display when it is resumed.
+     * @param {string} stage - E.g. 'extracting' or 'embedding'.
+     */
+    async setStage(stage) {
+        if (!this.isPersistent) return;
+        this.record.stage = stage;
+        await this.saveRecord();
+    }
+
+    async saveRecord() {
+        this.record.updatedAt = new Date().toISOString();
+        const db = await openDatabase();
+        const tx = db.transaction(STORES.JOBS, 'readwrite');
+        tx.objectStore(STORES.JOBS).put(this.record);
+        await transactionDone(tx);
+    }
+
+    /**
+     * Stores (or replaces) a named checkpoint. Failures are logged, not thrown:
+     * a missing checkpoint only means more work when resuming.
+     * @param {string} name - The checkpoint name, e.g. 'fetched' or 'extracted:3'.
+     * @param {any} value - Any structured-cloneable value.
+     */
+    async saveCheckpoint(name, value) {
+        if (!this.isPersistent) return;
+        try {
+            const db = await openDatabase();
+            const tx = db.transaction(STORES.CHECKPOINTS, 'readwrite');
+            tx.objectStore(STORES.CHECKPOINTS).put({ key: `${this.id}:${name}`, jobId: this.id, name, value });
+            await transactionDone(tx);
+        } catch (error) {
+            console.warn(`Could not save checkpoint ${name} of ${this.id}:`, error);
+        }
+    }
+
+    /**
+     * Loads a named checkpoint.
+     * @param {string} name - The checkpoint name.
+     * @returns {Promise<any>} The stored value, or undefined.
+     */
+    async loadCheckpoint(name) {
+        return (await this.loadCheckpoints(name)).find(entry => entry.name === name)?.value;
+    }
+
+    /**
+     * Loads all checkpoints whose name starts with a prefix, e.g. the chunks of a stage.
+     * @param {string} prefix - The name prefix.
+     * @returns {Promise<Array<{name: string, value: any}>>} The matching checkpoints.
+     */
+    async loadCheckpoints(prefix) {
+        if (!this.isPersistent) return [];
+        try {
+            const db = await openDatabase();
+            const tx = db.transaction(STORES.CHECKPOINTS, 'readonly');
+            const entries = await promisifyRequest(tx.objectStore(STORES.CHECKPOINTS).index('jobId').getAll(this.id));
+            return entries.filter(entry => entry.name.startsWith(prefix));
+        } catch (error) {
+            console.warn(`Could not load checkpoints of ${this.id}:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Removes the job's stored state once it has completed or been cancelled.
+     */
+    async finish() {
+        if (!this.isPersistent) return;
+        try {
+            await CollationJob.discard(this.id);
+        } catch (error) {
+            console.warn(`Could not remove finished job ${this.id}:`, error);
+        }
+    }
+}
+
+/**
+ * Copies collation parameters without the API keys of the provider settings,
+ * so they are not written to IndexedDB.
+ * @param {object} params - The collation parameters.
+ * @returns {object} The parameters to store.
+ */
+function withoutSecrets(params) {
+    if (!params?.settings) {
+        return params;
+    }
+    const settings = Object.fromEntries(Object.entries(params.settings).map(([key, value]) =>
+        [key, isSecretHolder(value) ? { ...value, apiKey: '' } : value]));
+    return { ...params, settings };
+}
+
+function isSecretHolder(value) {
+    return value !== null && typeof value === 'object' && 'apiKey' in value;
+}
+
+/**
+ * Computes a short fingerprint of a list of texts, to check that a checkpoint
+ * still matches the input it was made for.
+ * @param {string[]} texts - The texts.
+ * @returns {string} The fingerprint.
+ */
+export function fingerprintTexts(texts) {
+    let hash = 0x811c9dc5;
+    for (const text of texts) {
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        hash ^= 0xff; // Separator, so ['ab', 'c'] and ['a', 'bc'] differ
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return `${texts.length}:${(hash >>> 0).toString(16)}`;
+}
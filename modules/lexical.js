@@ -0,0 +1,108 @@
+/**
+ * @file lexical.js
+ * @description Provider-free near-duplicate detection. Normalized body text is
+ * split into overlapping word shingles, and the shingle set is turned into a
+ * dense SimHash-style vector by summing a pseudo-random +1/-1 vector per
+ * shingle. The cosine similarity of two such vectors approximates the overlap
+ * of their shingle sets (shared shingles / sqrt(|A| * |B|)), so the vectors can be
+ * deduplicated exactly like embeddings, fully offline.
+ */
+
+const DEFAULT_DIMENSIONS = 512;
+const DEFAULT_SHINGLE_SIZE = 3;
+
+export class LexicalVectorizer {
+    /**
+     * @param {object} [options] - Vectorizer options.
+     * @param {number} [options.dimensions=512] - Vector length; a multiple of 32.
+     * More dimensions estimate the overlap more precisely.
+     * @param {number} [options.shingleSize=3] - Number of words per shingle.
+     */
+    constructor(options = {}) {
+        this.dimensions = Math.ceil((options.dimensions || DEFAULT_DIMENSIONS) / 32) * 32;
+        this.shingleSize = options.shingleSize || DEFAULT_SHINGLE_SIZE;
+    }
+
+    /**
+     * Adds a lexical 'embedding' to every item, like EmbeddingService does.
+     * @param {object[]} items - Items with a 'body' property.
+     * @returns {object[]} New items with an added 'embedding' property.
+     */
+    vectorizeAll(items) {
+        return items.map(item => ({ ...item, embedding: this.vectorize(item.body) }));
+    }
+
+    /**
+     * Builds the vector for a text.
+     * @param {string} text - The text to vectorize.
+     * @returns {number[]|null} The vector, or null if the text has no words.
+     */
+    vectorize(text) {
+        const shingles = this.shingles(text);
+        if (shingles.size === 0) {
+            return null;
+        }
+
+        const vector = new Array(this.dimensions).fill(0);
+        for (const shingle of shingles) {
+            // The shingle's hash seeds the generator, so a shingle always gets the same signs
+            let state = fnv1a(shingle) || 1;
+            for (let block = 0; block < this.dimensions; block += 32) {
+                state = xorshift32(state);
+                for (let bit = 0; bit < 32; bit++) {
+                    vector[block + bit] += (state >>> bit) & 1 ? 1 : -1;
+                }
+            }
+        }
+        return vector;
+    }
+
+    /**
+     * Returns the distinct word shingles of a text. Texts shorter than one
+     * shingle form a single shingle of all their words.
+     * @param {string} text - The text to split.
+     * @returns {Set<string>} The shingles.
+     */
+    shingles(text) {
+        const words = this.normalize(text).split(' ').filter(Boolean);
+        const size = Math.min(this.shingleSize, words.length);
+        const shingles = new Set();
+        for (let i = 0; size > 0 && i + size <= words.length; i++) {
+            shingles.add(words.slice(i, i + size).join(' '));
+        }
+        return shingles;
+    }
+
+    /**
+     * Normalizes text so formatting differences don't count as changes:
+     * compatibility forms, case, punctuation and whitespace are ignored.
+     * @param {string} text - The text to normalize.
+     * @returns {string} Lowercase words separated by single spaces.
+     */
+    normalize(text) {
+        return (text || '')
+            .normalize('NFKC')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+}
+
+/**
+ * 32-bit FNV-1a hash of a string's UTF-16 code units.
+ */
+function fnv1a(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function xorshift32(state) {
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    return state >>> 0;
+}
@@ -0,0 +1,73 @@
+/**
+ * @file manifests.js
+ * @description Remembers what each report contained, so a later run for the
+ * same senders only has to process the messages that arrived since and can
+ * add them to the existing report. A manifest is stored per set of senders.
+ */
+import { openDatabase, promisifyRequest, transactionDone, STORES } from './database.js';
+import { hasFilters } from './filters.js';
+
+export class ReportManifest {
+    /**
+     * Returns the key a report's manifest is stored under: the same senders,
+     * in any order or case, and the same filters continue the same report.
+     * @param {string[]} senders - The collated senders.
+     * @param {object} [filters] - The normalized filters of the collation.
+     * @returns {string} The key.
+     */
+    static keyFor(senders, filters = null) {
+        const key = senders.map(sender => sender.trim().toLowerCase()).sort().join('\n');
+        return filters && hasFilters(filters) ? `${key}\n${JSON.stringify(filters)}` : key;
+    }
+
+    /**
+     * Loads the manifest of a report.
+     * @param {string} key - The key from keyFor.
+     * @returns {Promise<object|null>} The manifest: { key, senders, createdAt,
+     * lastRunAt, latestMessageDate, processedIds, dedupMode, vectorSpace,
+     * messages, vectors }, or null if there is none.
+     */
+    static async load(key) {
+        const db = await openDatabase();
+        const tx = db.transaction(STORES.REPORTS, 'readonly');
+        return (await promisifyRequest(tx.objectStore(STORES.REPORTS).get(key))) || null;
+    }
+
+    /**
+     * Stores (or replaces) a report's manifest.
+     * @param {object} manifest - The manifest, with its 'key'.
+     */
+    static async save(manifest) {
+        const db = await openDatabase();
+        const tx = db.transaction(STORES.REPORTS, 'readwrite');
+        tx.objectStore(STORES.REPORTS).put(manifest);
+        await transactionDone(tx);
+    }
+
+    /**
+     * Summarizes the stored manifests, e.g. for the settings page.
+     * @returns {Promise<Array<{key: string, senders: string[], lastRunAt: string, messages: number, vectorSpace: string}>>}
+     */
+    static async list() {
+        const db = await openDatabase();
+        const tx = db.transaction(STORES.REPORTS, 'readonly');
+        const manifests = await promisifyRequest(tx.objectStore(STORES.REPORTS).getAll());
+        return manifests.map(manifest => ({
+            key: manifest.key,
+            senders: manifest.senders,
+            lastRunAt: manifest.lastRunAt,
+            messages: manifest.messages.length,
+            vectorSpace: manifest.vectorSpace
+        }));
+    }
+
+    /**
+     * Deletes all manifests; the next run for any senders is a full one.
+     */
+    static async clear() {
+        const db = await openDatabase();
+        const tx = db.transaction(STORES.REPORTS, 'readwrite');
+        tx.objectStore(STORES.REPORTS).clear();
+        await transactionDone(tx);
+    }
+}
@@ -0,0 +1,70 @@
+/**
+ * @file mbox.js
+ * @description Builds an mbox archive (mboxrd variant) from raw RFC 822 messages.
+ */
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+export class MboxWriter {
+    constructor() {
+        this.parts = [];
+        this.count = 0;
+    }
+
+    /**
+     * Appends a message to the archive.
+     * @param {string} raw - The raw message as returned by messenger.messages.getRaw,
+     * a "binary string" with one character per byte.
+     * @param {string} from - The From header, used for the envelope sender.
+     * @param {string|Date} date - The message date, used for the envelope timestamp.
+     */
+    addMessage(raw, from, date) {
+        const separator = `From ${this.envelopeSender(from)} ${this.asctime(new Date(date))}\n`;
+
+        // mboxrd: lines starting with any number of '>' followed by "From " gain one more '>'
+        let body = raw.replace(/\r\n/g, '\n').replace(/^(>*From )/gm, '>$1');
+        if (!body.endsWith('\n')) {
+            body += '\n';
+        }
+
+        this.parts.push(new TextEncoder().encode(separator), this.binaryStringToBytes(body), new Uint8Array([0x0a]));
+        this.count++;
+    }
+
+    /**
+     * Returns the archive built so far.
+     * @returns {Blob} The mbox file contents.
+     */
+    toBlob() {
+        return new Blob(this.parts, { type: 'application/mbox' });
+    }
+
+    /**
+     * Extracts a bare address from a From header for the envelope line.
+     */
+    envelopeSender(from) {
+        const match = /<([^<>\s]+)>/.exec(from || '') || /([^\s<>"]+@[^\s<>"]+)/.exec(from || '');
+        return match ? match[1] : 'MAILER-DAEMON';
+    }
+
+    /**
+     * Formats a date like C's asctime(), in UTC: "Mon Jan  1 09:05:00 2024".
+     */
+    asctime(date) {
+        if (isNaN(date.getTime())) {
+            date = new Date(0);
+        }
+        const pad = n => String(n).padStart(2, '0');
+        return `${DAYS[date.getUTCDay()]} ${MONTHS[date.getUTCMonth()]} ${String(date.getUTCDate()).padStart(2, ' ')} `
+            + `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} ${date.getUTCFullYear()}`;
+    }
+
+    binaryStringToBytes(str) {
+        const bytes = new Uint8Array(str.length);
+        for (let i = 0; i < str.length; i++) {
+            bytes[i] = str.charCodeAt(i) & 0xff;
+        }
+        return bytes;
+    }
+}
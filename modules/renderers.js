@@ -0,0 +1,1040 @@
+/**
+ * @file renderers.js
+ * @description Turns a collation report into an output document. Each output
+ * format (HTML, Markdown, JSON, plain text) has its own renderer class;
+ * renderReport picks one and returns the content with its MIME type and
+ * file extension.
+ */
+import { ThreadBuilder } from './threading.js';
+import { formatFileSize } from './attachments.js';
+import { initReportViewer } from './report-viewer.js';
+import { normalizeFilters, describeFilters } from './filters.js';
+import { CITATION_PATTERN, citationNumbers } from './summaries.js';
+
+/**
+ * Base class with the report traversal shared by all renderers.
+ */
+class ReportRenderer {
+    /**
+     * @param {object} [options] - Output options.
+     * @param {boolean} [options.includeEmbeddings=false] - Include the messages' embedding vectors
+     * if they were compared by a model's embeddings of whole messages (JSON only).
+     * @param {string} [options.viewerScriptUrl] - Load the HTML viewer script from this URL
+     * instead of inlining it, for pages where inline scripts are blocked (HTML only).
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.threadBuilder = new ThreadBuilder();
+    }
+
+    /**
+     * Renders the report.
+     * @param {object} report - The report produced by EmailCollator.collate.
+     * @returns {string} The rendered document.
+     */
+    render(report) {
+        throw new Error(`${this.constructor.name} does not implement render().`);
+    }
+
+    /**
+     * Prepares per-report options before rendering.
+     * @param {object} report - The collation report.
+     */
+    prepare(report) {
+        this.showQuoted = report.settings?.cleaning?.showQuoted !== false;
+        this.messagesById = new Map(report.messages.map(msg => [msg.id, msg]));
+    }
+
+    /**
+     * Describes how duplicates were detected, e.g. "lexical text similarity, threshold 0.8".
+     * @param {object} report - The collation report.
+     * @returns {string} The description.
+     */
+    describeDeduplication(report) {
+        const settings = report.settings || {};
+        const method = settings.dedupStrategy === 'lexical'
+            ? 'lexical text similarity'
+            : `embeddings (${settings.provider}, ${settings.model})`;
+        let description = `${method}, threshold ${settings.similarityThreshold}`;
+        if (settings.dedupFallbackReason) {
+            description += ` - used as a fallback because ${settings.dedupFallbackReason}`;
+        }
+        return description;
+    }
+
+    /**
+     * Describes what an incremental run added, e.g. "2 new message(s) since 3/1/2024, 10:00:00 AM".
+     * @param {object} report - The collation report.
+     * @returns {string|null} The description, or null if the report was not an update.
+     */
+    describeUpdate(report) {
+        if (!report.update) {
+            return null;
+        }
+        const since = report.update.previousRunAt ? ` since ${this.formatDate(report.update.previousRunAt)}` : '';
+        return report.update.newMessages > 0
+            ? `${report.update.newMessages} new message(s)${since}`
+            : `no new messages${since}`;
+    }
+
+    /**
+     * Describes the collated senders, e.g. 'Jane (jane@corp.com, jane@home.org)'
+     * for a person group or '@vendor.com (whole domain)'. Reports from before
+     * sender entities existed list the selected senders as they were.
+     * @param {object} report - The collation report.
+     * @returns {string[]} One description per sender.
+     */
+    describeSenders(report) {
+        if (!report.senderEntities) {
+            return report.senders;
+        }
+        return report.senderEntities.map(entity => {
+            if (entity.kind === 'group') {
+                return `${entity.label} (${entity.members.join(', ')})`;
+            }
+            return entity.kind === 'domain' ? `${entity.label} (whole domain)` : entity.label;
+        });
+    }
+
+    /**
+     * Describes who sent a message, naming the group or domain it was
+     * collated under if that isn't its address, e.g. 'Jane Doe <jane@corp.com> [Jane]'.
+     * @param {object} msg - The message.
+     * @returns {string} The description.
+     */
+    describeFrom(msg) {
+        return msg.sender && msg.sender !== msg.fromAddress ? `${msg.from} [${msg.sender}]` : msg.from;
+    }
+
+    /**
+     * Describes the filters the messages were selected with, e.g. 'until 3/31/2024; unread'.
+     * @param {object} report - The collation report.
+     * @returns {string|null} The description, or null if no filters were used.
+     */
+    describeReportFilters(report) {
+        const parts = describeFilters(normalizeFilters(report.filters));
+        return parts.length > 0 ? parts.join('; ') : null;
+    }
+
+    /**
+     * Returns the report's summary, or null if summaries were not enabled.
+     * @param {object} report - The collation report.
+     * @returns {object|null} The summary from SummaryService.summarize, or { error }.
+     */
+    getSummary(report) {
+        return report.summary || null;
+    }
+
+    /**
+     * Describes who wrote a summary, e.g. "ollama, llama3.2".
+     * @param {object} summary - The report's summary.
+     * @returns {string} The description.
+     */
+    describeSummaryModel(summary) {
+        return `${summary.provider}, ${summary.model}`;
+    }
+
+    /**
+     * Returns the citation number of a message, as used in the summary texts.
+     * @param {object} summary - The report's summary.
+     * @param {number} id - The message ID.
+     * @returns {number} The number, or 0 if the message is not in the summary's references.
+     */
+    getCitationNumber(summary, id) {
+        return (summary.references || []).indexOf(id) + 1;
+    }
+
+    /**
+     * Describes an action item or decision without its inline citations, e.g.
+     * "Send the signed contract (Jane)". Its sources are added by the renderers.
+     * @param {object} item - An item as { text, owner?, sources }.
+     * @returns {string} The description.
+     */
+    describeSummaryItem(item) {
+        const text = item.text.replace(CITATION_PATTERN, '').replace(/\s+([.,;:])/g, '$1').trim();
+        return item.owner ? `${text} (${item.owner})` : text;
+    }
+
+    /**
+     * Lists the messages a summary cites, for formats without links, e.g.
+     * "[3] Budget (3/1/2024)".
+     * @param {object} summary - The report's summary.
+     * @returns {string[]} One line per cited message, by number.
+     */
+    describeCitations(summary) {
+        const numbers = new Set();
+        const texts = [summary.overview?.text, ...summary.periods.map(period => period.text)];
+        for (const text of texts) {
+            citationNumbers(text).forEach(number => numbers.add(number));
+        }
+        for (const item of [...summary.actionItems, ...summary.decisions]) {
+            item.sources.forEach(id => numbers.add(this.getCitationNumber(summary, id)));
+        }
+        return Array.from(numbers)
+            .filter(number => number >= 1 && number <= summary.references.length)
+            .sort((a, b) => a - b)
+            .map(number => `[${number}] ${this.describeMessage(summary.references[number - 1])}`);
+    }
+
+    /**
+     * Formats the sources of an action item or decision as citations, e.g. "[3, 7]".
+     * @param {object} summary - The report's summary.
+     * @param {object} item - An item as { text, owner?, sources }.
+     * @returns {string} The citation, or an empty string.
+     */
+    formatItemSources(summary, item) {
+        const numbers = item.sources.map(id => this.getCitationNumber(summary, id)).filter(Boolean);
+        return numbers.length > 0 ? `[${numbers.join(', ')}]` : '';
+    }
+
+    /**
+     * Returns the report's topics, or none if topics were not enabled.
+     * @param {object} report - The collation report.
+     * @returns {object[]} The topics from TopicClusterer.cluster, largest first.
+     */
+    getTopics(report) {
+        return report.topics || [];
+    }
+
+    /**
+     * Describes a topic, e.g. "Budget, Contract (4 messages)".
+     * @param {object} topic - A topic as { label, messageIds }.
+     * @returns {string} The description.
+     */
+    describeTopic(topic) {
+        const count = topic.messageIds.length;
+        return `${topic.label} (${count} message${count === 1 ? '' : 's'})`;
+    }
+
+    /**
+     * Returns what deduplication left out of the report. Reports from before
+     * the audit trail existed have none.
+     * @param {object} report - The collation report.
+     * @returns {{removed: object[], skipped: object[]}} The audit trail.
+     */
+    getAudit(report) {
+        return report.audit || { removed: [], skipped: [] };
+    }
+
+    /**
+     * Describes why a message was removed, e.g. "duplicate of Budget (3/1/2024), similarity 0.973".
+     * @param {object} entry - An entry of the audit's 'removed' list.
+     * @param {function} [link] - Formats a message reference; defaults to describeMessage.
+     * @returns {string} The description.
+     */
+    describeRemoval(entry, link = id => this.describeMessage(id)) {
+        const kept = entry.keptId !== null ? link(entry.keptId) : `message ${entry.matchedId}`;
+        const score = entry.similarity.toFixed(3);
+        return entry.basis === 'paragraphs'
+            ? `every paragraph appeared earlier, first in ${kept}, lowest similarity ${score}`
+            : `duplicate of ${kept}, similarity ${score}`;
+    }
+
+    /**
+     * Describes why a message was not compared.
+     * @param {object} entry - An entry of the audit's 'skipped' list.
+     * @returns {string} The description.
+     */
+    describeSkip(entry) {
+        if (entry.reason === 'short') {
+            return 'body too short to compare, left out of the report';
+        }
+        return entry.paragraphs
+            ? `${entry.paragraphs} paragraph(s) could not be embedded and were kept without comparison`
+            : 'could not be embedded, kept without comparison';
+    }
+
+    /**
+     * Describes a message of the audit trail, e.g. "Budget - alice@example.com, 3/1/2024".
+     * @param {object} entry - An entry of the audit's 'removed' or 'skipped' list.
+     * @returns {string} The description.
+     */
+    describeAuditEntry(entry) {
+        const date = entry.date ? `, ${new Date(entry.date).toLocaleDateString()}` : '';
+        return `${entry.subject} - ${entry.from}${date}`;
+    }
+
+    /**
+     * Describes a collated message for cross-references, e.g. "Budget (3/1/2024)".
+     * @param {number} id - The message ID.
+     * @returns {string} The subject and date of the message.
+     */
+    describeMessage(id) {
+        const msg = this.messagesById.get(id);
+        return msg ? `${msg.subject} (${new Date(msg.date).toLocaleDateString()})` : `message ${id}`;
+    }
+
+    /**
+     * Describes an attachment, e.g. "report.pdf (1.2 MB, application/pdf)".
+     */
+    describeAttachment(attachment) {
+        return `${attachment.name} (${formatFileSize(attachment.size)}, ${attachment.contentType})`;
+    }
+
+    /**
+     * Describes where else an attachment appears, or an empty string.
+     * @param {object} attachment - An attachment from AttachmentInventory.
+     * @param {function} [link] - Formats a message reference; defaults to describeMessage.
+     */
+    describeAttachmentReferences(attachment, link = id => this.describeMessage(id)) {
+        if (attachment.duplicateOf !== undefined) {
+            return ` - same file as in ${link(attachment.duplicateOf)}`;
+        }
+        if (attachment.alsoAttachedIn?.length > 0) {
+            return ` - also attached in ${attachment.alsoAttachedIn.map(link).join(', ')}`;
+        }
+        return '';
+    }
+
+    /**
+     * Groups the report's messages into threads. Without threading every
+     * message forms its own thread, so renderers can treat both cases alike.
+     * @param {object} report - The collation report.
+     * @returns {object[]} Threads as { id, subject, messages }, in chronological order.
+     */
+    getThreads(report) {
+        if (report.settings?.threading === false) {
+            return report.messages.map(msg => ({ id: `thread-${msg.id}`, subject: msg.subject, messages: [msg] }));
+        }
+        return this.threadBuilder.groupThreads(report.messages);
+    }
+
+    /**
+     * Nests each message of a thread under its closest ancestor that survived deduplication.
+     * @param {object} thread - A thread from getThreads.
+     * @returns {{topLevel: object[], replies: Map<number, object[]>}} Messages without a
+     * parent in the thread, and the direct replies to each message by its ID.
+     */
+    buildReplyTree(thread) {
+        const presentIds = new Set(thread.messages.map(msg => msg.id));
+        const replies = new Map();
+        const topLevel = [];
+        for (const msg of thread.messages) {
+            const parentId = (msg.ancestorIds || []).find(id => presentIds.has(id));
+            if (parentId === undefined) {
+                topLevel.push(msg);
+            } else {
+                if (!replies.has(parentId)) {
+                    replies.set(parentId, []);
+                }
+                replies.get(parentId).push(msg);
+            }
+        }
+        return { topLevel, replies };
+    }
+
+    /**
+     * Walks a thread depth-first, calling visit(msg, depth) for every message.
+     * @param {object} thread - A thread from getThreads.
+     * @param {function} visit - Called with each message and its nesting depth.
+     */
+    walkThread(thread, visit) {
+        const { topLevel, replies } = this.buildReplyTree(thread);
+        const walk = (msg, depth) => {
+            visit(msg, depth);
+            for (const reply of replies.get(msg.id) || []) {
+                walk(reply, depth + 1);
+            }
+        };
+        topLevel.forEach(msg => walk(msg, 0));
+    }
+
+    formatDate(date) {
+        return new Date(date).toLocaleString();
+    }
+
+    formatThreadSpan(thread) {
+        const first = new Date(thread.messages[0].date).toLocaleDateString();
+        const last = new Date(thread.messages[thread.messages.length - 1].date).toLocaleDateString();
+        return first === last ? first : `${first} - ${last}`;
+    }
+}
+
+export class HtmlRenderer extends ReportRenderer {
+    /**
+     * Generates the HTML report.
+     * @param {object} report - The collation report.
+     * @returns {string} The generated HTML as a string.
+     */
+    render(report) {
+        const { messages } = report;
+        const update = this.describeUpdate(report);
+        const filters = this.describeReportFilters(report);
+        let bodyContent = messages.length === 0
+            ? '<h2>No Messages Found</h2><p>No messages matched the selected criteria.</p>'
+            : this.getThreads(report).map(thread => this.renderThread(thread)).join('');
+
+        return `
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+            <meta charset="UTF-8">
+            <title>Email Collation Report</title>
+            <style>
+                body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; line-height: 1.6; color: #333; max-width: 900px; margin: 2rem auto; padding: 0 1rem; background-color: #f9f9f9; }
+                h1, h2 { color: #111; border-bottom: 2px solid #eee; padding-bottom: 10px; }
+                .report-meta { background-color: #e7f3ff; border: 1px solid #b3d7ff; padding: 1rem; border-radius: 8px; margin-bottom: 2rem; }
+                .message { border: 1px solid #ddd; border-radius: 8px; margin-bottom: 1.5rem; background-color: #fff; box-shadow: 0 2px 4px rgba(0,0,0,0.05); }
+                .meta { background-color: #f7f7f7; padding: 1rem; border-bottom: 1px solid #ddd; border-radius: 8px 8px 0 0; }
+                .body { padding: 1rem; }
+                pre { white-space: pre-wrap; word-wrap: break-word; font-family: "SF Mono", "Fira Code", "Source Code Pro", Menlo, Consolas, Monaco, monospace; font-size: 0.95em; }
+                strong { color: #555; }
+                .omitted { font-size: 0.85em; font-style: italic; color: #888; margin: 0.5rem 0 0; }
+                .thread { border: 1px solid #cfd8e3; border-radius: 8px; margin-bottom: 1.5rem; padding: 0.5rem 1rem 0; background-color: #f3f6fa; }
+                .thread > summary { cursor: pointer; font-weight: 600; padding: 0.5rem 0; margin-bottom: 0.5rem; }
+                .thread-info { font-weight: normal; color: #666; font-size: 0.9em; }
+                .replies { margin-left: 1.5rem; padding-left: 1rem; border-left: 2px solid #cfd8e3; }
+                .quoted { margin-top: 0.5rem; color: #666; }
+                .html-body { overflow-x: auto; }
+                .html-body img { max-width: 100%; height: auto; }
+                .blocked-image { color: #888; font-size: 0.85em; font-style: italic; }
+                .attachments { margin-top: 0.75rem; font-size: 0.9em; }
+                .attachments ul { margin: 0.25rem 0 0; padding-left: 1.5rem; }
+                .duplicate-attachment { color: #888; }
+                .quoted summary { cursor: pointer; font-size: 0.9em; }
+                .audit { border: 1px solid #e0d6c2; border-radius: 8px; margin-bottom: 1.5rem; padding: 0.5rem 1rem; background-color: #fcfaf5; }
+                .audit > summary { cursor: pointer; font-weight: 600; }
+                .audit li { margin-bottom: 0.75rem; }
+                .excerpt { color: #777; font-size: 0.85em; }
+                [hidden] { display: none !important; }
+                .message.new-message { border-left: 4px solid #2e9e4f; }
+                .new-badge { background-color: #2e9e4f; color: #fff; border-radius: 4px; padding: 0 0.4rem; font-size: 0.8em; font-weight: 600; margin-right: 0.5rem; }
+                .permalink { float: right; color: #aaa; text-decoration: none; }
+                .permalink:hover { color: #0066cc; }
+                .message.targeted { border-color: #0066cc; box-shadow: 0 0 0 2px #b3d7ff; }
+                .viewer-toolbar { position: sticky; top: 0; z-index: 1; display: flex; flex-wrap: wrap; align-items: center; gap: 0.5rem; padding: 0.75rem 0; margin-bottom: 1rem; background-color: #f9f9f9; border-bottom: 1px solid #ddd; }
+                .viewer-search { flex: 1; min-width: 200px; padding: 0.4rem 0.6rem; border: 1px solid #ccc; border-radius: 4px; font-size: 1em; }
+                .viewer-count { color: #666; font-size: 0.9em; }
+                .viewer-chips { flex-basis: 100%; display: flex; flex-wrap: wrap; gap: 0.4rem; }
+                .viewer-chip { border: 1px solid #b3d7ff; border-radius: 999px; background-color: #fff; padding: 0.15rem 0.75rem; cursor: pointer; font-size: 0.85em; }
+                .viewer-chip[aria-pressed="true"] { background-color: #0066cc; border-color: #0066cc; color: #fff; }
+                .viewer-index { font-size: 0.9em; margin-bottom: 1rem; }
+                .viewer-index ul { list-style: none; margin: 0; padding: 0; }
+                .viewer-index > ul > li { margin-top: 0.5rem; font-weight: 600; }
+                .viewer-index li li { display: inline-block; margin-right: 0.75rem; font-weight: normal; }
+                @media (min-width: 1300px) {
+                    .viewer-index { position: fixed; top: 2rem; left: calc(50% - 450px - 200px); width: 160px; max-height: calc(100vh - 4rem); overflow-y: auto; }
+                    .viewer-index li li { display: block; }
+                }
+                .summary { background-color: #fff; border: 1px solid #ddd; border-radius: 8px; padding: 0 1rem 1rem; margin-bottom: 2rem; }
+                .summary h3 { margin-bottom: 0.25rem; }
+                .summary .citation { font-size: 0.8em; vertical-align: super; text-decoration: none; }
+                .summary .digest > summary { cursor: pointer; font-weight: 600; }
+                .summary-source { color: #888; font-size: 0.85em; }
+                .topics { background-color: #fff; border: 1px solid #ddd; border-radius: 8px; padding: 0 1rem 0.5rem; margin-bottom: 2rem; }
+                .topics ol { padding-left: 1.5rem; }
+                .topic-count { color: #888; font-size: 0.9em; }
+                .topic > h2 { font-size: 1.2em; margin-top: 2rem; }
+                mark.viewer-hit { background-color: #fff3a3; padding: 0; }
+                mark.viewer-hit.current { background-color: #ffb84d; }
+            </style>
+        </head>
+        <body>
+            <h1>Email Collation Report</h1>
+            <div class="report-meta">
+                <h2>Report Details</h2>
+                <p><strong>Generated on:</strong> ${this.formatDate(report.generatedAt)}</p>
+                <p><strong>Deduplication:</strong> ${this.escapeHtml(this.describeDeduplication(report))}</p>
+                ${update ? `<p><strong>Updated:</strong> ${this.escapeHtml(update)}</p>` : ''}
+                ${filters ? `<p><strong>Filters:</strong> ${this.escapeHtml(filters)}</p>` : ''}
+                <p><strong>Collated ${messages.length} unique messages from sender(s):</strong></p>
+                <ul>${this.describeSenders(report).map(s => `<li>${this.escapeHtml(s)}</li>`).join('')}</ul>
+            </div>
+            ${this.renderSummary(report)}
+            ${this.renderTopics(report)}
+            <main id="report-messages">${bodyContent}</main>
+            ${this.renderAudit(report)}
+            ${this.renderViewerScript()}
+        </body>
+        </html>
+        `;
+    }
+
+    /**
+     * Renders a thread as a collapsible conversation, nesting each reply under
+     * its closest ancestor that survived deduplication.
+     * @param {object} thread - A thread from ThreadBuilder.groupThreads.
+     * @returns {string} The HTML for the thread.
+     */
+    renderThread(thread) {
+        if (thread.messages.length === 1) {
+            return this.renderMessage(thread.messages[0]);
+        }
+
+        const { topLevel, replies } = this.buildReplyTree(thread);
+        const renderBranch = (msg) => {
+            const children = replies.get(msg.id) || [];
+            return this.renderMessage(msg)
+                + (children.length > 0 ? `<div class="replies">${children.map(renderBranch).join('')}</div>` : '');
+        };
+
+        return `
+            <details class="thread" open>
+                <summary>${this.escapeHtml(thread.subject)}
+                    <span class="thread-info">(${thread.messages.length} messages, ${this.formatThreadSpan(thread)})</span>
+                </summary>
+                ${topLevel.map(renderBranch).join('')}
+            </details>
+        `;
+    }
+
+    /**
+     * Renders a single message card.
+     * @param {object} msg - The message to render.
+     * @returns {string} The HTML for the message.
+     */
+    renderMessage(msg) {
+        return `
+            <div class="message${msg.isNew ? ' new-message' : ''}" id="msg-${msg.id}" data-sender="${this.escapeHtml(msg.sender || msg.from)}" data-date="${this.escapeHtml(msg.date)}">
+                <div class="meta">
+                    <a class="permalink" href="#msg-${msg.id}" title="Link to this message">#</a>
+                    ${msg.isNew ? '<span class="new-badge">New</span>' : ''}
+                    <strong>From:</strong> ${this.escapeHtml(this.describeFrom(msg))}<br>
+                    <strong>Subject:</strong> ${this.escapeHtml(msg.subject)}<br>
+                    <strong>Date:</strong> ${this.formatDate(msg.date)}
+                </div>
+                <div class="body">
+                    ${this.renderBody(msg)}
+                    ${msg.omittedParagraphs ? `<p class="omitted">${msg.omittedParagraphs} paragraph(s) already seen earlier were omitted.</p>` : ''}
+                    ${this.renderQuoted(msg)}
+                    ${this.renderAttachments(msg)}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Renders the sanitized HTML body when available, otherwise the plain text.
+     * Bodies trimmed by paragraph deduplication only exist as plain text.
+     * @param {object} msg - The message to render.
+     * @returns {string} The HTML for the body.
+     */
+    renderBody(msg) {
+        if (msg.htmlBody && !msg.omittedParagraphs) {
+            return `<div class="html-body">${msg.htmlBody}</div>`;
+        }
+        return `<pre>${this.escapeHtml(msg.body)}</pre>`;
+    }
+
+    /**
+     * Renders a message's attachment list. Files already attached to an earlier
+     * message are listed only as a reference to it.
+     * @param {object} msg - A message with an optional 'attachments' array.
+     * @returns {string} The HTML for the list, or an empty string.
+     */
+    renderAttachments(msg) {
+        if (!msg.attachments?.length) {
+            return '';
+        }
+        const link = id => `<a href="#msg-${id}">${this.escapeHtml(this.describeMessage(id))}</a>`;
+        const items = msg.attachments.map(attachment => `
+                        <li class="${attachment.duplicateOf !== undefined ? 'duplicate-attachment' : ''}">
+                            ${this.escapeHtml(this.describeAttachment(attachment))}${this.describeAttachmentReferences(attachment, link)}
+                        </li>`).join('');
+        return `<div class="attachments"><strong>Attachments:</strong><ul>${items}</ul></div>`;
+    }
+
+    /**
+     * Renders the summary: the overview, action items, decisions and the
+     * monthly digests, with every citation linking to its message.
+     * @param {object} report - The collation report.
+     * @returns {string} The HTML for the summary, or an empty string.
+     */
+    renderSummary(report) {
+        const summary = this.getSummary(report);
+        if (!summary) {
+            return '';
+        }
+        if (summary.error) {
+            return `<section class="summary"><h2>Summary</h2><p>No summary could be generated (${this.escapeHtml(this.describeSummaryModel(summary))}): ${this.escapeHtml(summary.error)}</p></section>`;
+        }
+        const link = id => `<a class="citation" href="#msg-${id}" title="${this.escapeHtml(this.describeMessage(id))}">${this.getCitationNumber(summary, id)}</a>`;
+        const linkCitations = text => this.escapeHtml(text).replace(CITATION_PATTERN, match => citationNumbers(match)
+            .map(number => summary.references[number - 1])
+            .map(id => (id === undefined ? '' : link(id)))
+            .join(' '));
+        const renderItems = (title, items) => items.length === 0 ? '' : `
+                <h3>${title}</h3>
+                <ul>${items.map(item => `<li>${this.escapeHtml(this.describeSummaryItem(item))} ${item.sources.map(link).join(' ')}</li>`).join('')}</ul>`;
+        const digests = summary.periods.length > 1 ? `
+                <h3>Monthly Digests</h3>
+                ${summary.periods.map(period => `
+                <details class="digest">
+                    <summary>${this.escapeHtml(period.label)}</summary>
+                    <p>${linkCitations(period.text)}</p>
+                    ${period.text.match(CITATION_PATTERN) ? '' : `<p class="summary-source">Based on: ${period.sources.map(link).join(' ')}</p>`}
+                </details>`).join('')}` : '';
+
+        return `
+            <section class="summary">
+                <h2>Summary</h2>
+                <p>${linkCitations(summary.overview.text)}</p>
+                ${renderItems('Action Items', summary.actionItems)}
+                ${renderItems('Decisions', summary.decisions)}
+                ${digests}
+                <p class="summary-source">Generated by ${this.escapeHtml(this.describeSummaryModel(summary))}. Numbers link to the messages each statement is based on.</p>
+            </section>`;
+    }
+
+    /**
+     * Renders the table of contents of the report's topics. Each entry links
+     * to the topic's first message and lists all of its messages, from which
+     * the viewer builds the by-topic view.
+     * @param {object} report - The collation report.
+     * @returns {string} The HTML for the topics, or an empty string.
+     */
+    renderTopics(report) {
+        const topics = this.getTopics(report);
+        if (topics.length === 0) {
+            return '';
+        }
+        const entries = topics.map(topic => `
+                    <li data-topic="${this.escapeHtml(topic.id)}" data-messages="${topic.messageIds.map(id => `msg-${id}`).join(' ')}">
+                        <a href="#msg-${topic.messageIds[0]}">${this.escapeHtml(topic.label)}</a>
+                        <span class="topic-count">(${topic.messageIds.length})</span>
+                    </li>`).join('');
+        return `
+            <nav class="topics" id="report-topics" aria-label="Topics">
+                <h2>Topics</h2>
+                <ol>${entries}</ol>
+            </nav>`;
+    }
+
+    /**
+     * Renders the collapsed lists of messages removed as duplicates and of
+     * messages that were not compared, with links to the kept messages.
+     * @param {object} report - The collation report.
+     * @returns {string} The HTML for the lists, or an empty string.
+     */
+    renderAudit(report) {
+        const { removed, skipped } = this.getAudit(report);
+        const link = id => `<a href="#msg-${id}">${this.escapeHtml(this.describeMessage(id))}</a>`;
+        const renderEntry = (entry, reason) => `
+                    <li>
+                        <strong>${this.escapeHtml(this.describeAuditEntry(entry))}</strong>: ${reason}
+                        ${entry.excerpt ? `<div class="excerpt">${this.escapeHtml(entry.excerpt)}</div>` : ''}
+                    </li>`;
+        const renderList = (title, entries, describe) => entries.length === 0 ? '' : `
+            <details class="audit">
+                <summary>${title} (${entries.length})</summary>
+                <ul>${entries.map(entry => renderEntry(entry, describe(entry))).join('')}</ul>
+            </details>`;
+
+        return renderList('Removed as duplicate', removed, entry => this.describeRemoval(entry, link))
+            + renderList('Skipped', skipped, entry => this.escapeHtml(this.describeSkip(entry)));
+    }
+
+    /**
+     * Renders the quoted part of a message as a collapsed block, if enabled.
+     * @param {object} msg - A cleaned message.
+     * @returns {string} The HTML for the quoted block, or an empty string.
+     */
+    renderQuoted(msg) {
+        if (!msg.quoted || !this.showQuoted) {
+            return '';
+        }
+        return `<details class="quoted">
+                        <summary>Show quoted text</summary>
+                        <pre>${this.escapeHtml(msg.quoted)}</pre>
+                    </details>`;
+    }
+
+    /**
+     * Adds the script of the interactive viewer (see report-viewer.js).
+     * @returns {string} The script element.
+     */
+    renderViewerScript() {
+        if (this.options.viewerScriptUrl) {
+            return `<script type="module" src="${this.escapeHtml(this.options.viewerScriptUrl)}"></script>`;
+        }
+        return `<script>(${initReportViewer.toString()})(document);</script>`;
+    }
+
+    /**
+     * Simple HTML escaper.
+     * @param {string} str - The string to escape.
+     */
+    escapeHtml(str) {
+        return String(str)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#039;");
+    }
+}
+
+export class MarkdownRenderer extends ReportRenderer {
+    /**
+     * Generates a Markdown report. Threads become headings, with replies
+     * one heading level below the message they answer.
+     * @param {object} report - The collation report.
+     * @returns {string} The Markdown document.
+     */
+    render(report) {
+        const lines = [
+            '# Email Collation Report',
+            '',
+            `- **Generated on:** ${this.formatDate(report.generatedAt)}`,
+            `- **Unique messages:** ${report.messages.length}`,
+            `- **Deduplication:** ${this.escapeInline(this.describeDeduplication(report))}`,
+            `- **Senders:** ${this.describeSenders(report).map(s => this.escapeInline(s)).join(', ')}`,
+            ''
+        ];
+        const update = this.describeUpdate(report);
+        if (update) {
+            lines.splice(-1, 0, `- **Updated:** ${this.escapeInline(update)}`);
+        }
+        const filters = this.describeReportFilters(report);
+        if (filters) {
+            lines.splice(-1, 0, `- **Filters:** ${this.escapeInline(filters)}`);
+        }
+
+        lines.push(...this.renderSummary(report));
+        lines.push(...this.renderTopics(report));
+
+        if (report.messages.length === 0) {
+            lines.push('No messages matched the selected criteria.', '');
+        }
+
+        for (const thread of this.getThreads(report)) {
+            const isThread = thread.messages.length > 1;
+            if (isThread) {
+                lines.push(`## ${this.escapeInline(thread.subject)} (${thread.messages.length} messages, ${this.formatThreadSpan(thread)})`, '');
+            }
+            this.walkThread(thread, (msg, depth) => {
+                const level = Math.min((isThread ? 3 : 2) + depth, 6);
+                lines.push(`${'#'.repeat(level)} ${this.escapeInline(msg.subject)}${msg.isNew ? ' (new)' : ''}`, '');
+                lines.push(`**From:** ${this.escapeInline(this.describeFrom(msg))}  `);
+                lines.push(`**Date:** ${this.formatDate(msg.date)}`, '');
+                lines.push(msg.body, '');
+                if (msg.omittedParagraphs) {
+                    lines.push(`*${msg.omittedParagraphs} paragraph(s) already seen earlier were omitted.*`, '');
+                }
+                if (this.showQuoted && msg.quoted) {
+                    lines.push('<details><summary>Quoted text</summary>', '', this.quote(msg.quoted), '', '</details>', '');
+                }
+                if (msg.attachments?.length > 0) {
+                    lines.push('**Attachments:**', '');
+                    for (const attachment of msg.attachments) {
+                        lines.push(`- ${this.escapeInline(this.describeAttachment(attachment) + this.describeAttachmentReferences(attachment))}`);
+                    }
+                    lines.push('');
+                }
+            });
+            lines.push('---', '');
+        }
+
+        const { removed, skipped } = this.getAudit(report);
+        const auditSections = [
+            ['Removed as duplicate', removed, entry => this.describeRemoval(entry)],
+            ['Skipped', skipped, entry => this.describeSkip(entry)]
+        ];
+        for (const [title, entries, describe] of auditSections) {
+            if (entries.length === 0) continue;
+            lines.push(`## ${title} (${entries.length})`, '');
+            for (const entry of entries) {
+                lines.push(`- **${this.escapeInline(this.describeAuditEntry(entry))}**: ${this.escapeInline(describe(entry))}`);
+                if (entry.excerpt) {
+                    lines.push(`  > ${this.escapeInline(entry.excerpt)}`);
+                }
+            }
+            lines.push('');
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Renders the summary as Markdown lines, with the cited messages listed at the end.
+     * @param {object} report - The collation report.
+     * @returns {string[]} The lines, or none without a summary.
+     */
+    renderSummary(report) {
+        const summary = this.getSummary(report);
+        if (!summary) {
+            return [];
+        }
+        if (summary.error) {
+            return ['## Summary', '', `*No summary could be generated (${this.escapeInline(this.describeSummaryModel(summary))}): ${this.escapeInline(summary.error)}*`, ''];
+        }
+        const lines = ['## Summary', '', this.escapeInline(summary.overview.text), ''];
+        for (const [title, items] of [['Action Items', summary.actionItems], ['Decisions', summary.decisions]]) {
+            if (items.length === 0) continue;
+            lines.push(`### ${title}`, '');
+            items.forEach(item => lines.push(`- ${this.escapeInline(`${this.describeSummaryItem(item)} ${this.formatItemSources(summary, item)}`.trim())}`));
+            lines.push('');
+        }
+        if (summary.periods.length > 1) {
+            lines.push('### Monthly Digests', '');
+            summary.periods.forEach(period => lines.push(`**${this.escapeInline(period.label)}:** ${this.escapeInline(period.text)}`, ''));
+        }
+        const citations = this.describeCitations(summary);
+        if (citations.length > 0) {
+            lines.push('### Cited Messages', '');
+            citations.forEach(citation => lines.push(`- ${this.escapeInline(citation)}`));
+            lines.push('');
+        }
+        lines.push(`*Generated by ${this.escapeInline(this.describeSummaryModel(summary))}.*`, '', '---', '');
+        return lines;
+    }
+
+    /**
+     * Renders the topics as a numbered list, each with the messages it contains.
+     * @param {object} report - The collation report.
+     * @returns {string[]} The lines, or none without topics.
+     */
+    renderTopics(report) {
+        const topics = this.getTopics(report);
+        if (topics.length === 0) {
+            return [];
+        }
+        const lines = ['## Topics', ''];
+        topics.forEach((topic, index) => {
+            lines.push(`${index + 1}. **${this.escapeInline(this.describeTopic(topic))}**`);
+            topic.messageIds.forEach(id => lines.push(`    - ${this.escapeInline(this.describeMessage(id))}`));
+        });
+        lines.push('', '---', '');
+        return lines;
+    }
+
+    /**
+     * Escapes characters that would start Markdown formatting in single-line values.
+     */
+    escapeInline(str) {
+        return String(str).replace(/([\\`*_[\]<>#|])/g, '\\$1');
+    }
+
+    quote(text) {
+        return text.split('\n').map(line => `> ${line}`).join('\n');
+    }
+}
+
+export class TextRenderer extends ReportRenderer {
+    /**
+     * Generates a plain-text report. Replies are indented under the message they answer.
+     * @param {object} report - The collation report.
+     * @returns {string} The text document.
+     */
+    render(report) {
+        const lines = [
+            'EMAIL COLLATION REPORT',
+            '======================',
+            `Generated on: ${this.formatDate(report.generatedAt)}`,
+            `Unique messages: ${report.messages.length}`,
+            `Deduplication: ${this.describeDeduplication(report)}`,
+            `Senders: ${this.describeSenders(report).join(', ')}`,
+            ''
+        ];
+        const update = this.describeUpdate(report);
+        if (update) {
+            lines.splice(-1, 0, `Updated: ${update}`);
+        }
+        const filters = this.describeReportFilters(report);
+        if (filters) {
+            lines.splice(-1, 0, `Filters: ${filters}`);
+        }
+
+        lines.push(...this.renderSummary(report));
+        lines.push(...this.renderTopics(report));
+
+        if (report.messages.length === 0) {
+            lines.push('No messages matched the selected criteria.');
+        }
+
+        for (const thread of this.getThreads(report)) {
+            if (thread.messages.length > 1) {
+                lines.push('', `### ${thread.subject} (${thread.messages.length} messages, ${this.formatThreadSpan(thread)})`);
+            }
+            this.walkThread(thread, (msg, depth) => {
+                const indent = '    '.repeat(depth);
+                const block = [
+                    '-'.repeat(72),
+                    `From:    ${this.describeFrom(msg)}`,
+                    `Subject: ${msg.isNew ? '[NEW] ' : ''}${msg.subject}`,
+                    `Date:    ${this.formatDate(msg.date)}`,
+                    '',
+                    msg.body
+                ];
+                if (msg.omittedParagraphs) {
+                    block.push('', `[${msg.omittedParagraphs} paragraph(s) already seen earlier were omitted]`);
+                }
+                if (this.showQuoted && msg.quoted) {
+                    block.push('', msg.quoted.split('\n').map(line => `| ${line}`).join('\n'));
+                }
+                if (msg.attachments?.length > 0) {
+                    block.push('', 'Attachments:');
+                    for (const attachment of msg.attachments) {
+                        block.push(`  * ${this.describeAttachment(attachment)}${this.describeAttachmentReferences(attachment)}`);
+                    }
+                }
+                lines.push('', ...block.join('\n').split('\n').map(line => line ? indent + line : line));
+            });
+        }
+
+        const { removed, skipped } = this.getAudit(report);
+        const auditSections = [
+            ['REMOVED AS DUPLICATE', removed, entry => this.describeRemoval(entry)],
+            ['SKIPPED', skipped, entry => this.describeSkip(entry)]
+        ];
+        for (const [title, entries, describe] of auditSections) {
+            if (entries.length === 0) continue;
+            lines.push('', '='.repeat(72), `${title} (${entries.length})`);
+            for (const entry of entries) {
+                lines.push('', `* ${this.describeAuditEntry(entry)}`, `  ${describe(entry)}`);
+                if (entry.excerpt) {
+                    lines.push(`  "${entry.excerpt}"`);
+                }
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Renders the summary as text lines, with the cited messages listed at the end.
+     * @param {object} report - The collation report.
+     * @returns {string[]} The lines, or none without a summary.
+     */
+    renderSummary(report) {
+        const summary = this.getSummary(report);
+        if (!summary) {
+            return [];
+        }
+        const lines = ['SUMMARY', '-------'];
+        if (summary.error) {
+            lines.push(`No summary could be generated (${this.describeSummaryModel(summary)}): ${summary.error}`, '');
+            return lines;
+        }
+        lines.push(summary.overview.text, '');
+        for (const [title, items] of [['Action items:', summary.actionItems], ['Decisions:', summary.decisions]]) {
+            if (items.length === 0) continue;
+            lines.push(title);
+            items.forEach(item => lines.push(`  * ${this.describeSummaryItem(item)} ${this.formatItemSources(summary, item)}`.trimEnd()));
+            lines.push('');
+        }
+        if (summary.periods.length > 1) {
+            lines.push('Monthly digests:');
+            summary.periods.forEach(period => lines.push(`  ${period.label}: ${period.text}`));
+            lines.push('');
+        }
+        const citations = this.describeCitations(summary);
+        if (citations.length > 0) {
+            lines.push('Cited messages:');
+            citations.forEach(citation => lines.push(`  ${citation}`));
+            lines.push('');
+        }
+        lines.push(`Generated by ${this.describeSummaryModel(summary)}.`, '');
+        return lines;
+    }
+
+    /**
+     * Renders the topics as a numbered list, each with the messages it contains.
+     * @param {object} report - The collation report.
+     * @returns {string[]} The lines, or none without topics.
+     */
+    renderTopics(report) {
+        const topics = this.getTopics(report);
+        if (topics.length === 0) {
+            return [];
+        }
+        const lines = ['TOPICS', '------'];
+        topics.forEach((topic, index) => {
+            lines.push(`${index + 1}. ${this.describeTopic(topic)}`);
+            topic.messageIds.forEach(id => lines.push(`     - ${this.describeMessage(id)}`));
+        });
+        lines.push('');
+        return lines;
+    }
+}
+
+export class JsonRenderer extends ReportRenderer {
+    /**
+     * Generates a structured JSON report for scripts and other tools.
+     * @param {object} report - The collation report.
+     * @returns {string} The JSON document.
+     */
+    render(report) {
+        const threads = this.getThreads(report).map(thread => ({
+            id: thread.id,
+            subject: thread.subject,
+            messageIds: thread.messages.map(msg => msg.id)
+        }));
+
+        // Lexical vectors aren't embeddings, and paragraph runs have none per message;
+        // report.settings names the provider and model the vectors come from
+        const includeEmbeddings = this.options.includeEmbeddings && report.settings?.dedupStrategy !== 'lexical';
+        const messages = report.messages.map(msg => {
+            const entry = {
+                id: msg.id,
+                messageId: msg.messageId || null,
+                threadId: msg.threadId || null,
+                inReplyTo: msg.inReplyTo || null,
+                date: new Date(msg.date).toISOString(),
+                from: msg.from,
+                fromAddress: msg.fromAddress || null,
+                sender: msg.sender || null,
+                subject: msg.subject,
+                body: msg.body,
+                htmlBody: msg.htmlBody || null,
+                quoted: msg.quoted || '',
+                signature: msg.signature || '',
+                omittedParagraphs: msg.omittedParagraphs || 0,
+                isNew: Boolean(msg.isNew),
+                attachments: msg.attachments || []
+            };
+            if (includeEmbeddings && msg.embedding) {
+                entry.embedding = Array.from(msg.embedding);
+            }
+            return entry;
+        });
+
+        return JSON.stringify({
+            generatedAt: report.generatedAt,
+            senders: report.senders,
+            senderEntities: report.senderEntities || null,
+            startDate: report.startDate,
+            filters: report.filters || null,
+            settings: report.settings,
+            stats: report.stats,
+            update: report.update || null,
+            summary: report.summary || null,
+            topics: report.topics || null,
+            threads,
+            messages,
+            audit: this.getAudit(report),
+            dedupDecisions: report.dedupDecisions
+        }, null, 2);
+    }
+}
+
+/**
+ * The available output formats. 'viewType' is the MIME type used when
+ * the report is opened in a tab rather than saved.
+ */
+export const REPORT_FORMATS = {
+    html: { renderer: HtmlRenderer, mimeType: 'text/html;charset=utf-8', viewType: 'text/html;charset=utf-8', extension: 'html' },
+    markdown: { renderer: MarkdownRenderer, mimeType: 'text/markdown;charset=utf-8', viewType: 'text/plain;charset=utf-8', extension: 'md' },
+    json: { renderer: JsonRenderer, mimeType: 'application/json;charset=utf-8', viewType: 'application/json;charset=utf-8', extension: 'json' },
+    text: { renderer: TextRenderer, mimeType: 'text/plain;charset=utf-8', viewType: 'text/plain;charset=utf-8', extension: 'txt' }
+};
+
+/**
+ * Renders a report in the requested format.
+ * @param {object} report - The report produced by EmailCollator.collate.
+ * @param {string} [format='html'] - One of the keys of REPORT_FORMATS.
+ * @param {object} [options] - Output options passed to the renderer.
+ * @returns {{content: string, mimeType: string, viewType: string, extension: string}}
+ */
+export function renderReport(report, format = 'html', options = {}) {
+    const spec = REPORT_FORMATS[format];
+    if (!spec) {
+        throw new Error(`Unsupported output format: ${format}`);
+    }
+    const renderer = new spec.renderer(options);
+    renderer.prepare(report);
+    return {
+        content: renderer.render(report),
+        mimeType: spec.mimeType,
+        viewType: spec.viewType,
+        extension: spec.extension
+    };
+}
@@ -0,0 +1,292 @@
+/**
+ * @file report-viewer.js
+ * @description The interactive part of HTML reports: full-text search with
+ * highlighting, sender filter chips, a month/year index, a by-topic view,
+ * collapse/expand all and permalinks to single messages. Saved reports carry initReportViewer as
+ * an inline script so they keep working as a single offline file, which is
+ * why the function must not use anything from outside its own body. Reports
+ * opened in a tab load this module instead, since extension pages don't run
+ * inline scripts.
+ */
+
+/**
+ * Adds the viewer controls to a rendered HTML report. Without this script the
+ * report remains a plain, readable list of messages.
+ * @param {Document} doc - The report document.
+ */
+export function initReportViewer(doc) {
+    const container = doc.getElementById('report-messages');
+    if (!container) {
+        return;
+    }
+    const win = doc.defaultView;
+    const messages = Array.from(container.querySelectorAll('.message'));
+    const threads = Array.from(container.querySelectorAll('details.thread'));
+    const activeSenders = new Set();
+    let currentHit = -1;
+
+    const element = (tag, className, text) => {
+        const el = doc.createElement(tag);
+        if (className) el.className = className;
+        if (text !== undefined) el.textContent = text;
+        return el;
+    };
+
+    // Toolbar: search, result count, expand/collapse and sender chips
+    const toolbar = element('div', 'viewer-toolbar');
+    const search = element('input', 'viewer-search');
+    search.type = 'search';
+    search.placeholder = 'Search messages (Enter for next match)';
+    search.setAttribute('aria-label', 'Search messages');
+    const count = element('span', 'viewer-count');
+    const expandButton = element('button', '', 'Expand all');
+    const collapseButton = element('button', '', 'Collapse all');
+    expandButton.type = collapseButton.type = 'button';
+    const chips = element('div', 'viewer-chips');
+    toolbar.append(search, count, expandButton, collapseButton, chips);
+    container.before(toolbar);
+
+    const senderCounts = new Map();
+    for (const message of messages) {
+        const sender = message.dataset.sender;
+        senderCounts.set(sender, (senderCounts.get(sender) || 0) + 1);
+    }
+    if (senderCounts.size > 1) {
+        const sorted = Array.from(senderCounts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+        for (const [sender, total] of sorted) {
+            const chip = element('button', 'viewer-chip', `${sender} (${total})`);
+            chip.type = 'button';
+            chip.setAttribute('aria-pressed', 'false');
+            chip.addEventListener('click', () => {
+                if (activeSenders.has(sender)) {
+                    activeSenders.delete(sender);
+                } else {
+                    activeSenders.add(sender);
+                }
+                chip.setAttribute('aria-pressed', String(activeSenders.has(sender)));
+                applyFilters();
+            });
+            chips.append(chip);
+        }
+    }
+
+    // Month index: one link per month, pointing at its earliest visible message
+    const months = new Map();
+    for (const message of messages) {
+        const date = new Date(message.dataset.date);
+        if (isNaN(date)) continue;
+        const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+        if (!months.has(key)) {
+            months.set(key, { year: date.getFullYear(), month: date.getMonth(), messages: [] });
+        }
+        months.get(key).messages.push({ message, time: date.getTime() });
+    }
+    const index = element('nav', 'viewer-index');
+    index.setAttribute('aria-label', 'Messages by month');
+    index.append(element('strong', '', 'Jump to'));
+    const years = element('ul');
+    let yearList = null;
+    let lastYear = null;
+    for (const key of Array.from(months.keys()).sort()) {
+        const entry = months.get(key);
+        if (entry.year !== lastYear) {
+            const yearItem = element('li', 'viewer-year', String(entry.year));
+            yearList = element('ul');
+            yearItem.append(yearList);
+            years.append(yearItem);
+            lastYear = entry.year;
+        }
+        entry.link = element('a', '', new Date(entry.year, entry.month, 1).toLocaleDateString(undefined, { month: 'long' }));
+        entry.item = element('li');
+        entry.item.append(entry.link);
+        yearList.append(entry.item);
+    }
+    index.append(years);
+    if (months.size > 1) {
+        toolbar.after(index);
+    }
+
+    const updateIndex = () => {
+        for (const entry of months.values()) {
+            const visible = entry.messages.filter(({ message }) => !message.hidden);
+            entry.item.hidden = visible.length === 0;
+            if (visible.length > 0) {
+                const first = visible.reduce((a, b) => (b.time < a.time ? b : a));
+                entry.link.href = `#${first.message.id}`;
+                entry.link.title = `${visible.length} message(s)`;
+            }
+        }
+        for (const yearItem of years.children) {
+            yearItem.hidden = !yearItem.querySelector('li:not([hidden])');
+        }
+    };
+
+    // Topics: the report's topic list becomes the contents of a by-topic view,
+    // which moves the message cards into one section per topic and back
+    const topicList = doc.getElementById('report-topics');
+    const topicView = element('div', 'topic-view');
+    const topicMembers = new Map();
+    const placeholders = new Map();
+    const viewButtons = [];
+    let byTopic = false;
+
+    const showView = (topics) => {
+        if (topics === byTopic) return;
+        byTopic = topics;
+        for (const [section, members] of topicMembers) {
+            for (const message of members) {
+                if (topics) {
+                    const placeholder = doc.createComment(message.id);
+                    placeholders.set(message, placeholder);
+                    message.replaceWith(placeholder);
+                    section.append(message);
+                } else {
+                    placeholders.get(message).replaceWith(message);
+                }
+            }
+        }
+        if (topics) {
+            container.append(topicView);
+        } else {
+            topicView.remove();
+        }
+        viewButtons.forEach(([button, value]) => button.setAttribute('aria-pressed', String(value === topics)));
+        applyFilters();
+    };
+
+    if (topicList) {
+        const messagesById = new Map(messages.map(message => [message.id, message]));
+        for (const entry of topicList.querySelectorAll('li[data-topic]')) {
+            const section = element('section', 'topic');
+            section.id = entry.dataset.topic;
+            section.append(element('h2', '', entry.textContent.trim().replace(/\s+/g, ' ')));
+            topicMembers.set(section, entry.dataset.messages.split(' ').map(id => messagesById.get(id)).filter(Boolean));
+            topicView.append(section);
+            const link = entry.querySelector('a');
+            link.href = `#${section.id}`;
+            link.addEventListener('click', () => showView(true));
+        }
+        for (const [label, value] of [['Chronological', false], ['By topic', true]]) {
+            const button = element('button', 'viewer-chip', label);
+            button.type = 'button';
+            button.setAttribute('aria-pressed', String(value === byTopic));
+            button.addEventListener('click', () => showView(value));
+            viewButtons.push([button, value]);
+            chips.before(button);
+        }
+    }
+
+    // Search highlighting
+    const clearHighlights = () => {
+        for (const mark of container.querySelectorAll('mark.viewer-hit')) {
+            mark.replaceWith(doc.createTextNode(mark.textContent));
+        }
+        container.normalize();
+        currentHit = -1;
+    };
+
+    const highlight = (root, pattern) => {
+        const walker = doc.createTreeWalker(root, win.NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        while (walker.nextNode()) {
+            nodes.push(walker.currentNode);
+        }
+        for (const node of nodes) {
+            const text = node.nodeValue;
+            pattern.lastIndex = 0;
+            let match = pattern.exec(text);
+            if (!match) continue;
+            const fragment = doc.createDocumentFragment();
+            let last = 0;
+            while (match) {
+                fragment.append(text.slice(last, match.index), element('mark', 'viewer-hit', match[0]));
+                last = match.index + match[0].length;
+                match = pattern.exec(text);
+            }
+            fragment.append(text.slice(last));
+            node.replaceWith(fragment);
+        }
+    };
+
+    const openAncestors = (el) => {
+        for (let parent = el.parentElement; parent; parent = parent.parentElement) {
+            if (parent.tagName === 'DETAILS') {
+                parent.open = true;
+            }
+        }
+    };
+
+    const applyFilters = () => {
+        clearHighlights();
+        const query = search.value.trim();
+        const pattern = query ? new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi') : null;
+        let visible = 0;
+        for (const message of messages) {
+            const senderMatches = activeSenders.size === 0 || activeSenders.has(message.dataset.sender);
+            const textMatches = !pattern || message.textContent.toLowerCase().includes(query.toLowerCase());
+            message.hidden = !(senderMatches && textMatches);
+            if (!message.hidden) {
+                visible++;
+                if (pattern) highlight(message, pattern);
+            }
+        }
+        for (const thread of threads) {
+            thread.hidden = !thread.querySelector('.message:not([hidden])');
+        }
+        for (const section of topicMembers.keys()) {
+            section.hidden = !section.querySelector('.message:not([hidden])');
+        }
+
+        const hits = container.querySelectorAll('mark.viewer-hit');
+        hits.forEach(openAncestors);
+        count.textContent = pattern || activeSenders.size > 0
+            ? `${visible} of ${messages.length} messages${pattern ? `, ${hits.length} match(es)` : ''}`
+            : `${messages.length} messages`;
+        updateIndex();
+    };
+
+    const showNextHit = () => {
+        const hits = container.querySelectorAll('mark.viewer-hit');
+        if (hits.length === 0) return;
+        hits[currentHit]?.classList.remove('current');
+        currentHit = (currentHit + 1) % hits.length;
+        hits[currentHit].classList.add('current');
+        hits[currentHit].scrollIntoView({ block: 'center' });
+    };
+
+    // Permalinks: opening a report at #msg-<id> expands and marks that message
+    const showTarget = () => {
+        const id = decodeURIComponent(win.location.hash.slice(1));
+        const target = id ? doc.getElementById(id) : null;
+        if (!target || !container.contains(target)) return;
+        openAncestors(target);
+        container.querySelector('.targeted')?.classList.remove('targeted');
+        target.classList.add('targeted');
+        target.scrollIntoView({ block: 'start' });
+    };
+
+    let searchTimer = null;
+    search.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(applyFilters, 200);
+    });
+    search.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            clearTimeout(searchTimer);
+            if (currentHit === -1) applyFilters();
+            showNextHit();
+        }
+    });
+    expandButton.addEventListener('click', () => threads.forEach(thread => { thread.open = true; }));
+    collapseButton.addEventListener('click', () => threads.forEach(thread => { thread.open = false; }));
+    win.addEventListener('hashchange', showTarget);
+
+    applyFilters();
+    showTarget();
+}
+
+// Reports opened in a tab load this file as a module; it does nothing elsewhere
+if (typeof document !== 'undefined' && document.getElementById('report-messages')) {
+    initReportViewer(document);
+}
@@ -0,0 +1,212 @@
+/**
+ * @file sanitizer.js
+ * @description Allowlist-based sanitizer for the HTML parts of messages.
+ * Keeps formatting (tables, links, emphasis, inline images) but removes
+ * scripts, forms, embedded content, event handlers and, unless allowed,
+ * anything that would load remote resources when the report is opened.
+ */
+
+const ALLOWED_TAGS = new Set([
+    'a', 'abbr', 'b', 'big', 'blockquote', 'br', 'caption', 'center', 'cite', 'code', 'col', 'colgroup',
+    'dd', 'del', 'div', 'dl', 'dt', 'em', 'font', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img',
+    'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'pre', 'q', 's', 'small', 'span', 'strike', 'strong', 'sub',
+    'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'tt', 'u', 'ul'
+]);
+
+// Removed together with their content; any other unknown element is unwrapped
+const DROPPED_TAGS = new Set([
+    'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'noscript', 'template',
+    'form', 'input', 'button', 'textarea', 'select', 'option', 'svg', 'math', 'head', 'title', 'meta',
+    'link', 'base', 'audio', 'video', 'source', 'track', 'canvas', 'portal'
+]);
+
+const ALLOWED_ATTRIBUTES = {
+    '*': ['align', 'dir', 'lang', 'title', 'style', 'valign', 'width', 'height', 'bgcolor'],
+    a: ['href'],
+    img: ['src', 'alt'],
+    font: ['color', 'face', 'size'],
+    ol: ['start', 'type'],
+    table: ['border', 'cellpadding', 'cellspacing'],
+    td: ['colspan', 'rowspan'],
+    th: ['colspan', 'rowspan', 'scope'],
+    col: ['span'],
+    colgroup: ['span']
+};
+
+// Inline style properties that only affect presentation within the element
+const ALLOWED_STYLE_PROPERTIES = /^(color|background-color|font(-\w+)*|text-(align|decoration|indent|transform)|line-height|letter-spacing|white-space|vertical-align|list-style-type|border(-\w+)*|padding(-\w+)*|margin(-\w+)*|width|height|min-width|max-width|display)$/i;
+
+// Quoted reply containers written by common mail clients
+const QUOTE_SELECTORS = ['blockquote[type="cite"]', '.gmail_quote', '.moz-cite-prefix', '.moz-forward-container', '.gmail_signature', '.moz-signature'];
+// Outlook marks where the quoted message starts; everything after it is quoted
+const QUOTE_START_SELECTORS = ['#divRplyFwdMsg', '#appendonsend'];
+
+export class HtmlSanitizer {
+    /**
+     * @param {object} [options] - Sanitizer options.
+     * @param {boolean} [options.allowRemoteImages=false] - Keep http(s) image sources.
+     * @param {boolean} [options.stripQuotes=false] - Remove quoted replies and signatures.
+     */
+    constructor(options = {}) {
+        this.allowRemoteImages = Boolean(options.allowRemoteImages);
+        this.stripQuotes = Boolean(options.stripQuotes);
+    }
+
+    /**
+     * Sanitizes an HTML document or fragment.
+     * @param {string} html - The untrusted HTML.
+     * @param {Map<string, string>} [inlineImages] - Data URIs for 'cid:' image references, by Content-ID.
+     * @returns {string} Safe HTML for the contents of the body element.
+     */
+    sanitize(html, inlineImages = new Map()) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        if (this.stripQuotes) {
+            this.removeQuotes(doc);
+        }
+        this.inlineImages = inlineImages;
+        this.cleanChildren(doc.body);
+        return doc.body.innerHTML.trim();
+    }
+
+    /**
+     * Removes quoted replies, so the HTML matches the cleaned plain-text body.
+     * @param {Document} doc - The parsed document, modified in place.
+     */
+    removeQuotes(doc) {
+        for (const element of doc.querySelectorAll(QUOTE_SELECTORS.join(','))) {
+            element.remove();
+        }
+        for (const marker of doc.querySelectorAll(QUOTE_START_SELECTORS.join(','))) {
+            while (marker.nextSibling) {
+                marker.nextSibling.remove();
+            }
+            marker.remove();
+        }
+    }
+
+    /**
+     * Sanitizes all children of a node, recursively.
+     * @param {Node} parent - The node whose children are cleaned in place.
+     */
+    cleanChildren(parent) {
+        for (const node of Array.from(parent.childNodes)) {
+            if (node.nodeType === Node.TEXT_NODE) continue;
+
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                node.remove(); // Comments, processing instructions, ...
+                continue;
+            }
+
+            const tag = node.localName;
+            if (DROPPED_TAGS.has(tag)) {
+                node.remove();
+                continue;
+            }
+
+            this.cleanChildren(node);
+            if (!ALLOWED_TAGS.has(tag)) {
+                node.replaceWith(...node.childNodes);
+                continue;
+            }
+            this.cleanAttributes(node);
+        }
+    }
+
+    /**
+     * Removes every attribute not on the allowlist and checks URLs and styles.
+     * @param {Element} element - The element to clean in place.
+     */
+    cleanAttributes(element) {
+        const tag = element.localName;
+        const allowed = new Set([...ALLOWED_ATTRIBUTES['*'], ...(ALLOWED_ATTRIBUTES[tag] || [])]);
+
+        for (const attribute of Array.from(element.attributes)) {
+            const name = attribute.name.toLowerCase();
+            if (!allowed.has(name)) {
+                element.removeAttribute(attribute.name);
+            } else if (name === 'style') {
+                const style = this.cleanStyle(attribute.value);
+                if (style) {
+                    element.setAttribute('style', style);
+                } else {
+                    element.removeAttribute('style');
+                }
+            }
+        }
+
+        if (tag === 'a') {
+            const href = element.getAttribute('href') || '';
+            if (/^(https?:|mailto:)/i.test(href.trim())) {
+                element.setAttribute('target', '_blank');
+                element.setAttribute('rel', 'noopener noreferrer');
+            } else {
+                element.removeAttribute('href');
+            }
+        } else if (tag === 'img') {
+            this.cleanImage(element);
+        }
+    }
+
+    /**
+     * Resolves 'cid:' images to data URIs and blocks remote images unless allowed.
+     * Images that cannot be shown are replaced by their alt text.
+     * @param {HTMLImageElement} img - The image to clean in place.
+     */
+    cleanImage(img) {
+        const src = (img.getAttribute('src') || '').trim();
+        let safeSrc = null;
+
+        if (/^cid:/i.test(src)) {
+            safeSrc = this.inlineImages.get(this.normalizeContentId(src.slice(4))) || null;
+        } else if (/^data:image\/(png|gif|jpe?g|webp|bmp);/i.test(src)) {
+            safeSrc = src;
+        } else if (/^https?:/i.test(src) && this.allowRemoteImages) {
+            safeSrc = src;
+        }
+
+        if (safeSrc) {
+            img.setAttribute('src', safeSrc);
+            img.setAttribute('referrerpolicy', 'no-referrer');
+        } else {
+            const alt = img.getAttribute('alt');
+            const placeholder = img.ownerDocument.createElement('span');
+            placeholder.className = 'blocked-image';
+            placeholder.textContent = `[image${alt ? `: ${alt}` : ''}]`;
+            img.replaceWith(placeholder);
+        }
+    }
+
+    /**
+     * Keeps only presentational declarations without external references.
+     * @param {string} style - The value of a style attribute.
+     * @returns {string} The cleaned declarations.
+     */
+    cleanStyle(style) {
+        return style
+            .split(';')
+            .map(declaration => declaration.trim())
+            .filter(declaration => {
+                const separator = declaration.indexOf(':');
+                if (separator <= 0) return false;
+                const property = declaration.slice(0, separator).trim();
+                const value = declaration.slice(separator + 1);
+                return ALLOWED_STYLE_PROPERTIES.test(property) && !/url\(|expression\(|javascript:|@import|\\/i.test(value);
+            })
+            .join('; ');
+    }
+
+    /**
+     * Normalizes a Content-ID for lookup: no angle brackets, URL-decoded, lowercase.
+     * @param {string} contentId - A Content-ID header value or the part of a 'cid:' URL after the scheme.
+     * @returns {string} The normalized ID.
+     */
+    normalizeContentId(contentId) {
+        let id = contentId.trim().replace(/^<|>$/g, '');
+        try {
+            id = decodeURIComponent(id);
+        } catch (e) {
+            // Keep the raw value if it is not valid percent-encoding
+        }
+        return id.toLowerCase();
+    }
+}
@@ -0,0 +1,74 @@
+/**
+ * @file schedules.js
+ * @description Recurring collations: a preset can be scheduled to run daily,
+ * weekly or monthly in the background. Each scheduled preset has one alarm,
+ * set to its next due time and set again after every run, since months
+ * differ in length. Alarms are recreated at startup, so runs that fell due
+ * while Thunderbird was closed are caught up.
+ */
+
+export const SCHEDULE_ALARM_PREFIX = 'collate-schedule:';
+const DEFAULT_RUN_TIME = '08:00';
+// Delay before catching up a run that is overdue
+const CATCH_UP_DELAY_MS = 60 * 1000;
+
+/**
+ * Computes when a schedule is next due: at its time of day, every day, every
+ * Monday or on the first of every month.
+ * @param {object} schedule - The preset's schedule: { frequency ('daily',
+ * 'weekly' or 'monthly'), time ('HH:MM', local time) }.
+ * @param {Date} after - The due time must be later than this.
+ * @returns {Date} The next due time.
+ */
+export function getNextRunTime(schedule, after) {
+    const [hours, minutes] = (schedule.time || DEFAULT_RUN_TIME).split(':').map(Number);
+    const next = new Date(after);
+    next.setHours(hours, minutes, 0, 0);
+    if (schedule.frequency === 'monthly') {
+        next.setDate(1);
+        while (next <= after) next.setMonth(next.getMonth() + 1);
+    } else if (schedule.frequency === 'weekly') {
+        next.setDate(next.getDate() - (next.getDay() + 6) % 7); // Monday of that week
+        while (next <= after) next.setDate(next.getDate() + 7);
+    } else {
+        while (next <= after) next.setDate(next.getDate() + 1);
+    }
+    return next;
+}
+
+/**
+ * Sets one alarm per scheduled preset for its next due time, and removes the
+ * alarms of presets that are no longer scheduled.
+ * @param {object[]} presets - The presets from StorageManager.getPresets.
+ * @param {object} runs - The schedule runs from StorageManager.getScheduleRuns.
+ */
+export async function syncScheduleAlarms(presets, runs) {
+    for (const alarm of await messenger.alarms.getAll()) {
+        if (alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) {
+            await messenger.alarms.clear(alarm.name);
+        }
+    }
+    for (const preset of presets) {
+        if (!preset.schedule) continue;
+        // Counted from the last attempt, so a failing run is not retried until it is due again
+        const from = runs[preset.id]?.lastAttemptAt || preset.schedule.since || new Date().toISOString();
+        const due = getNextRunTime(preset.schedule, new Date(from)).getTime();
+        messenger.alarms.create(`${SCHEDULE_ALARM_PREFIX}${preset.id}`, {
+            when: Math.max(due, Date.now() + CATCH_UP_DELAY_MS)
+        });
+    }
+}
+
+/**
+ * Turns a user-entered folder into a path the downloads API accepts:
+ * relative to the downloads directory, without empty, '.' or '..' parts.
+ * @param {string} folder - The folder, e.g. 'Digests/Weekly'.
+ * @returns {string} The cleaned path, or '' for the downloads directory itself.
+ */
+export function normalizeDownloadFolder(folder) {
+    return (folder || '')
+        .split(/[\\/]+/)
+        .map(part => part.trim())
+        .filter(part => part && part !== '.' && part !== '..')
+        .join('/');
+}
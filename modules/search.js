@@ -0,0 +1,167 @@
+/**
+ * @file search.js
+ * @description Searches the messages of stored reports. The query is embedded
+ * with the same provider and model as the report and compared with the
+ * report's stored vectors, of whole messages or of paragraphs, by cosine
+ * similarity, so messages are found by meaning even when they are worded
+ * differently. Reports compared by text, or whose provider is unavailable or
+ * has changed, are searched by the query's words instead.
+ */
+import { EmbeddingService } from './embeddings.js';
+import { Deduplicator } from './deduplication.js';
+import { LexicalVectorizer } from './lexical.js';
+import { ReportManifest } from './manifests.js';
+
+const DEFAULT_RESULT_LIMIT = 20;
+const SNIPPET_LENGTH = 240;
+// Query words shorter than this only match whole words, longer ones also match word beginnings
+const MIN_PREFIX_LENGTH = 4;
+
+export class MessageSearch {
+    /**
+     * @param {object} settings - The extension settings.
+     */
+    constructor(settings) {
+        this.embeddingService = new EmbeddingService(settings);
+        this.deduplicator = new Deduplicator();
+        this.lexicalVectorizer = new LexicalVectorizer();
+    }
+
+    /**
+     * Searches the messages of a stored report.
+     * @param {string} key - The key of the report's manifest, from ReportManifest.list.
+     * @param {string} query - What to look for, e.g. "where did they mention the renewal price?".
+     * @param {object} [options] - Search options.
+     * @param {number} [options.limit=20] - The maximum number of results.
+     * @returns {Promise<object>} { mode, fallbackReason, results }: 'semantic' or
+     * 'lexical', why the words were used instead of embeddings, and the best
+     * matches as { id, messageId, subject, from, date, score, snippet }, best first.
+     */
+    async search(key, query, options = {}) {
+        const text = (query || '').trim();
+        if (!text) {
+            throw new Error("Enter something to search for.");
+        }
+        const manifest = await ReportManifest.load(key);
+        if (!manifest) {
+            throw new Error("The report was not found. It may have been forgotten; collate it again to search it.");
+        }
+        const limit = options.limit || DEFAULT_RESULT_LIMIT;
+
+        let fallbackReason = null;
+        if (manifest.vectorSpace !== `embedding:${this.embeddingService.cache.namespace}`) {
+            fallbackReason = manifest.vectorSpace === 'lexical'
+                ? 'the report was compared by text, without embeddings'
+                : 'the report was embedded with another provider or model than the current one';
+        } else {
+            try {
+                const embedding = await this.embeddingService.getEmbedding(text);
+                return { mode: 'semantic', fallbackReason: null, results: this.rankByEmbedding(manifest, text, embedding).slice(0, limit) };
+            } catch (error) {
+                console.warn("Could not embed the search query, searching by words:", error);
+                fallbackReason = `the embedding provider failed (${error.message})`;
+            }
+        }
+        return { mode: 'lexical', fallbackReason, results: this.rankByWords(manifest, text).slice(0, limit) };
+    }
+
+    /**
+     * Ranks a report's messages by the cosine similarity of their closest
+     * stored vector to the query's embedding.
+     * @param {object} manifest - The report's manifest.
+     * @param {string} query - The query.
+     * @param {number[]} embedding - The query's embedding.
+     * @returns {object[]} The results, best first.
+     */
+    rankByEmbedding(manifest, query, embedding) {
+        const messagesById = new Map(manifest.messages.map(message => [message.id, message]));
+        const best = new Map();
+        for (const vector of manifest.vectors) {
+            if (!vector.embedding || !messagesById.has(vector.id)) continue;
+            const score = this.deduplicator.cosineSimilarity(embedding, vector.embedding);
+            if (!best.has(vector.id) || score > best.get(vector.id).score) {
+                best.set(vector.id, { score, text: vector.body });
+            }
+        }
+        const terms = this.getTerms(query);
+        return Array.from(best, ([id, { score, text }]) => toResult(messagesById.get(id), score, snippet(text, terms)))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Ranks a report's messages by the query's words in their subjects and
+     * bodies. Rare words weigh more than common ones; the score is the share
+     * of the query's weight a message matches.
+     * @param {object} manifest - The report's manifest.
+     * @param {string} query - The query.
+     * @returns {object[]} The matching messages, best first.
+     */
+    rankByWords(manifest, query) {
+        const terms = this.getTerms(query);
+        const documents = manifest.messages.map(message => ({
+            message,
+            words: this.lexicalVectorizer.normalize(`${message.subject} ${message.body}`).split(' ')
+        }));
+        const counts = documents.map(({ words }) => terms.map(term => words.filter(word => matchesTerm(word, term)).length));
+        const weights = terms.map((term, t) => {
+            const frequency = counts.filter(termCounts => termCounts[t] > 0).length;
+            return Math.log((documents.length + 1) / (frequency + 0.5));
+        });
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+        return documents
+            .map(({ message }, i) => {
+                const matched = weights.reduce((sum, weight, t) => sum + (counts[i][t] > 0 ? weight : 0), 0);
+                const occurrences = counts[i].reduce((sum, count) => sum + count, 0);
+                return { message, score: total > 0 ? matched / total : 0, occurrences };
+            })
+            .filter(({ score }) => score > 0)
+            .sort((a, b) => b.score - a.score || b.occurrences - a.occurrences)
+            .map(({ message, score }) => toResult(message, score, snippet(message.body, terms)));
+    }
+
+    /**
+     * Splits a query into its distinct normalized words.
+     * @param {string} query - The query.
+     * @returns {string[]} The words.
+     */
+    getTerms(query) {
+        return [...new Set(this.lexicalVectorizer.normalize(query).split(' ').filter(Boolean))];
+    }
+}
+
+function matchesTerm(word, term) {
+    return word === term || (term.length >= MIN_PREFIX_LENGTH && word.startsWith(term));
+}
+
+function toResult(message, score, text) {
+    return {
+        id: message.id,
+        messageId: message.messageId || null,
+        subject: message.subject,
+        from: message.from,
+        date: message.date,
+        score: Math.round(score * 1000) / 1000,
+        snippet: text
+    };
+}
+
+/**
+ * Cuts a passage out of a text, around the first word of the query in it,
+ * or from its start.
+ * @param {string} text - The text.
+ * @param {string[]} terms - The normalized query words.
+ * @returns {string} The passage, with an ellipsis where it was cut.
+ */
+function snippet(text, terms) {
+    const flat = (text || '').replace(/\s+/g, ' ').trim();
+    const lower = flat.toLowerCase();
+    const positions = terms
+        .filter(term => term.length >= MIN_PREFIX_LENGTH || terms.length === 1)
+        .map(term => lower.indexOf(term))
+        .filter(position => position >= 0);
+    const start = positions.length > 0 ? Math.max(0, Math.min(...positions) - SNIPPET_LENGTH / 3) : 0;
+    const from = start > 0 ? flat.indexOf(' ', start) + 1 || start : 0;
+    const passage = flat.slice(from, from + SNIPPET_LENGTH);
+    return `${from > 0 ? '…' : ''}${passage}${from + SNIPPET_LENGTH < flat.length ? '…' : ''}`;
+}
@@ -0,0 +1,262 @@
+/**
+ * @file sender-index.js
+ * @description A persistent index of everyone who has sent a message in any
+ * folder, with their message count, most used display name and the date of
+ * their latest message. It is built once by listing every folder and is then
+ * kept current from message and folder events, so the popup can list senders
+ * without walking the whole profile each time it opens.
+ */
+import { StorageManager } from './storage.js';
+import { ProgressReporter } from './utils.js';
+import { parseAuthor } from './identities.js';
+
+// Stored indexes of another version are rebuilt
+const INDEX_VERSION = 1;
+
+// Changes are written to storage at most this often
+const SAVE_DELAY_MS = 5000;
+
+export class SenderIndex {
+    constructor() {
+        this.progressReporter = new ProgressReporter();
+        // Address -> { count, lastSeen (ms), names: { name: count } }
+        this.senders = null;
+        this.builtAt = null;
+        this.updatedAt = null;
+        this.loading = null;
+        this.building = null;
+        this.stale = false;
+        // While building: the index being built and the IDs of the messages it counted
+        this.current = null;
+        this.saveTimer = null;
+    }
+
+    /**
+     * Makes the index available: loads the stored one, or builds it if there
+     * is none yet.
+     * @returns {Promise<void>}
+     */
+    async ready() {
+        if (!this.loading) {
+            this.loading = this.load();
+        }
+        await this.loading;
+        if (!this.senders) {
+            await (this.building || this.build());
+        }
+    }
+
+    async load() {
+        const stored = await StorageManager.getSenderIndex();
+        if (stored?.version === INDEX_VERSION) {
+            this.senders = new Map(Object.entries(stored.senders));
+            this.builtAt = stored.builtAt;
+            this.updatedAt = stored.updatedAt;
+        }
+    }
+
+    /**
+     * Builds the index from scratch, in the background of any running
+     * lookups, which keep using the previous index until this one is done.
+     * A build requested while one is running starts over once it ends.
+     * @returns {Promise<void>}
+     */
+    build() {
+        if (this.building) {
+            this.stale = true;
+            return this.building;
+        }
+        this.building = (async () => {
+            do {
+                this.stale = false;
+                await this.walk();
+            } while (this.stale);
+        })().finally(() => {
+            this.building = null;
+        });
+        return this.building;
+    }
+
+    async walk() {
+        const folders = [];
+        const addFolder = (folder) => {
+            folders.push(folder);
+            (folder.subFolders || []).forEach(addFolder);
+        };
+        for (const account of await messenger.accounts.list(true)) {
+            account.folders.forEach(addFolder);
+        }
+
+        this.current = { senders: new Map(), seen: new Set() };
+        const { senders, seen } = this.current;
+        try {
+            for (const [i, folder] of folders.entries()) {
+                this.progressReporter.reportProgress(i, folders.length, `Indexing senders in ${folder.name} (${i + 1} of ${folders.length})...`);
+                try {
+                    for await (const message of listMessages(await messenger.messages.list(folder.id))) {
+                        // Messages that arrived or moved while indexing may have been counted already
+                        if (!seen.has(message.id)) {
+                            seen.add(message.id);
+                            countMessage(senders, message, 1);
+                        }
+                    }
+                } catch (error) {
+                    console.warn(`Could not index the senders of folder ${folder.name}:`, error);
+                }
+            }
+        } finally {
+            this.current = null;
+        }
+
+        this.senders = senders;
+        this.builtAt = this.updatedAt = new Date().toISOString();
+        await this.save();
+        this.progressReporter.reportComplete(`Indexed ${senders.size} senders.`);
+    }
+
+    /**
+     * Counts new messages, e.g. newly received or copied ones.
+     * @param {object} messageList - A MessageList from a message event.
+     * @returns {Promise<void>}
+     */
+    async addMessages(messageList) {
+        await this.change(messageList, 1);
+    }
+
+    /**
+     * Uncounts deleted messages. The senders' latest dates are kept.
+     * @param {object} messageList - A MessageList from a message event.
+     * @returns {Promise<void>}
+     */
+    async removeMessages(messageList) {
+        await this.change(messageList, -1);
+    }
+
+    /**
+     * Handles moved messages. Moving doesn't change any count, but it does
+     * change the messages' IDs, which a running build must know so it doesn't
+     * count them again in their new folder.
+     * @param {object} originalList - The MessageList of the messages before the move.
+     * @param {object} movedList - The MessageList of the messages after the move.
+     * @returns {Promise<void>}
+     */
+    async moveMessages(originalList, movedList) {
+        if (!this.current) return;
+        const original = [];
+        for await (const message of listMessages(originalList)) {
+            original.push(message);
+        }
+        let i = 0;
+        for await (const message of listMessages(movedList)) {
+            if (this.current && this.current.seen.delete(original[i]?.id)) {
+                this.current.seen.add(message.id);
+            }
+            i++;
+        }
+    }
+
+    async change(messageList, delta) {
+        if (this.loading) {
+            await this.loading;
+        }
+        for await (const message of listMessages(messageList)) {
+            // A running build counts each message once, whether it is listed or reported here first
+            const { current } = this;
+            if (current && (delta > 0 ? !current.seen.has(message.id) : current.seen.has(message.id))) {
+                current.seen[delta > 0 ? 'add' : 'delete'](message.id);
+                countMessage(current.senders, message, delta);
+            }
+            if (this.senders) {
+                countMessage(this.senders, message, delta);
+            }
+        }
+        if (this.senders) {
+            this.updatedAt = new Date().toISOString();
+            this.scheduleSave();
+        }
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save().catch(error => console.warn("Could not save the sender index:", error));
+        }, SAVE_DELAY_MS);
+    }
+
+    async save() {
+        await StorageManager.saveSenderIndex({
+            version: INDEX_VERSION,
+            builtAt: this.builtAt,
+            updatedAt: this.updatedAt,
+            senders: Object.fromEntries(this.senders)
+        });
+    }
+
+    /**
+     * Lists the indexed senders.
+     * @returns {Array<[string, {count: number, name: string, lastSeen: string|null}]>}
+     * Pairs of address and details, with the display name the sender used most.
+     */
+    getSenders() {
+        return Array.from(this.senders || [], ([address, entry]) => {
+            const [name = ''] = Object.entries(entry.names).sort((a, b) => b[1] - a[1])[0] || [];
+            return [address, {
+                count: entry.count,
+                name,
+                lastSeen: entry.lastSeen ? new Date(entry.lastSeen).toISOString() : null
+            }];
+        });
+    }
+
+    /**
+     * Describes the state of the index, e.g. for the settings page.
+     * @returns {{senders: number, builtAt: string|null, updatedAt: string|null, building: boolean}}
+     */
+    getStatus() {
+        return {
+            senders: this.senders?.size || 0,
+            builtAt: this.builtAt,
+            updatedAt: this.updatedAt,
+            building: Boolean(this.building)
+        };
+    }
+}
+
+/**
+ * Iterates over all messages of a MessageList, fetching its further pages.
+ * @param {object} page - The first page, as returned by messages.list or an event.
+ */
+async function* listMessages(page) {
+    while (page) {
+        yield* page.messages;
+        page = page.id ? await messenger.messages.continueList(page.id) : null;
+    }
+}
+
+/**
+ * Adds a message to, or removes it from, a sender's entry.
+ * @param {Map} senders - The index.
+ * @param {object} message - A MessageHeader.
+ * @param {number} delta - 1 to add, -1 to remove.
+ */
+function countMessage(senders, message, delta) {
+    const { name, address } = parseAuthor(message.author);
+    const key = address || (message.author || '').trim();
+    if (!key) return;
+    const entry = senders.get(key) || { count: 0, lastSeen: 0, names: {} };
+    entry.count += delta;
+    if (entry.count <= 0) {
+        senders.delete(key);
+        return;
+    }
+    if (name) {
+        entry.names[name] = (entry.names[name] || 0) + delta;
+        if (entry.names[name] <= 0) delete entry.names[name];
+    }
+    const time = new Date(message.date).getTime();
+    if (delta > 0 && time > entry.lastSeen) {
+        entry.lastSeen = time;
+    }
+    senders.set(key, entry);
+}
@@ -0,0 +1,16 @@
+/**
+ * @file similarity-worker.js
+ * @description Web Worker that runs the near-duplicate pair search off the
+ * background script's main thread. Receives packed vectors from
+ * Deduplicator and posts back the similar pairs.
+ */
+import { findSimilarPairs } from './similarity.js';
+
+self.onmessage = (event) => {
+    const { data, valid, dimensions, threshold } = event.data;
+    try {
+        self.postMessage({ status: 'success', pairs: findSimilarPairs(data, valid, dimensions, threshold) });
+    } catch (error) {
+        self.postMessage({ status: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,194 @@
+/**
+ * @file similarity.js
+ * @description Finds all pairs of embeddings whose cosine similarity exceeds
+ * a threshold without comparing every pair. Vectors are normalized into one
+ * Float32Array and projected onto their main directions of variation. Two
+ * unit vectors above the threshold are closer than sqrt(2 - 2 * threshold),
+ * and a projection never increases distances, so pairs whose projections are
+ * further apart can be skipped without missing any: the result is exactly
+ * that of comparing every pair. Candidates are found by sorting on the first
+ * projection and checked on all projections before their full dot product.
+ * Small inputs are compared exhaustively.
+ * Has no extension API dependencies so it can run inside a Web Worker.
+ */
+import { dot, seededRandom } from './utils.js';
+
+// Below this many vectors, comparing all pairs is cheaper than projecting them
+const EXHAUSTIVE_LIMIT = 400;
+// Directions projected onto; more prune more candidates but cost more per vector
+const PROJECTIONS = 24;
+// The directions are estimated by power iteration on at most this many vectors
+const POWER_ITERATIONS = 4;
+const MAX_SAMPLE = 1000;
+// Covers rounding in Float32 vectors and projections, so no pair at the threshold is skipped
+const DISTANCE_SLACK = 1e-4;
+
+/**
+ * Normalizes embeddings to unit length and packs them into a single array.
+ * Missing, zero-length or wrongly sized vectors are marked invalid; they can
+ * never be similar to anything, as with cosineSimilarity.
+ * @param {Array<number[]|null>} embeddings - One embedding (or null) per item.
+ * @returns {{data: Float32Array, valid: Uint8Array, dimensions: number}} The packed vectors.
+ */
+export function packVectors(embeddings) {
+    const dimensions = embeddings.find(e => e && e.length > 0)?.length || 0;
+    const data = new Float32Array(embeddings.length * dimensions);
+    const valid = new Uint8Array(embeddings.length);
+
+    embeddings.forEach((embedding, i) => {
+        if (!embedding || embedding.length !== dimensions) return;
+        let norm = 0;
+        for (let d = 0; d < dimensions; d++) {
+            norm += embedding[d] * embedding[d];
+        }
+        if (norm === 0) return;
+        norm = Math.sqrt(norm);
+        for (let d = 0; d < dimensions; d++) {
+            data[i * dimensions + d] = embedding[d] / norm;
+        }
+        valid[i] = 1;
+    });
+    return { data, valid, dimensions };
+}
+
+/**
+ * Finds every pair of valid vectors with a cosine similarity above the threshold.
+ * @param {Float32Array} data - Unit vectors from packVectors.
+ * @param {Uint8Array} valid - Validity flags from packVectors.
+ * @param {number} dimensions - The vector length.
+ * @param {number} threshold - The minimum (exclusive) cosine similarity.
+ * @returns {Array<{i: number, j: number, similarity: number}>} Pairs with i < j.
+ */
+export function findSimilarPairs(data, valid, dimensions, threshold) {
+    const indices = [];
+    for (let i = 0; i < valid.length; i++) {
+        if (valid[i]) indices.push(i);
+    }
+    const pairs = [];
+    const compare = (i, j) => {
+        const similarity = dotAt(data, i, j, dimensions);
+        if (similarity > threshold) {
+            pairs.push(i < j ? { i, j, similarity } : { i: j, j: i, similarity });
+        }
+    };
+
+    if (indices.length <= EXHAUSTIVE_LIMIT || dimensions === 0) {
+        for (let a = 0; a < indices.length; a++) {
+            for (let b = a + 1; b < indices.length; b++) {
+                compare(indices[a], indices[b]);
+            }
+        }
+        return pairs;
+    }
+
+    const directions = principalDirections(data, indices, dimensions, Math.min(PROJECTIONS, dimensions));
+    const k = directions.length;
+    const coordinates = new Float64Array(valid.length * k);
+    for (const i of indices) {
+        const vector = data.subarray(i * dimensions, (i + 1) * dimensions);
+        directions.forEach((direction, c) => {
+            coordinates[i * k + c] = dot(vector, direction);
+        });
+    }
+
+    // |a - b|^2 = 2 - 2 * cos(a, b) for unit vectors
+    const radius = Math.sqrt(Math.max(0, 2 - 2 * threshold)) + DISTANCE_SLACK;
+    const radiusSquared = radius * radius;
+    const sorted = indices.slice().sort((a, b) => coordinates[a * k] - coordinates[b * k]);
+    for (let a = 0; a < sorted.length; a++) {
+        const i = sorted[a];
+        for (let b = a + 1; b < sorted.length; b++) {
+            const j = sorted[b];
+            if (coordinates[j * k] - coordinates[i * k] >= radius) break;
+            let distance = 0;
+            for (let c = 0; c < k && distance < radiusSquared; c++) {
+                const difference = coordinates[i * k + c] - coordinates[j * k + c];
+                distance += difference * difference;
+            }
+            if (distance < radiusSquared) {
+                compare(i, j);
+            }
+        }
+    }
+
+    pairs.sort((x, y) => x.i - y.i || x.j - y.j);
+    return pairs;
+}
+
+/**
+ * Estimates the directions in which the vectors vary most (their principal
+ * components), by block power iteration on a sample. Any orthonormal
+ * directions keep the search exact; these make it prune the most.
+ * @returns {Float64Array[]} Up to `count` orthonormal directions.
+ */
+function principalDirections(data, indices, dimensions, count) {
+    const step = Math.max(1, Math.floor(indices.length / MAX_SAMPLE));
+    const sample = indices.filter((_, n) => n % step === 0);
+    const mean = new Float64Array(dimensions);
+    for (const i of sample) {
+        for (let d = 0; d < dimensions; d++) {
+            mean[d] += data[i * dimensions + d] / sample.length;
+        }
+    }
+
+    const random = seededRandom(0x5eed);
+    let directions = orthonormalize(Array.from({ length: count }, () =>
+        Float64Array.from({ length: dimensions }, () => random() - 0.5)));
+    const centered = new Float64Array(dimensions);
+    for (let iteration = 0; iteration < POWER_ITERATIONS && directions.length > 0; iteration++) {
+        // Multiply by the sample's covariance matrix without forming it
+        const next = directions.map(() => new Float64Array(dimensions));
+        for (const i of sample) {
+            for (let d = 0; d < dimensions; d++) {
+                centered[d] = data[i * dimensions + d] - mean[d];
+            }
+            directions.forEach((direction, c) => {
+                const weight = dot(centered, direction);
+                const target = next[c];
+                for (let d = 0; d < dimensions; d++) {
+                    target[d] += weight * centered[d];
+                }
+            });
+        }
+        directions = orthonormalize(next);
+    }
+    return directions;
+}
+
+/**
+ * Turns vectors into orthonormal ones (Gram-Schmidt), in place, dropping
+ * those that depend on the ones before them.
+ * @param {Float64Array[]} vectors - The vectors.
+ * @returns {Float64Array[]} The orthonormal vectors.
+ */
+function orthonormalize(vectors) {
+    const basis = [];
+    for (const vector of vectors) {
+        for (const unit of basis) {
+            const projection = dot(vector, unit);
+            for (let d = 0; d < vector.length; d++) {
+                vector[d] -= projection * unit[d];
+            }
+        }
+        const length = Math.sqrt(dot(vector, vector));
+        if (!(length > 1e-9)) continue;
+        for (let d = 0; d < vector.length; d++) {
+            vector[d] /= length;
+        }
+        basis.push(vector);
+    }
+    return basis;
+}
+
+/**
+ * Dot product of two vectors packed into one array.
+ */
+function dotAt(data, i, j, dimensions) {
+    let sum = 0;
+    const a = i * dimensions;
+    const b = j * dimensions;
+    for (let d = 0; d < dimensions; d++) {
+        sum += data[a + d] * data[b + d];
+    }
+    return sum;
+}
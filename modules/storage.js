@@ -7,6 +7,63 @@
  */
 
 const SETTINGS_KEY = 'emailCollationSettings';
+const PRESETS_KEY = 'emailCollationPresets';
+const SCHEDULE_RUNS_KEY = 'emailCollationScheduleRuns';
+const SENDER_GROUPS_KEY = 'emailCollationSenderGroups';
+const SENDER_INDEX_KEY = 'emailCollationSenderIndex';
+
+// Sensible defaults used until the user saves their own settings
+const DEFAULT_SETTINGS = {
+    provider: 'ollama',
+    ollama: {
+        endpoint: 'http://localhost:11434',
+        model: 'nomic-embed-text',
+        batchSize: 32
+    },
+    gemini: {
+        apiKey: '',
+        batchSize: 100
+    },
+    openai: {
+        baseUrl: 'http://localhost:1234/v1',
+        model: 'text-embedding-nomic-embed-text-v1.5',
+        apiKey: '',
+        dimensions: null,
+        batchSize: 32
+    },
+    similarityThreshold: 0.95,
+    dedupStrategy: 'auto',
+    lexicalThreshold: 0.8,
+    dedupMode: 'message',
+    threading: true,
+    attachments: {
+        enabled: true
+    },
+    htmlBodies: {
+        enabled: false,
+        allowRemoteImages: false
+    },
+    cleaning: {
+        enabled: true,
+        showQuoted: true
+    },
+    topics: {
+        enabled: false,
+        granularity: 'medium'
+    },
+    summary: {
+        enabled: false,
+        model: '',
+        chunkSize: 12000
+    },
+    cache: {
+        maxEntries: 20000
+    },
+    concurrency: {
+        extraction: 4,
+        embedding: 2
+    }
+};
 
 export class StorageManager {
     /**
@@ -16,22 +73,10 @@ export class StorageManager {
     static async getSettings() {
         try {
             const result = await messenger.storage.local.get(SETTINGS_KEY);
-            // Provide sensible defaults if no settings are stored yet
-            const defaults = {
-                provider: 'ollama',
-                ollama: {
-                    endpoint: 'http://localhost:11434',
-                    model: 'nomic-embed-text'
-                },
-                gemini: {
-                    apiKey: ''
-                },
-                similarityThreshold: 0.95
-            };
-            return { ...defaults, ...(result[SETTINGS_KEY] || {}) };
+            return { ...DEFAULT_SETTINGS, ...(result[SETTINGS_KEY] || {}) };
         } catch (error) {
             console.error("Error getting settings:", error);
-            return defaults;
+            return { ...DEFAULT_SETTINGS };
         }
     }
 
@@ -48,4 +93,139 @@ export class StorageManager {
             throw error; // Re-throw to be handled by the caller
         }
     }
+
+    /**
+     * Retrieves the saved collation presets.
+     * @returns {Promise<object[]>} The presets, sorted by name. Each has an id,
+     * a name, the collation parameters (senders, startDate or sinceDays,
+     * outputMethod, format, ...), the deduplication settings to use ('dedup')
+     * and, if it runs automatically, a 'schedule' ({ frequency, time, since,
+     * downloadFolder }).
+     */
+    static async getPresets() {
+        try {
+            const result = await messenger.storage.local.get(PRESETS_KEY);
+            return (result[PRESETS_KEY] || []).sort((a, b) => a.name.localeCompare(b.name));
+        } catch (error) {
+            console.error("Error getting presets:", error);
+            return [];
+        }
+    }
+
+    /**
+     * Adds a preset, or replaces the one with the same ID or name.
+     * @param {object} preset - The preset to save; an ID is assigned if it has none.
+     * @returns {Promise<object>} The saved preset.
+     */
+    static async savePreset(preset) {
+        const presets = await StorageManager.getPresets();
+        const existing = presets.find(p => p.id === preset.id || p.name === preset.name);
+        const saved = { ...preset, id: existing?.id || preset.id || `preset-${Date.now()}` };
+        const updated = presets.filter(p => p !== existing);
+        updated.push(saved);
+        await messenger.storage.local.set({ [PRESETS_KEY]: updated });
+        return saved;
+    }
+
+    /**
+     * Deletes a preset.
+     * @param {string} id - The ID of the preset.
+     * @returns {Promise<void>}
+     */
+    static async deletePreset(id) {
+        const presets = await StorageManager.getPresets();
+        const runs = await StorageManager.getScheduleRuns();
+        delete runs[id];
+        await messenger.storage.local.set({
+            [PRESETS_KEY]: presets.filter(p => p.id !== id),
+            [SCHEDULE_RUNS_KEY]: runs
+        });
+    }
+
+    /**
+     * Retrieves the person groups, which merge several addresses or domains
+     * into one sender.
+     * @returns {Promise<object[]>} The groups as { id, name, members }, sorted by name.
+     */
+    static async getSenderGroups() {
+        try {
+            const result = await messenger.storage.local.get(SENDER_GROUPS_KEY);
+            return (result[SENDER_GROUPS_KEY] || []).sort((a, b) => a.name.localeCompare(b.name));
+        } catch (error) {
+            console.error("Error getting sender groups:", error);
+            return [];
+        }
+    }
+
+    /**
+     * Adds a person group, or replaces the one with the same ID or name.
+     * @param {object} group - The group to save; an ID is assigned if it has none.
+     * @returns {Promise<object>} The saved group.
+     */
+    static async saveSenderGroup(group) {
+        const groups = await StorageManager.getSenderGroups();
+        const existing = groups.find(g => g.id === group.id || g.name === group.name);
+        const saved = { ...group, id: existing?.id || group.id || `group-${Date.now()}` };
+        await messenger.storage.local.set({ [SENDER_GROUPS_KEY]: [...groups.filter(g => g !== existing), saved] });
+        return saved;
+    }
+
+    /**
+     * Deletes a person group.
+     * @param {string} id - The ID of the group.
+     * @returns {Promise<void>}
+     */
+    static async deleteSenderGroup(id) {
+        const groups = await StorageManager.getSenderGroups();
+        await messenger.storage.local.set({ [SENDER_GROUPS_KEY]: groups.filter(g => g.id !== id) });
+    }
+
+    /**
+     * Retrieves the outcome of the latest scheduled run of each preset.
+     * @returns {Promise<object>} Preset ID -> { lastRunAt (the last successful
+     * run), lastAttemptAt, status ('success', 'error' or 'cancelled'), message }.
+     */
+    static async getScheduleRuns() {
+        try {
+            const result = await messenger.storage.local.get(SCHEDULE_RUNS_KEY);
+            return result[SCHEDULE_RUNS_KEY] || {};
+        } catch (error) {
+            console.error("Error getting schedule runs:", error);
+            return {};
+        }
+    }
+
+    /**
+     * Records the outcome of a scheduled run of a preset.
+     * @param {string} id - The ID of the preset.
+     * @param {object} run - The run, as returned by getScheduleRuns.
+     * @returns {Promise<void>}
+     */
+    static async saveScheduleRun(id, run) {
+        const runs = await StorageManager.getScheduleRuns();
+        await messenger.storage.local.set({ [SCHEDULE_RUNS_KEY]: { ...runs, [id]: run } });
+    }
+
+    /**
+     * Retrieves the stored sender index.
+     * @returns {Promise<object|null>} The index as saved by SenderIndex, or null.
+     */
+    static async getSenderIndex() {
+        try {
+            const result = await messenger.storage.local.get(SENDER_INDEX_KEY);
+            return result[SENDER_INDEX_KEY] || null;
+        } catch (error) {
+            console.error("Error getting sender index:", error);
+            return null;
+        }
+    }
+
+    /**
+     * Stores the sender index.
+     * @param {object} index - The index to store.
+     * @returns {Promise<void>}
+     */
+    static async saveSenderIndex(index) {
+        await messenger.storage.local.set({ [SENDER_INDEX_KEY]: index });
+    }
 }
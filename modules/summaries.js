@@ -0,0 +1,436 @@
+/**
+ * @file summaries.js
+ * @description Optional summaries of a report, written by a chat model of the
+ * configured provider: an overall summary, a digest per month, and the action
+ * items and decisions the messages mention. Long timelines are handled
+ * map-reduce style: each month's messages are summarized in chunks that fit
+ * the model's context, the chunk summaries are merged into the month's digest,
+ * and the digests into the overall summary. The model cites messages by their
+ * number, e.g. [12], so every summary can link back to its source messages.
+ */
+import { RateLimiter } from './utils.js';
+import { isCloudProvider, DEFAULT_OPENAI_BASE_URL } from './embeddings.js';
+
+const DEFAULT_CHAT_MODELS = { ollama: 'llama3.2', gemini: 'gemini-1.5-flash', openai: 'llama-3.2-3b-instruct' };
+// Characters of message text sent per request; small local models have small contexts
+const DEFAULT_CHUNK_CHARS = 12000;
+// Matches citations such as [3] or [3, 7]. Reports link citations with it too,
+// so read their numbers with citationNumbers to agree with the summary's sources.
+export const CITATION_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+const SYSTEM_PROMPT = 'You summarize email correspondence for a busy reader preparing for a meeting. '
+    + 'Messages are numbered like [12]. After each statement, cite the numbers of the messages it is based on, e.g. [3] or [3, 7]. '
+    + 'Be factual and concise, and only use information from the messages. Answer with a single JSON object and nothing else.';
+
+export class SummaryService {
+    /**
+     * @param {object} settings - The extension settings; 'summary' holds
+     * { enabled, model, chunkSize } and the provider settings are shared with embeddings.
+     */
+    constructor(settings) {
+        this.provider = settings.provider || 'ollama';
+        this.config = settings[this.provider] || {};
+        this.options = settings.summary || {};
+        this.chunkSize = Math.max(2000, parseInt(this.options.chunkSize, 10) || DEFAULT_CHUNK_CHARS);
+        // Gemini's free tier allows 15 chat requests per minute
+        this.rateLimiter = new RateLimiter(15, 60 * 1000);
+    }
+
+    /**
+     * Returns the name of the chat model summaries are requested from.
+     * @returns {string} The model name.
+     */
+    getModelName() {
+        return this.options.model || DEFAULT_CHAT_MODELS[this.provider] || DEFAULT_CHAT_MODELS.ollama;
+    }
+
+    /**
+     * Summarizes messages.
+     * @param {object[]} messages - The report's messages, in chronological order.
+     * @param {function} [onProgress] - Called with (current, total) after each
+     * request. If it returns a promise, it is awaited, so the caller can pause
+     * or abort (by throwing).
+     * @returns {Promise<object>} The summary: { provider, model, references,
+     * overview, periods, actionItems, decisions }. 'references' holds the
+     * message ID of each citation number ([n] is references[n - 1]); the
+     * overview and each period ({ period, label }) have a 'text' and the IDs of
+     * their 'sources', and action items and decisions are { text, owner?, sources }.
+     */
+    async summarize(messages, onProgress = () => {}) {
+        const references = messages.map(message => message.id);
+        const numbers = new Map(references.map((id, index) => [id, index + 1]));
+        const months = groupByMonth(messages).map(month => ({
+            ...month,
+            chunks: this.chunk(month.messages.map(message => formatMessage(message, numbers.get(message.id), this.chunkSize)))
+        }));
+        // About one request per chunk, one per month to merge its chunks and one for the overview
+        const total = months.reduce((sum, month) => sum + month.chunks.length + (month.chunks.length > 1 ? 1 : 0), months.length > 1 ? 1 : 0);
+        let current = 0;
+        const step = async () => {
+            current = Math.min(current + 1, total);
+            await onProgress(current, total);
+        };
+
+        const periods = [];
+        const actionItems = [];
+        const decisions = [];
+        for (const month of months) {
+            const partials = [];
+            for (const chunk of month.chunks) {
+                const result = await this.request(
+                    `Summarize these messages from ${month.label} in a few sentences. `
+                    + 'Respond with a JSON object: {"summary": "...", "actionItems": [{"text": "...", "owner": "who should act, if known", "sources": [numbers]}], '
+                    + '"decisions": [{"text": "...", "sources": [numbers]}]}. Use empty lists if there are none.\n\n'
+                    + chunk
+                );
+                partials.push(result.summary);
+                actionItems.push(...this.toItems(result.actionItems, references));
+                decisions.push(...this.toItems(result.decisions, references));
+                await step();
+            }
+            const text = partials.length > 1
+                ? await this.merge(partials, month.label, step)
+                : partials[0];
+            const cited = citedIds(text, references);
+            periods.push({
+                period: month.period,
+                label: month.label,
+                text,
+                // Digests without citations are based on the whole month
+                sources: cited.length > 0 ? cited : month.messages.map(message => message.id)
+            });
+        }
+
+        const overviewText = periods.length > 1
+            ? await this.merge(periods.map(formatPeriod), 'the whole correspondence, highlighting how it developed over time', step)
+            : periods[0]?.text || '';
+        await onProgress(total, total);
+
+        return {
+            provider: this.provider,
+            model: this.getModelName(),
+            references,
+            overview: { text: overviewText, sources: citedIds(overviewText, references) },
+            periods,
+            actionItems: mergeItems(actionItems),
+            decisions: mergeItems(decisions)
+        };
+    }
+
+    /**
+     * Merges partial summaries into one, in several rounds if they don't fit
+     * into a single request.
+     * @param {string[]} texts - The summaries to merge.
+     * @param {string} scope - What the summaries cover, for the prompt.
+     * @param {function} step - Called after each request.
+     * @returns {Promise<string>} The merged summary.
+     */
+    async merge(texts, scope, step) {
+        let parts = texts;
+        do {
+            const merged = [];
+            // Summaries too long to pair up are sent together, so every round makes progress
+            const chunks = this.chunk(parts);
+            for (const chunk of chunks.length < parts.length ? chunks : [parts.join('\n\n')]) {
+                const result = await this.request(
+                    `Combine these partial summaries into one summary of ${scope}, in at most ten sentences. `
+                    + 'Keep the message citations. Respond with a JSON object: {"summary": "..."}\n\n'
+                    + chunk
+                );
+                merged.push(result.summary);
+                await step();
+            }
+            parts = merged;
+        } while (parts.length > 1);
+        return parts[0];
+    }
+
+    /**
+     * Joins texts into chunks of at most chunkSize characters each.
+     * @param {string[]} texts - The texts, each shorter than a chunk.
+     * @returns {string[]} The chunks.
+     */
+    chunk(texts) {
+        const chunks = [];
+        let current = '';
+        for (const text of texts) {
+            if (current && current.length + text.length + 2 > this.chunkSize) {
+                chunks.push(current);
+                current = '';
+            }
+            current = current ? `${current}\n\n${text}` : text;
+        }
+        if (current) {
+            chunks.push(current);
+        }
+        return chunks;
+    }
+
+    /**
+     * Turns the items a model listed into { text, owner?, sources } with
+     * message IDs, dropping citations of messages that don't exist.
+     */
+    toItems(items, references) {
+        if (!Array.isArray(items)) {
+            return [];
+        }
+        return items
+            .map(item => (typeof item === 'string' ? { text: item } : item || {}))
+            .filter(item => typeof item.text === 'string' && item.text.trim())
+            .map(item => {
+                const numbers = Array.isArray(item.sources) ? item.sources.map(Number) : [];
+                const sources = [...new Set([...numbers.map(n => references[n - 1]), ...citedIds(item.text, references)])]
+                    .filter(id => id !== undefined);
+                const entry = { text: item.text.trim(), sources };
+                if (typeof item.owner === 'string' && item.owner.trim() && !/^(unknown|n\/a|none)?$/i.test(item.owner.trim())) {
+                    entry.owner = item.owner.trim();
+                }
+                return entry;
+            });
+    }
+
+    /**
+     * Asks the chat model for a short label for each topic, from the subjects
+     * of its messages.
+     * @param {object[]} topics - Topics from TopicClusterer.cluster, as { label, messageIds }.
+     * @param {object[]} messages - The report's messages.
+     * @returns {Promise<string[]>} One label per topic, or an empty string
+     * where the model didn't give one.
+     */
+    async labelTopics(topics, messages) {
+        const subjects = new Map(messages.map(message => [message.id, message.subject]));
+        // Every topic gets an equal share of the request
+        const share = Math.max(200, Math.floor(this.chunkSize / topics.length));
+        const groups = topics.map((topic, index) => {
+            const lines = [...new Set(topic.messageIds.map(id => subjects.get(id)).filter(Boolean))]
+                .map(subject => `- ${subject}`);
+            return `Group ${index + 1} (${topic.label}):\n${lines.join('\n').slice(0, share)}`;
+        });
+        const result = await this.request(
+            `Here are ${topics.length} groups of email subjects. Give each group a short topic label of two to five words `
+            + 'that tells it apart from the other groups. Respond with a JSON object: {"labels": ["label of group 1", ...]}\n\n'
+            + groups.join('\n\n')
+        );
+        const labels = Array.isArray(result.labels) ? result.labels : [];
+        return topics.map((topic, index) => (typeof labels[index] === 'string' ? labels[index].trim().slice(0, 80) : ''));
+    }
+
+    /**
+     * Sends a prompt to the chat model and parses its JSON answer. Answers
+     * that aren't valid JSON are used as the summary text.
+     * @param {string} prompt - The prompt.
+     * @returns {Promise<object>} The answer, with at least a 'summary' string.
+     */
+    async request(prompt) {
+        if (isCloudProvider(this.provider, this.config)) {
+            await this.rateLimiter.throttle();
+        }
+        let content;
+        if (this.provider === 'ollama') {
+            content = await this.getOllamaCompletion(prompt);
+        } else if (this.provider === 'gemini') {
+            content = await this.getGeminiCompletion(prompt);
+        } else if (this.provider === 'openai') {
+            content = await this.getOpenAiCompletion(prompt);
+        } else {
+            throw new Error(`Unsupported summary provider: ${this.provider}`);
+        }
+        return parseAnswer(content);
+    }
+
+    /**
+     * Requests a completion from a local Ollama instance.
+     * @param {string} prompt - The prompt.
+     * @returns {Promise<string>} The model's answer.
+     */
+    async getOllamaCompletion(prompt) {
+        const endpoint = this.config.endpoint || 'http://localhost:11434';
+        const response = await fetch(`${endpoint}/api/chat`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                model: this.getModelName(),
+                messages: [
+                    { role: 'system', content: SYSTEM_PROMPT },
+                    { role: 'user', content: prompt }
+                ],
+                format: 'json',
+                stream: false,
+                options: { temperature: 0.2 }
+            }),
+        });
+
+        if (!response.ok) {
+            const errorBody = await response.text();
+            throw new Error(`Ollama API error (${response.status}): ${errorBody}`);
+        }
+        const data = await response.json();
+        return data.message?.content || '';
+    }
+
+    /**
+     * Requests a completion from the Google Gemini API.
+     * @param {string} prompt - The prompt.
+     * @returns {Promise<string>} The model's answer.
+     */
+    async getGeminiCompletion(prompt) {
+        const apiKey = this.config.apiKey;
+        if (!apiKey) {
+            throw new Error("Gemini API key is missing.");
+        }
+
+        const url = `https://generativelanguage.googleapis.com/v1beta/models/${this.getModelName()}:generateContent?key=${apiKey}`;
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                systemInstruction: { parts: [{ text: SYSTEM_PROMPT }] },
+                contents: [{ role: 'user', parts: [{ text: prompt }] }],
+                generationConfig: { responseMimeType: 'application/json', temperature: 0.2 }
+            }),
+        });
+
+        if (!response.ok) {
+            const errorBody = await response.json();
+            throw new Error(`Gemini API error (${response.status}): ${errorBody.error.message}`);
+        }
+        const data = await response.json();
+        return (data.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+    }
+
+    /**
+     * Requests a completion from a server implementing the OpenAI chat
+     * completions API. JSON output is only asked for in the prompt, as not
+     * every local server supports enforcing it.
+     * @param {string} prompt - The prompt.
+     * @returns {Promise<string>} The model's answer.
+     */
+    async getOpenAiCompletion(prompt) {
+        const baseUrl = (this.config.baseUrl || DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, '');
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.config.apiKey) {
+            headers.Authorization = `Bearer ${this.config.apiKey}`;
+        }
+
+        const response = await fetch(`${baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                model: this.getModelName(),
+                messages: [
+                    { role: 'system', content: SYSTEM_PROMPT },
+                    { role: 'user', content: prompt }
+                ],
+                temperature: 0.2
+            }),
+        });
+
+        if (!response.ok) {
+            const errorBody = await response.text();
+            throw new Error(`OpenAI-compatible API error (${response.status}): ${errorBody}`);
+        }
+        const data = await response.json();
+        return data.choices?.[0]?.message?.content || '';
+    }
+}
+
+/**
+ * Groups messages by the month they were sent in.
+ * @param {object[]} messages - Messages in chronological order.
+ * @returns {Array<{period: string, label: string, messages: object[]}>} The
+ * months in order, e.g. { period: '2024-03', label: 'March 2024', messages }.
+ */
+function groupByMonth(messages) {
+    const months = new Map();
+    for (const message of messages) {
+        const date = new Date(message.date);
+        const period = isNaN(date) ? 'undated' : `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+        if (!months.has(period)) {
+            const label = isNaN(date)
+                ? 'Undated'
+                : new Date(date.getFullYear(), date.getMonth(), 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+            months.set(period, { period, label, messages: [] });
+        }
+        months.get(period).messages.push(message);
+    }
+    return Array.from(months.values());
+}
+
+/**
+ * Formats a message for a prompt, shortening its body so it fits into a chunk.
+ */
+function formatMessage(message, number, maxLength) {
+    const date = new Date(message.date);
+    const header = `[${number}] ${isNaN(date) ? '' : date.toISOString().slice(0, 10)} | From: ${message.from} | Subject: ${message.subject}\n`;
+    const room = Math.max(200, maxLength - header.length - 2);
+    const body = (message.body || '').trim();
+    return header + (body.length > room ? `${body.slice(0, room - 1)}…` : body);
+}
+
+function formatPeriod(period) {
+    return `${period.label}:\n${period.text}`;
+}
+
+/**
+ * Returns the message numbers cited in a text, e.g. [3, 7] for "Agreed [3, 7].",
+ * in order of appearance.
+ * @param {string} text - The text, or a single citation.
+ * @returns {number[]} The cited numbers, repeated if cited more than once.
+ */
+export function citationNumbers(text) {
+    return Array.from((text || '').matchAll(CITATION_PATTERN), match => match[1].split(',').map(number => parseInt(number, 10))).flat();
+}
+
+/**
+ * Returns the message IDs cited in a text, e.g. '[3, 7]', in order of appearance.
+ * @param {string} text - The text.
+ * @param {number[]} references - The message ID of each citation number.
+ * @returns {number[]} The distinct cited message IDs.
+ */
+function citedIds(text, references) {
+    const ids = citationNumbers(text).map(number => references[number - 1]).filter(id => id !== undefined);
+    return [...new Set(ids)];
+}
+
+/**
+ * Parses a model's answer. Models sometimes wrap JSON in code fences or add
+ * text around it; anything that can't be parsed is used as the summary.
+ * @param {string} content - The answer.
+ * @returns {object} The parsed object, with a 'summary' string.
+ */
+function parseAnswer(content) {
+    const text = (content || '').trim();
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+        try {
+            const parsed = JSON.parse(text.slice(start, end + 1));
+            if (parsed && typeof parsed === 'object') {
+                return { ...parsed, summary: String(parsed.summary || '').trim() };
+            }
+        } catch (e) {
+            // Not JSON after all
+        }
+    }
+    return { summary: text.replace(/^```\w*\s*|```$/g, '').trim() };
+}
+
+/**
+ * Merges items that several chunks listed with the same text, apart from citations.
+ * @param {object[]} items - Items as { text, owner?, sources }.
+ * @returns {object[]} The distinct items, with their sources combined.
+ */
+function mergeItems(items) {
+    const merged = new Map();
+    for (const item of items) {
+        const key = item.text.replace(CITATION_PATTERN, '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+        const existing = merged.get(key);
+        if (existing) {
+            existing.sources = [...new Set([...existing.sources, ...item.sources])];
+            existing.owner = existing.owner || item.owner;
+        } else {
+            merged.set(key, { ...item });
+        }
+    }
+    return Array.from(merged.values());
+}
@@ -0,0 +1,160 @@
+/**
+ * @file threading.js
+ * @description Rebuilds conversation threads from Message-ID, In-Reply-To
+ * and References headers, falling back to subject matching for replies
+ * whose parents are not part of the collation.
+ */
+
+// Reply and forward prefixes, including common localized ones and "Re[2]:"
+const REPLY_PREFIX = /^\s*((re|fw|fwd|aw|wg|sv|vs|antw)(\[\d+\])?\s*:\s*)+/i;
+
+export class ThreadBuilder {
+    /**
+     * Assigns every message to a thread.
+     * @param {object[]} messages - Messages with 'messageId', 'inReplyTo' and 'references'.
+     * @returns {object[]} New message objects with 'threadId', 'threadSubject' and
+     * 'ancestorIds' (IDs of the parent, grandparent, ... within the collation).
+     */
+    buildThreads(messages) {
+        const byMessageId = new Map();
+        for (const message of messages) {
+            if (message.messageId && !byMessageId.has(message.messageId)) {
+                byMessageId.set(message.messageId, message);
+            }
+        }
+
+        const parents = new Map();
+        for (const message of messages) {
+            const parent = this.findParent(message, byMessageId);
+            if (parent && parent !== message) {
+                parents.set(message.id, parent);
+            }
+        }
+        this.breakCycles(messages, parents);
+
+        // Subject fallback: attach replies without a known parent to the earliest
+        // root with the same normalized subject
+        const rootsBySubject = new Map();
+        const chronological = [...messages].sort((a, b) => new Date(a.date) - new Date(b.date));
+        for (const message of chronological) {
+            if (parents.has(message.id)) continue;
+
+            const key = this.normalizeSubject(message.subject);
+            const root = rootsBySubject.get(key);
+            if (root && key && this.looksLikeReply(message)) {
+                parents.set(message.id, root);
+            } else if (!root) {
+                rootsBySubject.set(key, message);
+            }
+        }
+
+        return messages.map(message => {
+            const ancestorIds = [];
+            let root = message;
+            for (let parent = parents.get(message.id); parent; parent = parents.get(parent.id)) {
+                ancestorIds.push(parent.id);
+                root = parent;
+            }
+            return {
+                ...message,
+                threadId: `thread-${root.id}`,
+                threadSubject: this.normalizeSubject(root.subject, false) || root.subject,
+                ancestorIds
+            };
+        });
+    }
+
+    /**
+     * Groups messages by thread.
+     * @param {object[]} messages - Messages with a 'threadId' property.
+     * @returns {object[]} Threads as { id, subject, messages }, each with its messages in
+     * chronological order, and ordered by their earliest message.
+     */
+    groupThreads(messages) {
+        const threads = new Map();
+        const chronological = [...messages].sort((a, b) => new Date(a.date) - new Date(b.date));
+        for (const message of chronological) {
+            const threadId = message.threadId || `thread-${message.id}`;
+            if (!threads.has(threadId)) {
+                threads.set(threadId, { id: threadId, subject: message.threadSubject || message.subject, messages: [] });
+            }
+            threads.get(threadId).messages.push(message);
+        }
+        return Array.from(threads.values());
+    }
+
+    /**
+     * Finds the direct parent of a message among the collated messages,
+     * preferring In-Reply-To over the closest known entry in References.
+     */
+    findParent(message, byMessageId) {
+        if (message.inReplyTo && byMessageId.has(message.inReplyTo)) {
+            return byMessageId.get(message.inReplyTo);
+        }
+        const references = message.references || [];
+        for (let i = references.length - 1; i >= 0; i--) {
+            if (byMessageId.has(references[i])) {
+                return byMessageId.get(references[i]);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Removes parent links that would form a loop (possible with malformed headers).
+     * @param {object[]} messages - All messages.
+     * @param {Map<number, object>} parents - Parent links, modified in place.
+     */
+    breakCycles(messages, parents) {
+        for (const message of messages) {
+            const visited = new Set([message.id]);
+            let current = message;
+            while (parents.has(current.id)) {
+                const parent = parents.get(current.id);
+                if (visited.has(parent.id)) {
+                    parents.delete(current.id);
+                    break;
+                }
+                visited.add(parent.id);
+                current = parent;
+            }
+        }
+    }
+
+    /**
+     * Checks whether a message is a reply or forward rather than a new conversation.
+     */
+    looksLikeReply(message) {
+        return REPLY_PREFIX.test(message.subject || '')
+            || Boolean(message.inReplyTo)
+            || (message.references || []).length > 0;
+    }
+
+    /**
+     * Strips reply/forward prefixes from a subject.
+     * @param {string} subject - The subject line.
+     * @param {boolean} [forComparison=true] - Also lowercase and collapse whitespace.
+     * @returns {string} The normalized subject.
+     */
+    normalizeSubject(subject, forComparison = true) {
+        const stripped = (subject || '').replace(REPLY_PREFIX, '').trim();
+        return forComparison ? stripped.replace(/\s+/g, ' ').toLowerCase() : stripped;
+    }
+}
+
+/**
+ * Extracts the message IDs from a Message-ID, In-Reply-To or References header.
+ * @param {string|undefined} header - The raw header value.
+ * @returns {string[]} The IDs without angle brackets, in header order.
+ */
+export function parseMessageIds(header) {
+    if (!header) {
+        return [];
+    }
+    const ids = header.match(/<[^<>\s]+>/g);
+    if (ids) {
+        return ids.map(id => id.slice(1, -1));
+    }
+    // Some clients omit the angle brackets
+    return header.split(/\s+/).filter(id => id.includes('@'));
+}
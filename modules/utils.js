@@ -1,8 +1,10 @@
 /**
  * @file utils.js
  * @description Contains utility classes used across the extension like
- * ProgressReporter, RateLimiter, and EmbeddingCache.
+ * ProgressReporter, RateLimiter, ConcurrencyPool and EmbeddingCache, and
+ * small vector helpers.
  */
+import { openDatabase, promisifyRequest, transactionDone, STORES } from './database.js';
 
 
 /**
@@ -81,32 +83,236 @@ export class RateLimiter {
 }
 
 /**
- * A simple in-memory cache with a max size (LRU-like).
+ * Runs asynchronous tasks with at most a fixed number in flight at once,
+ * so collation stages can work in parallel without flooding Thunderbird
+ * or the embedding provider.
+ */
+export class ConcurrencyPool {
+    constructor(limit = 1) {
+        this.limit = Math.max(1, parseInt(limit, 10) || 1);
+        this.active = 0;
+        this.waiting = [];
+    }
+
+    /**
+     * Runs a task as soon as a slot is free.
+     * @param {function(): Promise<any>} task - The task to run.
+     * @returns {Promise<any>} The task's result.
+     */
+    async run(task) {
+        if (this.active < this.limit) {
+            this.active++;
+        } else {
+            await new Promise(resolve => this.waiting.push(resolve));
+        }
+        try {
+            return await task();
+        } finally {
+            // Hand the slot straight to the next waiting task, if any
+            const next = this.waiting.shift();
+            if (next) {
+                next();
+            } else {
+                this.active--;
+            }
+        }
+    }
+
+    /**
+     * Maps items through an asynchronous function, running up to `limit` calls at once.
+     * @param {any[]} items - The items.
+     * @param {function(any, number): Promise<any>} fn - Called with each item and its index.
+     * @returns {Promise<any[]>} The results, in the order of the items.
+     */
+    map(items, fn) {
+        return Promise.all(items.map((item, index) => this.run(() => fn(item, index))));
+    }
+}
+
+/**
+ * Reads a Blob (or File) as a data: URL.
+ * @param {Blob} blob - The data to encode.
+ * @returns {Promise<string>} The data URL.
+ */
+export function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Calculates the dot product of two vectors of the same length.
+ * @param {ArrayLike<number>} a - The first vector.
+ * @param {ArrayLike<number>} b - The second vector.
+ * @returns {number} The dot product.
+ */
+export function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += a[i] * b[i];
+    }
+    return sum;
+}
+
+/**
+ * Scales a vector to unit length. A zero vector is returned unchanged.
+ * @param {number[]} vector - The vector.
+ * @returns {number[]} A new, normalized vector.
+ */
+export function normalize(vector) {
+    const length = Math.sqrt(dot(vector, vector)) || 1;
+    return vector.map(value => value / length);
+}
+
+/**
+ * A small deterministic pseudo-random generator (mulberry32), for results
+ * that must be reproducible.
+ * @param {number} seed - The seed.
+ * @returns {function(): number} Returns numbers in [0, 1).
+ */
+export function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Share of maxSize that eviction frees at once, so it doesn't run again on every following write
+const EVICTION_HEADROOM = 0.05;
+
+/**
+ * A persistent embedding cache backed by IndexedDB, so repeated collations
+ * over the same messages don't re-embed them. Entries are namespaced by
+ * provider and model (vectors from different models are not comparable) and
+ * the least recently used ones are evicted once maxSize is exceeded.
  */
 export class EmbeddingCache {
-    constructor(maxSize = 1000) {
-        this.cache = new Map();
+    constructor(maxSize = 20000, namespace = 'default') {
         this.maxSize = maxSize;
+        this.namespace = namespace;
+        // Entries stored, counted on the first write and then kept up to date, so
+        // writes don't count the store. Overwrites make it high, never low, which
+        // only makes eviction recount early.
+        this.entryCount = null;
     }
 
     async getKey(text) {
         // Using a hash for the key is more robust for long texts
         const buffer = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text));
-        return Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+        const hash = Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+        return `${this.namespace}:${hash}`;
     }
 
     async get(text) {
-        const key = await this.getKey(text);
-        return this.cache.get(key);
+        try {
+            const key = await this.getKey(text);
+            const db = await openDatabase();
+            const tx = db.transaction(STORES.EMBEDDINGS, 'readwrite');
+            const store = tx.objectStore(STORES.EMBEDDINGS);
+            const entry = await promisifyRequest(store.get(key));
+            if (!entry) {
+                return undefined;
+            }
+            // Touch the entry so it moves to the back of the eviction order
+            entry.lastUsed = Date.now();
+            store.put(entry);
+            await transactionDone(tx);
+            return Array.from(entry.embedding);
+        } catch (error) {
+            console.warn("Embedding cache read failed:", error);
+            return undefined;
+        }
     }
 
     async set(text, embedding) {
-        if (this.cache.size >= this.maxSize) {
-            // Evict the first (oldest) key
-            const firstKey = this.cache.keys().next().value;
-            this.cache.delete(firstKey);
+        try {
+            const key = await this.getKey(text);
+            const db = await openDatabase();
+            const tx = db.transaction(STORES.EMBEDDINGS, 'readwrite');
+            const store = tx.objectStore(STORES.EMBEDDINGS);
+            if (this.entryCount === null) {
+                this.entryCount = await promisifyRequest(store.count());
+            }
+            store.put({
+                key,
+                namespace: this.namespace,
+                embedding: Float32Array.from(embedding),
+                lastUsed: Date.now()
+            });
+            this.entryCount++;
+            await transactionDone(tx);
+            if (this.entryCount > this.maxSize) {
+                await this.evict();
+            }
+        } catch (error) {
+            console.warn("Embedding cache write failed:", error);
+        }
+    }
+
+    /**
+     * Deletes the least recently used entries once the cache exceeds maxSize,
+     * down to a little below it.
+     */
+    async evict() {
+        const db = await openDatabase();
+        const tx = db.transaction(STORES.EMBEDDINGS, 'readwrite');
+        const store = tx.objectStore(STORES.EMBEDDINGS);
+        const count = await promisifyRequest(store.count());
+        let excess = count > this.maxSize ? count - Math.floor(this.maxSize * (1 - EVICTION_HEADROOM)) : 0;
+        this.entryCount = count - excess;
+
+        if (excess > 0) {
+            const cursorRequest = store.index('lastUsed').openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor && excess > 0) {
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                }
+            };
         }
-        const key = await this.getKey(text);
-        this.cache.set(key, embedding);
+        await transactionDone(tx);
+    }
+
+    /**
+     * Summarizes the cache contents for the settings UI.
+     * @returns {Promise<{entries: number, bytes: number, namespaces: object}>}
+     * Entry count, approximate vector storage size and per-namespace counts.
+     */
+    static async getStats() {
+        const db = await openDatabase();
+        const tx = db.transaction(STORES.EMBEDDINGS, 'readonly');
+        const stats = { entries: 0, bytes: 0, namespaces: {} };
+
+        const cursorRequest = tx.objectStore(STORES.EMBEDDINGS).openCursor();
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor) return;
+            const entry = cursor.value;
+            stats.entries++;
+            stats.bytes += entry.embedding.byteLength;
+            stats.namespaces[entry.namespace] = (stats.namespaces[entry.namespace] || 0) + 1;
+            cursor.continue();
+        };
+        await transactionDone(tx);
+        return stats;
+    }
+
+    /**
+     * Removes every cached embedding, for all providers and models.
+     */
+    static async clear() {
+        const db = await openDatabase();
+        const tx = db.transaction(STORES.EMBEDDINGS, 'readwrite');
+        tx.objectStore(STORES.EMBEDDINGS).clear();
+        await transactionDone(tx);
     }
 }
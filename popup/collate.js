@@ -1,28 +1,116 @@
 document.addEventListener('DOMContentLoaded', () => {
     // --- Globals ---
     let tomSelect;
+    let isPaused = false;
+    let interruptedJob = null;
+    let presets = [];
+    let scheduleRuns = {};
+    let senderGroups = [];
+    const GROUP_PREFIX = 'group:';
+    const DAY_MS = 24 * 60 * 60 * 1000;
 
     // --- Element Refs ---
     const tabLinks = document.querySelectorAll('.tab-link');
     const tabContents = document.querySelectorAll('.tab-content');
     const senderSelect = document.getElementById('sender-select');
     const senderLoader = document.getElementById('sender-loader');
+    const senderHint = document.getElementById('sender-hint');
+    const defaultSenderHint = senderHint.textContent;
+    const senderGroupList = document.getElementById('sender-group-list');
+    const senderGroupNameInput = document.getElementById('sender-group-name');
+    const createGroupButton = document.getElementById('create-group-btn');
+    const presetSelect = document.getElementById('preset-select');
+    const savePresetButton = document.getElementById('save-preset-btn');
+    const deletePresetButton = document.getElementById('delete-preset-btn');
+    const presetHint = document.getElementById('preset-hint');
+    const defaultPresetHint = presetHint.textContent;
+    const scheduleFrequencySelect = document.getElementById('schedule-frequency');
+    const scheduleTimeInput = document.getElementById('schedule-time');
+    const scheduleFolderInput = document.getElementById('schedule-folder');
+    const scheduleStatus = document.getElementById('schedule-status');
+    const defaultScheduleStatus = scheduleStatus.textContent;
     const startDateInput = document.getElementById('start-date');
+    const startDateRelativeCheckbox = document.getElementById('start-date-relative');
+    const incrementalCheckbox = document.getElementById('incremental');
+    const advancedFilters = document.getElementById('advanced-filters');
+    const endDateInput = document.getElementById('end-date');
+    const filterAccountsSelect = document.getElementById('filter-accounts');
+    const filterFoldersSelect = document.getElementById('filter-folders');
+    const filterExcludeTrashCheckbox = document.getElementById('filter-exclude-trash');
+    const filterExcludeJunkCheckbox = document.getElementById('filter-exclude-junk');
+    const filterSubjectInput = document.getElementById('filter-subject');
+    const filterBodyInput = document.getElementById('filter-body');
+    const filterRecipientsInput = document.getElementById('filter-recipients');
+    const filterTagsSelect = document.getElementById('filter-tags');
+    const filterTagModeSelect = document.getElementById('filter-tag-mode');
+    const filterReadSelect = document.getElementById('filter-read');
+    const filterFlaggedSelect = document.getElementById('filter-flagged');
+    const outputMethodRadios = document.querySelectorAll('input[name="output-method"]');
+    const formatGroup = document.getElementById('format-group');
+    const formatSelect = document.getElementById('format-select');
+    const includeEmbeddingsOption = document.getElementById('include-embeddings-option');
+    const includeEmbeddingsCheckbox = document.getElementById('include-embeddings');
+    const bundleAttachmentsOption = document.getElementById('bundle-attachments-option');
+    const bundleAttachmentsHint = document.getElementById('bundle-attachments-hint');
+    const bundleAttachmentsCheckbox = document.getElementById('bundle-attachments');
     const startButton = document.getElementById('start-collation-btn');
     const progressContainer = document.getElementById('progress-container');
     const progressBarInner = document.getElementById('progress-bar-inner');
     const progressText = document.getElementById('progress-text');
     const errorLog = document.getElementById('error-log');
+    const jobControls = document.getElementById('job-controls');
+    const pauseButton = document.getElementById('pause-collation-btn');
+    const cancelButton = document.getElementById('cancel-collation-btn');
+    const resumeBanner = document.getElementById('resume-banner');
+    const resumeText = document.getElementById('resume-text');
+    const resumeJobButton = document.getElementById('resume-job-btn');
+    const discardJobButton = document.getElementById('discard-job-btn');
 
     // Settings elements
     const saveSettingsButton = document.getElementById('save-settings-btn');
     const providerSelect = document.getElementById('provider-select');
     const ollamaSettings = document.getElementById('ollama-settings');
     const geminiSettings = document.getElementById('gemini-settings');
+    const openaiSettings = document.getElementById('openai-settings');
     const ollamaEndpointInput = document.getElementById('ollama-endpoint');
     const ollamaModelInput = document.getElementById('ollama-model');
+    const ollamaBatchSizeInput = document.getElementById('ollama-batch-size');
     const geminiApiKeyInput = document.getElementById('gemini-api-key');
+    const geminiBatchSizeInput = document.getElementById('gemini-batch-size');
+    const openaiBaseUrlInput = document.getElementById('openai-base-url');
+    const openaiModelInput = document.getElementById('openai-model');
+    const openaiApiKeyInput = document.getElementById('openai-api-key');
+    const openaiDimensionsInput = document.getElementById('openai-dimensions');
+    const openaiBatchSizeInput = document.getElementById('openai-batch-size');
     const thresholdSlider = document.getElementById('similarity-threshold');
+    const dedupModeSelect = document.getElementById('dedup-mode-select');
+    const dedupStrategySelect = document.getElementById('dedup-strategy-select');
+    const lexicalThresholdSlider = document.getElementById('lexical-threshold');
+    const cleaningEnabledCheckbox = document.getElementById('cleaning-enabled');
+    const cleaningShowQuotedCheckbox = document.getElementById('cleaning-show-quoted');
+    const threadingCheckbox = document.getElementById('threading-enabled');
+    const attachmentsCheckbox = document.getElementById('attachments-enabled');
+    const htmlBodiesCheckbox = document.getElementById('html-bodies-enabled');
+    const htmlRemoteImagesCheckbox = document.getElementById('html-remote-images');
+    const topicsEnabledCheckbox = document.getElementById('topics-enabled');
+    const topicsGranularitySelect = document.getElementById('topics-granularity');
+    const summaryEnabledCheckbox = document.getElementById('summary-enabled');
+    const summaryModelInput = document.getElementById('summary-model');
+    const summaryChunkSizeInput = document.getElementById('summary-chunk-size');
+    const cacheMaxEntriesInput = document.getElementById('cache-max-entries');
+    const extractionConcurrencyInput = document.getElementById('concurrency-extraction');
+    const embeddingConcurrencyInput = document.getElementById('concurrency-embedding');
+    const cacheStatsText = document.getElementById('cache-stats');
+    const clearCacheButton = document.getElementById('clear-cache-btn');
+    const manifestStatsText = document.getElementById('manifest-stats');
+    const clearManifestsButton = document.getElementById('clear-manifests-btn');
+    const searchReportSelect = document.getElementById('search-report-select');
+    const searchQueryInput = document.getElementById('search-query');
+    const searchButton = document.getElementById('search-btn');
+    const searchStatusText = document.getElementById('search-status');
+    const searchResultsList = document.getElementById('search-results');
+    const senderIndexStatsText = document.getElementById('sender-index-stats');
+    const rebuildSenderIndexButton = document.getElementById('rebuild-sender-index-btn');
     const settingsSavedMsg = document.getElementById('settings-saved-msg');
 
     // --- Functions ---
@@ -48,12 +136,14 @@ document.addEventListener('DOMContentLoaded', () => {
             if (response.status === 'success') {
                 const senders = response.data;
                 tomSelect.clearOptions();
+                addGroupOptions();
                 senders
-                    .sort((a, b) => b[1] - a[1]) // Sort by message count descending
-                    .forEach(([email, count]) => {
+                    .sort((a, b) => b[1].count - a[1].count) // Sort by message count descending
+                    .forEach(([email, { count, name, lastSeen }]) => {
+                        const details = lastSeen ? `${count}, last ${new Date(lastSeen).toLocaleDateString()}` : count;
                         tomSelect.addOption({
                             value: email,
-                            text: `${email} (${count})`
+                            text: name ? `${name} <${email}> (${details})` : `${email} (${details})`
                         });
                     });
                  checkForUrlParams();
@@ -95,6 +185,14 @@ document.addEventListener('DOMContentLoaded', () => {
 
         document.getElementById(targetTab).classList.add('active');
         e.currentTarget.classList.add('active');
+
+        if (targetTab === 'settings') {
+            loadCacheStats();
+            loadManifestStats();
+            loadSenderIndexStats();
+        } else if (targetTab === 'search') {
+            loadSearchReports();
+        }
     }
 
     /**
@@ -103,6 +201,49 @@ document.addEventListener('DOMContentLoaded', () => {
     function handleProviderChange() {
         ollamaSettings.classList.toggle('hidden', providerSelect.value !== 'ollama');
         geminiSettings.classList.toggle('hidden', providerSelect.value !== 'gemini');
+        openaiSettings.classList.toggle('hidden', providerSelect.value !== 'openai');
+    }
+
+    /**
+     * Asks for access to the configured endpoint of a local or self-hosted provider.
+     * Only the default Ollama endpoint and the Gemini API are granted at install time;
+     * other endpoints must be on this computer or api.openai.com (see the manifest).
+     * Must be called from the click handler, before anything else is awaited.
+     * @returns {Promise<boolean>} Whether the endpoint can be reached (true if none is needed).
+     */
+    async function requestEndpointPermission() {
+        const endpoints = {
+            ollama: ollamaEndpointInput.value || 'http://localhost:11434',
+            openai: openaiBaseUrlInput.value || 'http://localhost:1234/v1'
+        };
+        const endpoint = endpoints[providerSelect.value];
+        if (!endpoint) {
+            return true;
+        }
+        try {
+            const url = new URL(endpoint);
+            return await messenger.permissions.request({ origins: [`${url.protocol}//${url.hostname}/*`] });
+        } catch (error) {
+            console.warn(`Could not request access to ${endpoint}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Hides the report format choice for outputs that don't render a report.
+     */
+    function handleOutputMethodChange() {
+        const outputMethod = document.querySelector('input[name="output-method"]:checked').value;
+        formatGroup.classList.toggle('hidden', outputMethod === 'mbox');
+        bundleAttachmentsOption.classList.toggle('hidden', outputMethod !== 'file');
+        bundleAttachmentsHint.classList.toggle('hidden', outputMethod !== 'file');
+    }
+
+    /**
+     * Shows format-specific options for the selected output format.
+     */
+    function handleFormatChange() {
+        includeEmbeddingsOption.classList.toggle('hidden', formatSelect.value !== 'json');
     }
 
     /**
@@ -116,8 +257,32 @@ document.addEventListener('DOMContentLoaded', () => {
                 providerSelect.value = settings.provider || 'ollama';
                 ollamaEndpointInput.value = settings.ollama?.endpoint || 'http://localhost:11434';
                 ollamaModelInput.value = settings.ollama?.model || 'nomic-embed-text';
+                ollamaBatchSizeInput.value = settings.ollama?.batchSize || 32;
                 geminiApiKeyInput.value = settings.gemini?.apiKey || '';
+                geminiBatchSizeInput.value = settings.gemini?.batchSize || 100;
+                openaiBaseUrlInput.value = settings.openai?.baseUrl || 'http://localhost:1234/v1';
+                openaiModelInput.value = settings.openai?.model || 'text-embedding-nomic-embed-text-v1.5';
+                openaiApiKeyInput.value = settings.openai?.apiKey || '';
+                openaiDimensionsInput.value = settings.openai?.dimensions || '';
+                openaiBatchSizeInput.value = settings.openai?.batchSize || 32;
                 thresholdSlider.value = settings.similarityThreshold || 0.95;
+                dedupStrategySelect.value = settings.dedupStrategy || 'auto';
+                lexicalThresholdSlider.value = settings.lexicalThreshold || 0.8;
+                dedupModeSelect.value = settings.dedupMode || 'message';
+                cleaningEnabledCheckbox.checked = settings.cleaning?.enabled !== false;
+                cleaningShowQuotedCheckbox.checked = settings.cleaning?.showQuoted !== false;
+                threadingCheckbox.checked = settings.threading !== false;
+                attachmentsCheckbox.checked = settings.attachments?.enabled !== false;
+                htmlBodiesCheckbox.checked = Boolean(settings.htmlBodies?.enabled);
+                htmlRemoteImagesCheckbox.checked = Boolean(settings.htmlBodies?.allowRemoteImages);
+                topicsEnabledCheckbox.checked = Boolean(settings.topics?.enabled);
+                topicsGranularitySelect.value = settings.topics?.granularity || 'medium';
+                summaryEnabledCheckbox.checked = Boolean(settings.summary?.enabled);
+                summaryModelInput.value = settings.summary?.model || '';
+                summaryChunkSizeInput.value = settings.summary?.chunkSize || 12000;
+                cacheMaxEntriesInput.value = settings.cache?.maxEntries || 20000;
+                extractionConcurrencyInput.value = settings.concurrency?.extraction || 4;
+                embeddingConcurrencyInput.value = settings.concurrency?.embedding || 2;
                 handleProviderChange();
             }
         } catch (error) {
@@ -129,22 +294,66 @@ document.addEventListener('DOMContentLoaded', () => {
      * Saves the current settings from the form to storage.
      */
     async function saveSettings() {
+        const endpointAllowed = await requestEndpointPermission();
         const settings = {
             provider: providerSelect.value,
             ollama: {
                 endpoint: ollamaEndpointInput.value,
-                model: ollamaModelInput.value
+                model: ollamaModelInput.value,
+                batchSize: parseInt(ollamaBatchSizeInput.value, 10) || 32
             },
             gemini: {
-                apiKey: geminiApiKeyInput.value
+                apiKey: geminiApiKeyInput.value,
+                batchSize: Math.min(parseInt(geminiBatchSizeInput.value, 10) || 100, 100)
             },
-            similarityThreshold: parseFloat(thresholdSlider.value)
+            openai: {
+                baseUrl: openaiBaseUrlInput.value.trim(),
+                model: openaiModelInput.value.trim(),
+                apiKey: openaiApiKeyInput.value,
+                dimensions: parseInt(openaiDimensionsInput.value, 10) || null,
+                batchSize: parseInt(openaiBatchSizeInput.value, 10) || 32
+            },
+            similarityThreshold: parseFloat(thresholdSlider.value),
+            dedupStrategy: dedupStrategySelect.value,
+            lexicalThreshold: parseFloat(lexicalThresholdSlider.value),
+            dedupMode: dedupModeSelect.value,
+            cleaning: {
+                enabled: cleaningEnabledCheckbox.checked,
+                showQuoted: cleaningShowQuotedCheckbox.checked
+            },
+            threading: threadingCheckbox.checked,
+            attachments: {
+                enabled: attachmentsCheckbox.checked
+            },
+            htmlBodies: {
+                enabled: htmlBodiesCheckbox.checked,
+                allowRemoteImages: htmlRemoteImagesCheckbox.checked
+            },
+            topics: {
+                enabled: topicsEnabledCheckbox.checked,
+                granularity: topicsGranularitySelect.value
+            },
+            summary: {
+                enabled: summaryEnabledCheckbox.checked,
+                model: summaryModelInput.value.trim(),
+                chunkSize: Math.max(2000, parseInt(summaryChunkSizeInput.value, 10) || 12000)
+            },
+            cache: {
+                maxEntries: parseInt(cacheMaxEntriesInput.value, 10) || 20000
+            },
+            concurrency: {
+                extraction: parseInt(extractionConcurrencyInput.value, 10) || 4,
+                embedding: parseInt(embeddingConcurrencyInput.value, 10) || 2
+            }
         };
         try {
             const response = await messenger.runtime.sendMessage({ action: 'saveSettings', data: settings });
             if (response.status === 'success') {
                 settingsSavedMsg.classList.remove('hidden');
                 setTimeout(() => settingsSavedMsg.classList.add('hidden'), 3000);
+                if (!endpointAllowed) {
+                    alert('Settings saved, but access to the embedding endpoint was not granted. Collation will fail until it is allowed. Only servers on this computer (localhost or 127.0.0.1) and api.openai.com can be used.');
+                }
             } else {
                  throw new Error(response.message || "Failed to save settings.");
             }
@@ -154,6 +363,581 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    /**
+     * Returns the deduplication settings as currently shown on the Settings tab.
+     * @returns {object} The settings a preset stores in its 'dedup' property.
+     */
+    function getDedupSettings() {
+        return {
+            dedupStrategy: dedupStrategySelect.value,
+            dedupMode: dedupModeSelect.value,
+            similarityThreshold: parseFloat(thresholdSlider.value),
+            lexicalThreshold: parseFloat(lexicalThresholdSlider.value)
+        };
+    }
+
+    /**
+     * Fetches the accounts, folders and tags the advanced filters can select from.
+     */
+    async function loadFilterOptions() {
+        try {
+            const response = await messenger.runtime.sendMessage({ action: 'getFilterOptions' });
+            if (response.status !== 'success') {
+                throw new Error(response.message || "Failed to load filter options.");
+            }
+            const { accounts, folders, tags } = response.data;
+            // Keep selections made (or restored from a preset) before the options arrived
+            const fill = (select, items, valueKey) => {
+                const selected = new Set(Array.from(select.selectedOptions, option => option.value));
+                select.replaceChildren(...items.map(item => new Option(item.name, item[valueKey], false, selected.has(item[valueKey]))));
+            };
+            fill(filterAccountsSelect, accounts, 'id');
+            fill(filterFoldersSelect, folders, 'id');
+            fill(filterTagsSelect, tags, 'key');
+        } catch (error) {
+            console.error("Failed to load filter options:", error);
+        }
+    }
+
+    /**
+     * Reads the advanced filters from the form.
+     * @returns {object} The filters, as described in modules/filters.js.
+     */
+    function getFilters() {
+        const selected = (select, key) => Array.from(select.selectedOptions, option => ({ [key]: option.value, name: option.textContent }));
+        const triState = select => (select.value === '' ? null : select.value === 'true');
+        return {
+            // The end date's whole day is included
+            toDate: endDateInput.value ? new Date(endDateInput.valueAsNumber + DAY_MS - 1).toISOString() : null,
+            accounts: selected(filterAccountsSelect, 'id'),
+            folders: selected(filterFoldersSelect, 'id'),
+            excludeTrash: filterExcludeTrashCheckbox.checked,
+            excludeJunk: filterExcludeJunkCheckbox.checked,
+            subject: filterSubjectInput.value.trim(),
+            body: filterBodyInput.value.trim(),
+            recipients: filterRecipientsInput.value.trim(),
+            tags: selected(filterTagsSelect, 'key'),
+            tagMode: filterTagModeSelect.value,
+            read: triState(filterReadSelect),
+            flagged: triState(filterFlaggedSelect)
+        };
+    }
+
+    /**
+     * Fills the advanced filters, e.g. from a preset, and opens them if any are set.
+     * @param {object} [filters] - The filters, as returned by getFilters.
+     */
+    function setFilters(filters = {}) {
+        const select = (element, items = [], key) => {
+            const values = new Set(items.map(item => item[key]));
+            for (const item of items) {
+                // Options of folders or tags that no longer exist are added back, so they stay visible
+                if (!Array.from(element.options).some(option => option.value === item[key])) {
+                    element.add(new Option(item.name, item[key]));
+                }
+            }
+            for (const option of element.options) {
+                option.selected = values.has(option.value);
+            }
+        };
+        endDateInput.value = filters.toDate ? filters.toDate.slice(0, 10) : '';
+        select(filterAccountsSelect, filters.accounts, 'id');
+        select(filterFoldersSelect, filters.folders, 'id');
+        filterExcludeTrashCheckbox.checked = Boolean(filters.excludeTrash);
+        filterExcludeJunkCheckbox.checked = Boolean(filters.excludeJunk);
+        filterSubjectInput.value = filters.subject || '';
+        filterBodyInput.value = filters.body || '';
+        filterRecipientsInput.value = filters.recipients || '';
+        select(filterTagsSelect, filters.tags, 'key');
+        filterTagModeSelect.value = filters.tagMode === 'all' ? 'all' : 'any';
+        filterReadSelect.value = typeof filters.read === 'boolean' ? String(filters.read) : '';
+        filterFlaggedSelect.value = typeof filters.flagged === 'boolean' ? String(filters.flagged) : '';
+        advancedFilters.open = Object.entries(filters).some(([key, value]) => key !== 'tagMode'
+            && (Array.isArray(value) ? value.length > 0 : value !== null && value !== '' && value !== false));
+    }
+
+    /**
+     * Fetches the saved presets and lists them in the preset dropdown.
+     * @param {string} [selectedId] - The preset to select afterwards; defaults to the current one.
+     */
+    async function loadPresets(selectedId = presetSelect.value) {
+        try {
+            const response = await messenger.runtime.sendMessage({ action: 'getPresets' });
+            if (response.status !== 'success') {
+                throw new Error(response.message || "Failed to load presets.");
+            }
+            presets = response.data;
+            const runsResponse = await messenger.runtime.sendMessage({ action: 'getScheduleRuns' });
+            scheduleRuns = runsResponse.status === 'success' ? runsResponse.data : {};
+            presetSelect.replaceChildren(new Option('None', ''), ...presets.map(preset => new Option(preset.name, preset.id)));
+            presetSelect.value = presets.some(preset => preset.id === selectedId) ? selectedId : '';
+            updatePresetControls();
+        } catch (error) {
+            console.error("Failed to load presets:", error);
+        }
+    }
+
+    function getSelectedPreset() {
+        return presets.find(preset => preset.id === presetSelect.value) || null;
+    }
+
+    /**
+     * Enables the preset buttons and describes the selected preset's deduplication
+     * settings and the outcome of its latest scheduled run.
+     */
+    function updatePresetControls() {
+        const preset = getSelectedPreset();
+        deletePresetButton.disabled = !preset;
+        const run = preset?.schedule ? scheduleRuns[preset.id] : null;
+        scheduleStatus.textContent = run
+            ? `Last scheduled run ${new Date(run.lastAttemptAt).toLocaleString()}: ${run.status === 'error' ? `failed - ${run.message}` : run.message}`
+            : defaultScheduleStatus;
+        if (!preset) {
+            presetHint.textContent = defaultPresetHint;
+            return;
+        }
+        const optionText = (select, value) => Array.from(select.options).find(option => option.value === value)?.textContent || value;
+        const { dedupStrategy, dedupMode, similarityThreshold, lexicalThreshold } = preset.dedup;
+        const threshold = dedupStrategy === 'lexical' ? lexicalThreshold : similarityThreshold;
+        presetHint.textContent = `Deduplication: ${optionText(dedupStrategySelect, dedupStrategy)}, ${optionText(dedupModeSelect, dedupMode).toLowerCase()}, sensitivity ${threshold}. `
+            + `These settings are loaded into the Settings tab while the preset is selected.`;
+    }
+
+    /**
+     * Fetches the person groups and shows them in the group list and as
+     * selectable senders.
+     */
+    async function loadSenderGroups() {
+        try {
+            const response = await messenger.runtime.sendMessage({ action: 'getSenderGroups' });
+            if (response.status !== 'success') {
+                throw new Error(response.message || "Failed to load person groups.");
+            }
+            senderGroups = response.data;
+            senderGroupList.replaceChildren(...senderGroups.map(group => {
+                const item = document.createElement('li');
+                const deleteButton = document.createElement('button');
+                deleteButton.className = 'btn btn-secondary';
+                deleteButton.textContent = 'Delete';
+                deleteButton.addEventListener('click', () => deleteSenderGroup(group));
+                item.append(`${group.name}: ${group.members.join(', ')}`, deleteButton);
+                return item;
+            }));
+            addGroupOptions();
+        } catch (error) {
+            console.error("Failed to load person groups:", error);
+        }
+    }
+
+    /**
+     * Adds (or updates) one sender option per person group.
+     */
+    function addGroupOptions() {
+        for (const group of senderGroups) {
+            const option = { value: `${GROUP_PREFIX}${group.id}`, text: `${group.name} (group of ${group.members.length})` };
+            if (tomSelect.options[option.value]) {
+                tomSelect.updateOption(option.value, option);
+            } else {
+                tomSelect.addOption(option);
+            }
+        }
+    }
+
+    /**
+     * Creates a person group from the selected senders and selects the group
+     * in their place.
+     */
+    async function createSenderGroup() {
+        const members = tomSelect.getValue().filter(value => !value.startsWith(GROUP_PREFIX));
+        const name = senderGroupNameInput.value.trim();
+        if (members.length === 0 || !name) {
+            alert('Please select the senders to group and enter a name for the group.');
+            return;
+        }
+        if (senderGroups.some(group => group.name === name) && !confirm(`Replace the group "${name}"?`)) {
+            return;
+        }
+        try {
+            const response = await messenger.runtime.sendMessage({ action: 'saveSenderGroup', data: { name, members } });
+            if (response.status !== 'success') {
+                throw new Error(response.message || "Failed to save person group.");
+            }
+            await loadSenderGroups();
+            members.forEach(member => tomSelect.removeItem(member, true));
+            tomSelect.addItem(`${GROUP_PREFIX}${response.data.id}`);
+            senderGroupNameInput.value = '';
+        } catch (error) {
+            console.error("Error saving person group:", error);
+            alert(`Error saving person group: ${error.message}`);
+        }
+    }
+
+    /**
+     * Deletes a person group after confirmation. Presets that use it no
+     * longer include its members.
+     * @param {object} group - The group to delete.
+     */
+    async function deleteSenderGroup(group) {
+        if (!confirm(`Delete the group "${group.name}"?`)) {
+            return;
+        }
+        try {
+            const response = await messenger.runtime.sendMessage({ action: 'deleteSenderGroup', data: { id: group.id } });
+            if (response.status !== 'success') {
+                throw new Error(response.message || "Failed to delete person group.");
+            }
+            tomSelect.removeOption(`${GROUP_PREFIX}${group.id}`);
+            await loadSenderGroups();
+        } catch (error) {
+            console.error("Error deleting person group:", error);
+            alert(`Error deleting person group: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fills the form with the selected preset, or restores the saved settings
+     * when no preset is selected.
+     */
+    function applyPreset() {
+        const preset = getSelectedPreset();
+        updatePresetControls();
+        scheduleFrequencySelect.value = preset?.schedule?.frequency || '';
+        scheduleTimeInput.value = preset?.schedule?.time || '08:00';
+        scheduleFolderInput.value = preset?.schedule?.downloadFolder || '';
+        handleScheduleChange();
+        if (!preset) {
+            loadSettings();
+            return;
+        }
+
+        tomSelect.clear();
+        for (const sender of preset.senders) {
+            if (!tomSelect.options[sender]) {
+                tomSelect.addOption({ value: sender, text: sender });
+            }
+            tomSelect.addItem(sender);
+        }
+        startDateRelativeCheckbox.checked = Number.isInteger(preset.sinceDays);
+        if (startDateRelativeCheckbox.checked) {
+            const today = new Date();
+            startDateInput.valueAsNumber = Date.UTC(today.getFullYear(), today.getMonth(), today.getDate() - preset.sinceDays);
+        } else {
+            startDateInput.value = preset.startDate ? preset.startDate.slice(0, 10) : '';
+        }
+        const outputRadio = document.querySelector(`input[name="output-method"][value="${preset.outputMethod}"]`);
+        if (outputRadio) {
+            outputRadio.checked = true;
+        }
+        formatSelect.value = preset.format || 'html';
+        includeEmbeddingsCheckbox.checked = Boolean(preset.includeEmbeddings);
+        bundleAttachmentsCheckbox.checked = Boolean(preset.bundleAttachments);
+        incrementalCheckbox.checked = Boolean(preset.incremental);
+        setFilters(preset.filters || {});
+        handleOutputMethodChange();
+        handleFormatChange();
+
+        dedupStrategySelect.value = preset.dedup.dedupStrategy;
+        dedupModeSelect.value = preset.dedup.dedupMode;
+        thresholdSlider.value = preset.dedup.similarityThreshold;
+        lexicalThresholdSlider.value = preset.dedup.lexicalThreshold;
+    }
+
+    /**
+     * Saves the current form as a named preset, replacing a preset of the same name.
+     */
+    async function savePreset() {
+        const senders = tomSelect.getValue();
+        if (senders.length === 0) {
+            alert('Please select at least one sender.');
+            return;
+        }
+        const name = prompt('Preset name:', getSelectedPreset()?.name || '')?.trim();
+        if (!name) {
+            return;
+        }
+        const existing = presets.find(preset => preset.name === name);
+        if (existing && existing.id !== presetSelect.value && !confirm(`Replace the preset "${name}"?`)) {
+            return;
+        }
+
+        const preset = {
+            name,
+            senders,
+            startDate: null,
+            outputMethod: document.querySelector('input[name="output-method"]:checked').value,
+            format: formatSelect.value,
+            includeEmbeddings: formatSelect.value === 'json' && includeEmbeddingsCheckbox.checked,
+            bundleAttachments: bundleAttachmentsCheckbox.checked,
+            incremental: incrementalCheckbox.checked,
+            filters: getFilters(),
+            dedup: getDedupSettings(),
+            schedule: scheduleFrequencySelect.value ? {
+                frequency: scheduleFrequencySelect.value,
+                time: scheduleTimeInput.value || '08:00',
+                // Runs are counted from here until the first one happens
+                since: existing?.schedule?.since || new Date().toISOString(),
+                downloadFolder: scheduleFolderInput.value.trim()
+            } : null
+        };
+        if (startDateInput.value && startDateRelativeCheckbox.checked) {
+            const today = new Date();
+            const todayValue = Date.UTC(today.getFullYear(), today.getMonth(), today.getDate());
+            preset.sinceDays = Math.max(0, Math.round((todayValue - startDateInput.valueAsNumber) / DAY_MS));
+        } else if (startDateInput.value) {
+            preset.startDate = new Date(startDateInput.value).toISOString();
+        }
+
+        try {
+            const response = await messenger.runtime.sendMessage({ action: 'savePreset', data: preset });
+            if (response.status !== 'success') {
+                throw new Error(response.message || "Failed to save preset.");
+            }
+            await loadPresets(response.data.id);
+        } catch (error) {
+            console.error("Error saving preset:", error);
+            alert(`Error saving preset: ${error.message}`);
+        }
+    }
+
+    /**
+     * Enables the schedule's time and folder only if the preset runs automatically.
+     */
+    function handleScheduleChange() {
+        scheduleTimeInput.disabled = !scheduleFrequencySelect.value;
+        scheduleFolderInput.disabled = !scheduleFrequencySelect.value;
+    }
+
+    /**
+     * Deletes the selected preset after confirmation.
+     */
+    async function deletePreset() {
+        const preset = getSelectedPreset();
+        if (!preset || !confirm(`Delete the preset "${preset.name}"?`)) {
+            return;
+        }
+        try {
+            const response = await messenger.runtime.sendMessage({ action: 'deletePreset', data: { id: preset.id } });
+            if (response.status !== 'success') {
+                throw new Error(response.message || "Failed to delete preset.");
+            }
+            await loadPresets('');
+            applyPreset();
+        } catch (error) {
+            console.error("Error deleting preset:", error);
+            alert(`Error deleting preset: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetches embedding cache statistics from the background script and displays them.
+     */
+    async function loadCacheStats() {
+        try {
+            const response = await messenger.runtime.sendMessage({ action: 'getCacheStats' });
+            if (response.status !== 'success') {
+                throw new Error(response.message || "Failed to load cache statistics.");
+            }
+            const stats = response.data;
+            const megabytes = (stats.bytes / (1024 * 1024)).toFixed(1);
+            const perModel = Object.entries(stats.namespaces)
+                .map(([namespace, count]) => `${namespace}: ${count}`)
+                .join(', ');
+            cacheStatsText.textContent = `${stats.entries} cached embeddings (~${megabytes} MB)` + (perModel ? ` - ${perModel}` : '');
+        } catch (error) {
+            console.error("Failed to load cache statistics:", error);
+            cacheStatsText.textContent = `Could not load cache statistics: ${error.message}`;
+        }
+    }
+
+    /**
+     * Removes all cached embeddings after confirmation.
+     */
+    async function clearCache() {
+        if (!confirm('Remove all cached embeddings? The next collation will need to re-embed every message.')) {
+            return;
+        }
+        try {
+            const response = await messenger.runtime.sendMessage({ action: 'clearCache' });
+            if (response.status !== 'success') {
+                throw new Error(response.message || "Failed to clear cache.");
+            }
+            await loadCacheStats();
+        } catch (error) {
+            console.error("Error clearing cache:", error);
+            alert(`Error clearing cache: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetches the stored report manifests from the background script and summarizes them.
+     */
+    async function loadManifestStats() {
+        try {
+            const response = await messenger.runtime.sendMessage({ action: 'getReportManifests' });
+            if (response.status !== 'success') {
+                throw new Error(response.message || "Failed to load stored reports.");
+            }
+            const manifests = response.data;
+            const messages = manifests.reduce((sum, manifest) => sum + manifest.messages, 0);
+            manifestStatsText.textContent = manifests.length === 0
+                ? 'No stored reports.'
+                : `${manifests.length} stored report(s) with ${messages} messages`;
+        } catch (error) {
+            console.error("Failed to load stored reports:", error);
+            manifestStatsText.textContent = `Could not load stored reports: ${error.message}`;
+        }
+    }
+
+    /**
+     * Lists the stored reports that can be searched, most recent first,
+     * keeping the selected one.
+     */
+    async function loadSearchReports() {
+        try {
+            const response = await messenger.runtime.sendMessage({ action: 'getReportManifests' });
+            if (response.status !== 'success') {
+                throw new Error(response.message || "Failed to load stored reports.");
+            }
+            const selected = searchReportSelect.value;
+            const manifests = response.data.sort((a, b) => new Date(b.lastRunAt) - new Date(a.lastRunAt));
+            searchReportSelect.replaceChildren(...manifests.map(manifest => {
+                // Keys of filtered reports end with their filters
+                const filtered = manifest.key.includes('\n{') ? ', filtered' : '';
+                const label = `${manifest.senders.join(', ')} (${manifest.messages} messages${filtered}, ${new Date(manifest.lastRunAt).toLocaleDateString()})`;
+                return new Option(label, manifest.key, false, manifest.key === selected);
+            }));
+            searchButton.disabled = manifests.length === 0;
+            if (manifests.length === 0) {
+                searchStatusText.textContent = 'No stored reports yet. Collate some messages first.';
+            }
+        } catch (error) {
+            console.error("Failed to load stored reports:", error);
+            searchStatusText.textContent = `Could not load stored reports: ${error.message}`;
+        }
+    }
+
+    /**
+     * Searches the selected report and lists the results.
+     */
+    async function searchReport() {
+        const query = searchQueryInput.value.trim();
+        if (!searchReportSelect.value || !query) {
+            return;
+        }
+        searchButton.disabled = true;
+        searchStatusText.textContent = 'Searching...';
+        try {
+            const response = await messenger.runtime.sendMessage({
+                action: 'searchReport',
+                data: { key: searchReportSelect.value, query }
+            });
+            if (response.status !== 'success') {
+                throw new Error(response.message || "Search failed.");
+            }
+            const { mode, fallbackReason, results } = response.data;
+            const method = mode === 'semantic' ? 'by meaning' : 'by words';
+            searchStatusText.textContent = `${results.length} result(s), found ${method}`
+                + (fallbackReason ? `; embeddings were not used because ${fallbackReason}.` : '.');
+            searchResultsList.replaceChildren(...results.map(renderSearchResult));
+        } catch (error) {
+            console.error("Search failed:", error);
+            searchStatusText.textContent = `Search failed: ${error.message}`;
+            searchResultsList.replaceChildren();
+        } finally {
+            searchButton.disabled = false;
+        }
+    }
+
+    /**
+     * Builds the list item of a search result, with a button that opens the
+     * message in Thunderbird.
+     * @param {object} result - A result as { messageId, subject, from, date, score, snippet }.
+     * @returns {HTMLLIElement} The list item.
+     */
+    function renderSearchResult(result) {
+        const item = document.createElement('li');
+        const subject = document.createElement('strong');
+        subject.textContent = result.subject;
+        const meta = document.createElement('div');
+        meta.className = 'search-meta';
+        meta.textContent = `${result.from}, ${new Date(result.date).toLocaleString()} (${Math.round(result.score * 100)}% match)`;
+        const snippet = document.createElement('p');
+        snippet.className = 'search-snippet';
+        snippet.textContent = result.snippet;
+        item.append(subject, meta, snippet);
+        if (result.messageId) {
+            const openButton = document.createElement('button');
+            openButton.className = 'btn btn-secondary';
+            openButton.textContent = 'Open Message';
+            openButton.addEventListener('click', async () => {
+                const response = await messenger.runtime.sendMessage({ action: 'openMessage', data: { messageId: result.messageId } });
+                if (response.status !== 'success') {
+                    alert(`Could not open the message: ${response.message}`);
+                }
+            });
+            item.append(openButton);
+        }
+        return item;
+    }
+
+    /**
+     * Forgets all stored reports after confirmation.
+     */
+    async function clearManifests() {
+        if (!confirm('Forget all stored reports? The next collation for any senders will be a full run.')) {
+            return;
+        }
+        try {
+            const response = await messenger.runtime.sendMessage({ action: 'clearReportManifests' });
+            if (response.status !== 'success') {
+                throw new Error(response.message || "Failed to forget stored reports.");
+            }
+            await loadManifestStats();
+        } catch (error) {
+            console.error("Error forgetting stored reports:", error);
+            alert(`Error forgetting stored reports: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetches the state of the sender index from the background script and displays it.
+     */
+    async function loadSenderIndexStats() {
+        try {
+            const response = await messenger.runtime.sendMessage({ action: 'getSenderIndexStatus' });
+            if (response.status !== 'success') {
+                throw new Error(response.message || "Failed to load the sender index status.");
+            }
+            const status = response.data;
+            senderIndexStatsText.textContent = status.builtAt
+                ? `${status.senders} indexed senders, built ${new Date(status.builtAt).toLocaleString()}, updated ${new Date(status.updatedAt).toLocaleString()}`
+                : 'The sender index has not been built yet.';
+            if (status.building) {
+                senderIndexStatsText.textContent += ' Rebuilding...';
+            }
+            rebuildSenderIndexButton.disabled = status.building;
+        } catch (error) {
+            console.error("Failed to load the sender index status:", error);
+            senderIndexStatsText.textContent = `Could not load the sender index status: ${error.message}`;
+        }
+    }
+
+    /**
+     * Rebuilds the sender index in the background.
+     */
+    async function rebuildSenderIndex() {
+        try {
+            const response = await messenger.runtime.sendMessage({ action: 'rebuildSenderIndex' });
+            if (response.status !== 'success') {
+                throw new Error(response.message || "Failed to rebuild the sender index.");
+            }
+            await loadSenderIndexStats();
+        } catch (error) {
+            console.error("Error rebuilding the sender index:", error);
+            alert(`Error rebuilding the sender index: ${error.message}`);
+        }
+    }
+
     /**
      * Starts the collation process by sending a message to the background script.
      */
@@ -164,13 +948,7 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
 
-        // Reset UI
-        startButton.disabled = true;
-        startButton.textContent = 'Collating...';
-        progressContainer.classList.remove('hidden');
-        errorLog.classList.add('hidden');
-        progressBarInner.style.width = '0%';
-        progressText.textContent = 'Starting...';
+        showRunningUi('Starting...');
 
         try {
             const settings = await messenger.runtime.sendMessage({ action: 'getSettings' });
@@ -180,10 +958,21 @@ document.addEventListener('DOMContentLoaded', () => {
                 senders: selectedSenders,
                 startDate: startDateInput.value ? new Date(startDateInput.value).toISOString() : null,
                 outputMethod: document.querySelector('input[name="output-method"]:checked').value,
-                settings: settings.data
+                format: formatSelect.value,
+                includeEmbeddings: formatSelect.value === 'json' && includeEmbeddingsCheckbox.checked,
+                bundleAttachments: bundleAttachmentsCheckbox.checked,
+                incremental: incrementalCheckbox.checked,
+                filters: getFilters(),
+                // A selected preset brings its own deduplication settings
+                settings: presetSelect.value ? { ...settings.data, ...getDedupSettings() } : settings.data
             };
             
-            messenger.runtime.sendMessage({ action: 'collate', data: collationData });
+            // Resolves when the collation ends; progress arrives separately
+            messenger.runtime.sendMessage({ action: 'collate', data: collationData }).then(response => {
+                if (response?.status === 'error') {
+                    updateProgress({ type: 'error', message: response.message });
+                }
+            });
 
         } catch (error) {
             updateProgress({
@@ -194,6 +983,119 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    /**
+     * Switches the UI to show a running collation with its controls.
+     * @param {string} message - The initial progress text.
+     */
+    function showRunningUi(message) {
+        startButton.disabled = true;
+        startButton.textContent = 'Collating...';
+        resumeBanner.classList.add('hidden');
+        progressContainer.classList.remove('hidden');
+        errorLog.classList.add('hidden');
+        progressBarInner.style.width = '0%';
+        progressBarInner.style.backgroundColor = 'var(--primary-color)';
+        progressText.textContent = message;
+        setPaused(false);
+        jobControls.classList.remove('hidden');
+    }
+
+    function setPaused(paused) {
+        isPaused = paused;
+        pauseButton.textContent = paused ? 'Resume' : 'Pause';
+    }
+
+    /**
+     * Pauses the running collation, or resumes it if it is paused.
+     */
+    async function togglePause() {
+        const action = isPaused ? 'resumeCollation' : 'pauseCollation';
+        pauseButton.disabled = true;
+        try {
+            const response = await messenger.runtime.sendMessage({ action });
+            if (response.status !== 'success') {
+                throw new Error(response.message);
+            }
+        } catch (error) {
+            console.error(`Failed to ${isPaused ? 'resume' : 'pause'} collation:`, error);
+            alert(`Error: ${error.message}`);
+        } finally {
+            pauseButton.disabled = false;
+        }
+    }
+
+    /**
+     * Cancels the running collation after confirmation.
+     */
+    async function cancelCollation() {
+        if (!confirm('Cancel the running collation? Its progress will be discarded.')) {
+            return;
+        }
+        try {
+            const response = await messenger.runtime.sendMessage({ action: 'cancelCollation' });
+            if (response.status !== 'success') {
+                throw new Error(response.message);
+            }
+        } catch (error) {
+            console.error("Failed to cancel collation:", error);
+            alert(`Error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Shows a running collation (e.g. after the popup was reopened) or offers
+     * to resume one that was interrupted.
+     */
+    async function loadCollationStatus() {
+        try {
+            const response = await messenger.runtime.sendMessage({ action: 'getCollationStatus' });
+            if (response.status !== 'success') {
+                throw new Error(response.message);
+            }
+            const { active, interrupted } = response.data;
+            if (active) {
+                showRunningUi(active.status === 'paused' ? 'Paused.' : 'Collation in progress...');
+                setPaused(active.status === 'paused');
+            } else if (interrupted.length > 0) {
+                interruptedJob = interrupted[0];
+                const since = interruptedJob.startDate ? ` since ${new Date(interruptedJob.startDate).toLocaleDateString()}` : '';
+                resumeText.textContent = `A collation of ${interruptedJob.senders.length} sender(s)${since} was interrupted while ${interruptedJob.stage} `
+                    + `(${new Date(interruptedJob.updatedAt).toLocaleString()}). Resume it from where it stopped?`;
+                resumeBanner.classList.remove('hidden');
+            }
+        } catch (error) {
+            console.error("Failed to load collation status:", error);
+        }
+    }
+
+    /**
+     * Continues the interrupted collation from its checkpoints.
+     */
+    async function resumeInterruptedJob() {
+        showRunningUi('Resuming...');
+        try {
+            const response = await messenger.runtime.sendMessage({ action: 'resumeCollation', data: { jobId: interruptedJob.id } });
+            if (response.status !== 'success') {
+                throw new Error(response.message);
+            }
+        } catch (error) {
+            updateProgress({ type: 'error', message: `Failed to resume collation: ${error.message}` });
+        }
+    }
+
+    /**
+     * Deletes the interrupted collation and its checkpoints.
+     */
+    async function discardInterruptedJob() {
+        try {
+            await messenger.runtime.sendMessage({ action: 'discardCollation', data: { jobId: interruptedJob.id } });
+        } catch (error) {
+            console.error("Failed to discard collation:", error);
+        }
+        resumeBanner.classList.add('hidden');
+        interruptedJob = null;
+    }
+
     /**
      * Updates the progress UI based on messages from the background script.
      * @param {object} status - The progress status object.
@@ -213,10 +1115,20 @@ document.addEventListener('DOMContentLoaded', () => {
              progressBarInner.style.backgroundColor = '#28a745';
              progressText.textContent = status.message || "Collation Complete!";
              resetUiAfterCompletion(true);
+        } else if (status.type === 'paused') {
+            setPaused(true);
+            progressText.textContent = status.message;
+        } else if (status.type === 'resumed') {
+            setPaused(false);
+            progressText.textContent = status.message;
+        } else if (status.type === 'cancelled') {
+            progressText.textContent = status.message;
+            resetUiAfterCompletion(true);
         }
     }
     
     function resetUiAfterCompletion(isSuccess = false) {
+        jobControls.classList.add('hidden');
         setTimeout(() => {
             startButton.disabled = false;
             startButton.textContent = 'Start Collation';
@@ -239,6 +1151,17 @@ document.addEventListener('DOMContentLoaded', () => {
                      window.close();
                  }
             }
+        } else if (request.action === 'senderIndexProgress') {
+            if (request.data.type === 'progress') {
+                senderHint.textContent = request.data.message;
+            } else {
+                senderHint.textContent = defaultSenderHint;
+                loadSenderIndexStats();
+                // A rebuild started from the settings; the first build answers loadSenders itself
+                if (!senderLoader.classList.contains('active')) {
+                    loadSenders();
+                }
+            }
         }
     }
 
@@ -246,13 +1169,38 @@ document.addEventListener('DOMContentLoaded', () => {
     // --- Event Listeners ---
     tabLinks.forEach(link => link.addEventListener('click', handleTabSwitch));
     providerSelect.addEventListener('change', handleProviderChange);
+    outputMethodRadios.forEach(radio => radio.addEventListener('change', handleOutputMethodChange));
+    formatSelect.addEventListener('change', handleFormatChange);
+    presetSelect.addEventListener('change', applyPreset);
+    savePresetButton.addEventListener('click', savePreset);
+    deletePresetButton.addEventListener('click', deletePreset);
+    scheduleFrequencySelect.addEventListener('change', handleScheduleChange);
     saveSettingsButton.addEventListener('click', saveSettings);
+    clearCacheButton.addEventListener('click', clearCache);
+    clearManifestsButton.addEventListener('click', clearManifests);
+    rebuildSenderIndexButton.addEventListener('click', rebuildSenderIndex);
+    createGroupButton.addEventListener('click', createSenderGroup);
+    searchButton.addEventListener('click', searchReport);
+    searchQueryInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            searchReport();
+        }
+    });
     startButton.addEventListener('click', startCollation);
+    pauseButton.addEventListener('click', togglePause);
+    cancelButton.addEventListener('click', cancelCollation);
+    resumeJobButton.addEventListener('click', resumeInterruptedJob);
+    discardJobButton.addEventListener('click', discardInterruptedJob);
     messenger.runtime.onMessage.addListener(handleMessages);
 
 
     // --- Initialization ---
     initializeTomSelect();
     loadSenders();
+    loadSenderGroups();
     loadSettings();
+    loadPresets();
+    loadFilterOptions();
+    handleScheduleChange();
+    loadCollationStatus();
 });
@@ -0,0 +1,42 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The background script only needs the messenger APIs it touches when loaded
+// and when a collation starts; every event just records its listener.
+const listeners = {};
+const api = (methods = {}) => new Proxy(methods, {
+    get: (target, name) => target[name] ?? { addListener: listener => { listeners[name] = listener; } }
+});
+globalThis.messenger = {
+    runtime: api({ sendMessage: async () => {}, getURL: path => path }),
+    storage: { local: { get: async () => ({}), set: async () => {} } },
+    accounts: api({ list: async () => [] }),
+    messages: api(),
+    folders: api(),
+    alarms: api({ create() {}, getAll: async () => [], clear: async () => true }),
+    menus: api({ create() {}, removeAll: async () => {} }),
+    notifications: api({ create: async () => {} })
+};
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+mock.method(console, 'warn', () => {});
+await import('../background.js');
+
+const send = (action, data) => new Promise(resolve => listeners.onMessage({ action, data }, {}, resolve));
+const collationData = { senders: ['jane@corp.com'], startDate: null, settings: {}, outputMethod: 'tab' };
+
+test('a collation started while another is starting is refused', async () => {
+    // Both are sent before the first has awaited anything. IndexedDB is not
+    // available here, so the first one fails once it stores its job.
+    const first = send('collate', collationData);
+    const second = send('collate', collationData);
+
+    assert.deepEqual(await second, { status: 'error', message: 'A collation is already running. Cancel it or wait for it to finish.' });
+    const firstResponse = await first;
+    assert.equal(firstResponse.status, 'error');
+    assert.doesNotMatch(firstResponse.message, /already running/);
+
+    // The failed collation released its slot
+    const third = await send('collate', collationData);
+    assert.doesNotMatch(third.message, /already running/);
+});
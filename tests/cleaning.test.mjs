@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ContentCleaner } from '../modules/cleaning.js';
+
+const cleaner = new ContentCleaner();
+
+test('clean splits off the signature at an RFC 3676 delimiter', () => {
+    const result = cleaner.clean('Hi all,\r\n\r\nThe build is green.\r\n\r\n-- \r\nJane Doe\r\nRelease team');
+    assert.equal(result.body, 'Hi all,\n\nThe build is green.');
+    assert.equal(result.signature, 'Jane Doe\nRelease team');
+});
+
+test('clean uses the delimiter closest to the end', () => {
+    const result = cleaner.clean('Status:\n-- \nfirst block\n\nMore text.\n-- \nJane');
+    assert.equal(result.body, 'Status:\n--\nfirst block\n\nMore text.');
+    assert.equal(result.signature, 'Jane');
+});
+
+test('clean accepts a bare "--" only near the end of the message', () => {
+    const short = cleaner.clean('Thanks!\n--\nJane');
+    assert.equal(short.body, 'Thanks!');
+    assert.equal(short.signature, 'Jane');
+
+    const text = `Run the tool like this:\n\ntool --verbose\n--\n${'The options after it are passed on. '.repeat(20)}`;
+    const long = cleaner.clean(text);
+    assert.equal(long.body, text.trim());
+    assert.equal(long.signature, '');
+});
+
+test('clean separates quoted replies and forwards from the new text', () => {
+    const reply = cleaner.clean('Sounds good.\n\nOn Mon, 1 Jan 2024, Jane Doe wrote:\n> Shall we ship?\n> Yes.');
+    assert.equal(reply.body, 'Sounds good.');
+    assert.match(reply.quoted, /Shall we ship\?/);
+
+    const forward = cleaner.clean('FYI\n\n---------- Forwarded message ---------\nFrom: Bob\nThe old text');
+    assert.equal(forward.body, 'FYI');
+    assert.match(forward.quoted, /The old text/);
+});
+
+test('cleanAll moves a trailer repeated by a sender into the signature', () => {
+    const trailer = 'Jane Doe | Example Corp | +1 555 0100';
+    const messages = ['First update.', 'Second update.', 'Third update.']
+        .map(text => ({ from: 'jane@example.com', body: `${text}\n\n${trailer}` }));
+    const cleaned = cleaner.cleanAll(messages);
+    assert.deepEqual(cleaned.map(message => message.body), ['First update.', 'Second update.', 'Third update.']);
+    assert.ok(cleaned.every(message => message.signature === trailer));
+});
+
+test('cleanAll never reduces a message to nothing', () => {
+    const body = '---------- Forwarded message ---------\nFrom: Bob\nOnly forwarded text';
+    const [cleaned] = cleaner.cleanAll([{ from: 'a@example.com', body }]);
+    assert.equal(cleaned.body, body);
+});
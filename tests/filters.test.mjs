@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_FILTERS, normalizeFilters, hasFilters, buildQueryInfo, isInExcludedFolder, describeFilters } from '../modules/filters.js';
+
+test('normalizeFilters fills in defaults and cleans up values', () => {
+    assert.deepEqual(normalizeFilters(), DEFAULT_FILTERS);
+    const filters = normalizeFilters({ subject: '  budget ', folders: null, tagMode: 'bogus' });
+    assert.equal(filters.subject, 'budget');
+    assert.deepEqual(filters.folders, []);
+    assert.equal(filters.tagMode, 'any');
+    assert.equal(hasFilters(normalizeFilters()), false);
+    assert.equal(hasFilters(filters), true);
+});
+
+test('buildQueryInfo maps the filters onto a messages query', () => {
+    const filters = normalizeFilters({
+        toDate: '2024-03-31',
+        accounts: [{ id: 'account1', name: 'Work' }],
+        folders: [{ id: 'folder1', name: 'Inbox' }],
+        excludeJunk: true,
+        body: 'invoice',
+        tags: [{ key: '$label1', name: 'Important' }],
+        tagMode: 'all',
+        read: false
+    });
+    assert.deepEqual(buildQueryInfo('jane@corp.com', '2024-01-01', filters), {
+        includeSubFolders: true,
+        author: 'jane@corp.com',
+        fromDate: new Date('2024-01-01'),
+        toDate: new Date('2024-03-31'),
+        accountId: ['account1'],
+        folderId: ['folder1'],
+        body: 'invoice',
+        tags: { mode: 'all', tags: { $label1: true } },
+        read: false,
+        junk: false
+    });
+    assert.deepEqual(buildQueryInfo(null, null, normalizeFilters()), { includeSubFolders: true });
+});
+
+test('isInExcludedFolder leaves out Trash and Junk only when asked to', () => {
+    const trash = { folder: { specialUse: ['trash'] } };
+    assert.equal(isInExcludedFolder(trash, normalizeFilters()), false);
+    assert.equal(isInExcludedFolder(trash, normalizeFilters({ excludeTrash: true })), true);
+    assert.equal(isInExcludedFolder({ folder: {} }, normalizeFilters({ excludeTrash: true, excludeJunk: true })), false);
+});
+
+test('describeFilters lists the active filters', () => {
+    assert.deepEqual(describeFilters(normalizeFilters({
+        toDate: '2024-03-31',
+        excludeTrash: true,
+        excludeJunk: true,
+        subject: 'budget',
+        recipients: 'team@corp.com',
+        tags: [{ key: 'a', name: 'Work' }, { key: 'b', name: 'Later' }],
+        flagged: true
+    })), [
+        `until ${new Date('2024-03-31').toLocaleDateString()}`,
+        'excluding Trash and Junk',
+        'subject contains "budget"',
+        'recipients contain "team@corp.com"',
+        'tagged Work or Later',
+        'flagged'
+    ]);
+});
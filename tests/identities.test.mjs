@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAuthor, parseSelection, SenderMatcher } from '../modules/identities.js';
+
+test('parseAuthor normalizes names and addresses', () => {
+    assert.deepEqual(parseAuthor('"Doe, Jane" <JANE@corp.com>'), { name: 'Jane Doe', address: 'jane@corp.com' });
+    assert.deepEqual(parseAuthor('jane@corp.com (Jane Doe)'), { name: 'Jane Doe', address: 'jane@corp.com' });
+    assert.deepEqual(parseAuthor('Jane@Corp.com'), { name: '', address: 'jane@corp.com' });
+    assert.deepEqual(parseAuthor('Just Name'), { name: 'Just Name', address: '' });
+});
+
+test('parseSelection recognizes addresses, domains, names and groups', () => {
+    assert.deepEqual(parseSelection('Jane <jane@corp.com>'), { type: 'address', address: 'jane@corp.com' });
+    assert.deepEqual(parseSelection('@Vendor.com'), { type: 'domain', domain: 'vendor.com' });
+    assert.deepEqual(parseSelection('Jane Doe'), { type: 'name', name: 'Jane Doe' });
+    assert.deepEqual(parseSelection('group:g1'), { type: 'group', id: 'g1' });
+});
+
+test('SenderMatcher queries each address once and domains as author substrings', () => {
+    const groups = [{ id: 'g1', name: 'Jane Doe', members: ['jane@corp.com', 'jane.doe@gmail.com'] }];
+    const matcher = new SenderMatcher(['group:g1', 'jane@corp.com', '@vendor.com'], groups);
+    assert.deepEqual(matcher.getQueries(), {
+        authors: ['jane@corp.com', 'jane.doe@gmail.com'],
+        domains: ['vendor.com']
+    });
+    assert.equal(matcher.findEntity('Jane <jane.doe@gmail.com>').label, 'Jane Doe');
+});
+
+test('SenderMatcher matches domains on the address only, including subdomains', () => {
+    const matcher = new SenderMatcher(['@vendor.com']);
+    assert.equal(matcher.findEntity('Bot <noreply@mail.vendor.com>').label, '@vendor.com');
+    assert.equal(matcher.findEntity('<sales@vendor.com>').label, '@vendor.com');
+    assert.equal(matcher.findEntity('"vendor.com support" <help@other.org>'), null);
+    assert.equal(matcher.findEntity('<x@vendor.com.example.org>'), null);
+    assert.equal(matcher.findEntity('<x@myvendor.com>'), null);
+});
+
+test('SenderMatcher attributes messages to the selected entity', () => {
+    const matcher = new SenderMatcher(['@vendor.com']);
+    assert.deepEqual(matcher.attribute('Bot <NoReply@vendor.com>'), { fromAddress: 'noreply@vendor.com', sender: '@vendor.com' });
+    assert.deepEqual(matcher.attribute('Other <x@other.com>'), { fromAddress: 'x@other.com', sender: 'x@other.com' });
+});
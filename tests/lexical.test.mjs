@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LexicalVectorizer } from '../modules/lexical.js';
+import { dot } from '../modules/utils.js';
+
+const vectorizer = new LexicalVectorizer();
+const cosine = (a, b) => dot(a, b) / Math.sqrt(dot(a, a) * dot(b, b));
+
+test('normalize ignores case, punctuation, whitespace and compatibility forms', () => {
+    assert.equal(vectorizer.normalize('  Hello,\tWORLD!  ﬁne — 42 '), 'hello world fine 42');
+    assert.equal(vectorizer.normalize(null), '');
+});
+
+test('shingles are overlapping word groups, or one group for short texts', () => {
+    assert.deepEqual([...vectorizer.shingles('a b c d')], ['a b c', 'b c d']);
+    assert.deepEqual([...vectorizer.shingles('Just two')], ['just two']);
+    assert.equal(vectorizer.shingles(' ... ').size, 0);
+});
+
+test('vectorize is deterministic and returns null for texts without words', () => {
+    const text = 'The quarterly report is attached for your review.';
+    assert.deepEqual(vectorizer.vectorize(text), new LexicalVectorizer().vectorize(text));
+    assert.equal(vectorizer.vectorize('--- !!! ---'), null);
+    assert.equal(new LexicalVectorizer({ dimensions: 100 }).vectorize(text).length, 128);
+});
+
+test('vector similarity follows the overlap of the shingle sets', () => {
+    const words = Array.from({ length: 200 }, (_, i) => `word${i}`);
+    const original = words.join(' ');
+    const reformatted = `${words.slice(0, 100).join('  ').toUpperCase()},\n${words.slice(100).join(' ')}`;
+    const half = `${words.slice(0, 100).join(' ')} ${Array.from({ length: 100 }, (_, i) => `other${i}`).join(' ')}`;
+
+    assert.ok(cosine(vectorizer.vectorize(original), vectorizer.vectorize(reformatted)) > 0.999);
+    const similarity = cosine(vectorizer.vectorize(original), vectorizer.vectorize(half));
+    // 98 of the 198 shingles of each text are shared, an overlap of about 0.49
+    assert.ok(Math.abs(similarity - 98 / 198) < 0.15, `similarity ${similarity}`);
+    assert.ok(cosine(vectorizer.vectorize(original), vectorizer.vectorize('entirely different words here')) < 0.3);
+});
+
+test('vectorizeAll adds an embedding to every item', () => {
+    const items = vectorizer.vectorizeAll([{ id: 1, body: 'some text here' }, { id: 2, body: '' }]);
+    assert.equal(items[0].id, 1);
+    assert.equal(items[0].embedding.length, 512);
+    assert.equal(items[1].embedding, null);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MboxWriter } from '../modules/mbox.js';
+
+async function archiveText(writer) {
+    return Buffer.from(await writer.toBlob().arrayBuffer()).toString('latin1');
+}
+
+test('addMessage converts CRLF and escapes From lines the mboxrd way', async () => {
+    const writer = new MboxWriter();
+    const raw = 'From: Jane <jane@example.com>\r\nSubject: Hi\r\n\r\n'
+        + 'From the start.\r\n'
+        + '>From quoted once.\r\n'
+        + '>>From quoted twice.\r\n'
+        + 'Not From here.\r\n'
+        + 'From\r\n'
+        + 'Last line';
+    writer.addMessage(raw, 'Jane <jane@example.com>', '2024-01-01T09:05:00Z');
+
+    assert.equal(writer.count, 1);
+    assert.equal(await archiveText(writer),
+        'From jane@example.com Mon Jan  1 09:05:00 2024\n'
+        + 'From: Jane <jane@example.com>\nSubject: Hi\n\n'
+        + '>From the start.\n'
+        + '>>From quoted once.\n'
+        + '>>>From quoted twice.\n'
+        + 'Not From here.\n'
+        + 'From\n'
+        + 'Last line\n'
+        + '\n');
+});
+
+test('addMessage keeps bytes of binary strings and separates messages', async () => {
+    const writer = new MboxWriter();
+    writer.addMessage('Subject: Caf\xc3\xa9\n\nbody\n', 'noreply@example.com', 'not a date');
+    writer.addMessage('Subject: Two\r\n\r\nFrom me\r\n', '', '2024-02-29T23:59:59Z');
+
+    const bytes = Buffer.from(await writer.toBlob().arrayBuffer());
+    // The UTF-8 bytes of the binary string are written as they are, not encoded again
+    assert.ok(bytes.includes(Buffer.from('Café', 'utf8')));
+    assert.equal(await archiveText(writer),
+        'From noreply@example.com Thu Jan  1 00:00:00 1970\n'
+        + 'Subject: Caf\xc3\xa9\n\nbody\n\n'
+        + 'From MAILER-DAEMON Thu Feb 29 23:59:59 2024\n'
+        + 'Subject: Two\n\n>From me\n\n');
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderReport } from '../modules/renderers.js';
+
+function buildReport(dedupStrategy) {
+    return {
+        generatedAt: '2024-03-01T10:00:00.000Z',
+        senders: ['jane@corp.com'],
+        startDate: null,
+        settings: { provider: 'ollama', model: 'nomic-embed-text', dedupStrategy, similarityThreshold: 0.95 },
+        stats: {},
+        dedupDecisions: [],
+        messages: [
+            { id: 1, date: '2024-02-01T09:00:00.000Z', from: 'jane@corp.com', subject: 'Plan', body: 'First', embedding: [0.6, 0.8] },
+            { id: 2, date: '2024-02-02T09:00:00.000Z', from: 'jane@corp.com', subject: 'Re: Plan', body: 'Second' }
+        ]
+    };
+}
+
+const exportedEmbeddings = (report, options) =>
+    JSON.parse(renderReport(report, 'json', options).content).messages.map(message => message.embedding);
+
+test('the JSON report includes model embeddings only when asked to', () => {
+    assert.deepEqual(exportedEmbeddings(buildReport('embedding'), { includeEmbeddings: true }), [[0.6, 0.8], undefined]);
+    assert.deepEqual(exportedEmbeddings(buildReport('embedding'), {}), [undefined, undefined]);
+});
+
+test('the JSON report never exports lexical vectors as embeddings', () => {
+    assert.deepEqual(exportedEmbeddings(buildReport('lexical'), { includeEmbeddings: true }), [undefined, undefined]);
+});
+
+test('reports link summary citations to the messages the summary cites', () => {
+    const report = buildReport('embedding');
+    report.summary = {
+        provider: 'ollama',
+        model: 'llama3.2',
+        references: [2, 1],
+        overview: { text: 'Agreed [1, 2], with an unknown [9].', sources: [2, 1] },
+        periods: [{ period: '2024-02', label: 'February 2024', text: 'Agreed [1, 2].', sources: [2, 1] }],
+        actionItems: [],
+        decisions: []
+    };
+
+    const html = renderReport(report, 'html').content;
+    const links = [...html.matchAll(/<a class="citation" href="#msg-(\d+)"[^>]*>(\d+)<\/a>/g)].map(match => `${match[2]}->${match[1]}`);
+    assert.deepEqual(links.slice(0, 2), ['1->2', '2->1']);
+    assert.ok(!links.some(link => link.startsWith('9')));
+
+    const text = renderReport(report, 'text').content;
+    assert.match(text, /\[1\] .*Re: Plan/);
+    assert.match(text, /\[2\] .*Plan/);
+    assert.doesNotMatch(text, /\[9\] /);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getNextRunTime, syncScheduleAlarms, normalizeDownloadFolder, SCHEDULE_ALARM_PREFIX } from '../modules/schedules.js';
+
+test('getNextRunTime runs daily schedules today or tomorrow', () => {
+    const schedule = { frequency: 'daily', time: '08:30' };
+    assert.deepEqual(getNextRunTime(schedule, new Date(2024, 4, 10, 7, 0)), new Date(2024, 4, 10, 8, 30));
+    assert.deepEqual(getNextRunTime(schedule, new Date(2024, 4, 10, 8, 30)), new Date(2024, 4, 11, 8, 30));
+    assert.deepEqual(getNextRunTime({ frequency: 'daily' }, new Date(2024, 4, 10, 9, 0)), new Date(2024, 4, 11, 8, 0));
+});
+
+test('getNextRunTime runs weekly schedules on Mondays', () => {
+    const schedule = { frequency: 'weekly', time: '08:00' };
+    // Friday, May 10, 2024
+    assert.deepEqual(getNextRunTime(schedule, new Date(2024, 4, 10, 12, 0)), new Date(2024, 4, 13, 8, 0));
+    // Monday before and after the due time
+    assert.deepEqual(getNextRunTime(schedule, new Date(2024, 4, 13, 7, 0)), new Date(2024, 4, 13, 8, 0));
+    assert.deepEqual(getNextRunTime(schedule, new Date(2024, 4, 13, 9, 0)), new Date(2024, 4, 20, 8, 0));
+    // Sunday
+    assert.deepEqual(getNextRunTime(schedule, new Date(2024, 4, 19, 23, 0)), new Date(2024, 4, 20, 8, 0));
+});
+
+test('getNextRunTime runs monthly schedules on the first, across years', () => {
+    const schedule = { frequency: 'monthly', time: '06:00' };
+    assert.deepEqual(getNextRunTime(schedule, new Date(2024, 0, 31, 12, 0)), new Date(2024, 1, 1, 6, 0));
+    assert.deepEqual(getNextRunTime(schedule, new Date(2024, 2, 1, 5, 0)), new Date(2024, 2, 1, 6, 0));
+    assert.deepEqual(getNextRunTime(schedule, new Date(2024, 11, 15, 12, 0)), new Date(2025, 0, 1, 6, 0));
+});
+
+test('syncScheduleAlarms replaces alarms and catches up overdue runs soon', async () => {
+    const cleared = [];
+    const created = new Map();
+    globalThis.messenger = {
+        alarms: {
+            getAll: async () => [{ name: `${SCHEDULE_ALARM_PREFIX}old` }, { name: 'other' }],
+            clear: async name => cleared.push(name),
+            create: (name, info) => created.set(name, info)
+        }
+    };
+    try {
+        const now = Date.now();
+        await syncScheduleAlarms([
+            { id: 'due', schedule: { frequency: 'daily', time: '08:00' } },
+            { id: 'overdue', schedule: { frequency: 'daily', time: '08:00', since: '2020-01-01T00:00:00Z' } },
+            { id: 'unscheduled' }
+        ], { due: { lastAttemptAt: new Date(now).toISOString() } });
+
+        assert.deepEqual(cleared, [`${SCHEDULE_ALARM_PREFIX}old`]);
+        assert.deepEqual([...created.keys()], [`${SCHEDULE_ALARM_PREFIX}due`, `${SCHEDULE_ALARM_PREFIX}overdue`]);
+        const due = getNextRunTime({ time: '08:00' }, new Date(now)).getTime();
+        const { when } = created.get(`${SCHEDULE_ALARM_PREFIX}due`);
+        assert.ok(when >= due && when <= Math.max(due, Date.now() + 60 * 1000));
+        const catchUp = created.get(`${SCHEDULE_ALARM_PREFIX}overdue`).when - now;
+        assert.ok(catchUp >= 60 * 1000 && catchUp < 120 * 1000);
+    } finally {
+        delete globalThis.messenger;
+    }
+});
+
+test('normalizeDownloadFolder keeps downloads inside the downloads directory', () => {
+    assert.equal(normalizeDownloadFolder('Digests/Weekly'), 'Digests/Weekly');
+    assert.equal(normalizeDownloadFolder(' /Digests\\\\ Weekly /'), 'Digests/Weekly');
+    assert.equal(normalizeDownloadFolder('../../etc/./x'), 'etc/x');
+    assert.equal(normalizeDownloadFolder(''), '');
+    assert.equal(normalizeDownloadFolder(undefined), '');
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { packVectors, findSimilarPairs } from '../modules/similarity.js';
+import { seededRandom } from '../modules/utils.js';
+
+const random = seededRandom(2024);
+const gaussian = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+const DIMENSIONS = 48;
+
+function unit(vector) {
+    const length = Math.hypot(...vector);
+    return vector.map(value => value / length);
+}
+
+/**
+ * Builds a vector at exactly the given cosine similarity to a unit vector.
+ */
+function atSimilarity(base, similarity) {
+    const noise = Array.from({ length: base.length }, gaussian);
+    const along = noise.reduce((sum, value, d) => sum + value * base[d], 0);
+    const orthogonal = unit(noise.map((value, d) => value - along * base[d]));
+    return base.map((value, d) => similarity * value + Math.sqrt(1 - similarity * similarity) * orthogonal[d]);
+}
+
+/**
+ * 900 vectors in a few topics, with near duplicates just above and just
+ * below the thresholds tested, and some invalid entries.
+ */
+function buildFixture() {
+    const topics = Array.from({ length: 12 }, () => Array.from({ length: DIMENSIONS }, gaussian));
+    const embeddings = [];
+    while (embeddings.length < 900) {
+        const roll = random();
+        const previous = embeddings.filter(Boolean);
+        if (roll < 0.3 && previous.length > 0) {
+            const base = unit(previous[Math.floor(random() * previous.length)]);
+            const near = [0.8, 0.95, 0.99][Math.floor(random() * 3)] + (random() - 0.5) * 0.004;
+            embeddings.push(atSimilarity(base, Math.min(near, 1)));
+        } else if (roll < 0.32) {
+            embeddings.push([null, [], new Array(DIMENSIONS).fill(0), [1, 2, 3]][Math.floor(random() * 4)]);
+        } else {
+            const topic = topics[Math.floor(random() * topics.length)];
+            embeddings.push(topic.map(value => value + gaussian() * 0.8));
+        }
+    }
+    return embeddings;
+}
+
+function bruteForce(embeddings, threshold) {
+    const { data, valid, dimensions } = packVectors(embeddings);
+    const pairs = [];
+    for (let i = 0; i < valid.length; i++) {
+        for (let j = i + 1; j < valid.length; j++) {
+            if (!valid[i] || !valid[j]) continue;
+            let similarity = 0;
+            for (let d = 0; d < dimensions; d++) {
+                similarity += data[i * dimensions + d] * data[j * dimensions + d];
+            }
+            if (similarity > threshold) pairs.push(`${i}-${j}`);
+        }
+    }
+    return pairs;
+}
+
+const fixture = buildFixture();
+
+for (const threshold of [0.8, 0.95, 0.99]) {
+    test(`findSimilarPairs matches the exhaustive comparison at threshold ${threshold}`, () => {
+        const { data, valid, dimensions } = packVectors(fixture);
+        const pairs = findSimilarPairs(data, valid, dimensions, threshold);
+        const expected = bruteForce(fixture, threshold);
+
+        assert.ok(expected.length > 20, 'the fixture has pairs at this threshold');
+        assert.deepEqual(pairs.map(pair => `${pair.i}-${pair.j}`), expected);
+        assert.ok(pairs.every(pair => pair.similarity > threshold));
+    });
+}
+
+test('packVectors normalizes vectors and marks unusable ones invalid', () => {
+    const { data, valid, dimensions } = packVectors([[3, 4], null, [0, 0], [1, 2, 3], [0, 2]]);
+    assert.equal(dimensions, 2);
+    assert.deepEqual(Array.from(valid), [1, 0, 0, 0, 1]);
+    assert.deepEqual(Array.from(data.slice(0, 2)).map(value => Math.round(value * 1000) / 1000), [0.6, 0.8]);
+    assert.deepEqual(Array.from(data.slice(8, 10)), [0, 1]);
+});
+
+test('findSimilarPairs compares small inputs exhaustively', () => {
+    const { data, valid, dimensions } = packVectors([[1, 0], [0.99, 0.1], [0, 1], null]);
+    assert.deepEqual(findSimilarPairs(data, valid, dimensions, 0.9).map(({ i, j }) => [i, j]), [[0, 1]]);
+});
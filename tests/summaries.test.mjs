@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SummaryService, citationNumbers } from '../modules/summaries.js';
+
+/**
+ * A service whose chat model returns the given answers in turn.
+ */
+function withAnswers(answers) {
+    const service = new SummaryService({ provider: 'ollama', ollama: {} });
+    const prompts = [];
+    service.getOllamaCompletion = async (prompt) => {
+        prompts.push(prompt);
+        return answers[prompts.length - 1];
+    };
+    return { service, prompts };
+}
+
+test('citationNumbers reads the numbers of every citation in order', () => {
+    assert.deepEqual(citationNumbers('Agreed [3, 7], then [2] and [3].'), [3, 7, 2, 3]);
+    assert.deepEqual(citationNumbers('[12]'), [12]);
+    assert.deepEqual(citationNumbers('No [citations] here [1 2].'), []);
+    assert.deepEqual(citationNumbers(undefined), []);
+});
+
+test('request parses JSON answers wrapped in code fences or text', async () => {
+    const { service } = withAnswers(['Sure! ```json\n{"summary": " Shipped [1]. ", "decisions": []}\n``` Hope this helps.']);
+    assert.deepEqual(await service.request('prompt'), { summary: 'Shipped [1].', decisions: [] });
+});
+
+test('request uses answers that are not JSON as the summary', async () => {
+    const { service } = withAnswers(['```\nThe team agreed to ship {soon}.\n```', '']);
+    assert.deepEqual(await service.request('prompt'), { summary: 'The team agreed to ship {soon}.' });
+    assert.deepEqual(await service.request('prompt'), { summary: '' });
+});
+
+test('summarize maps citations to message IDs and merges repeated items', async () => {
+    const messages = [
+        { id: 'a', date: '2024-01-05T10:00:00Z', from: 'jane@corp.com', subject: 'Plan', body: 'Ship on Friday?' },
+        { id: 'b', date: '2024-01-06T10:00:00Z', from: 'bob@corp.com', subject: 'Re: Plan', body: 'Yes, Friday.' },
+        { id: 'c', date: '2024-02-01T10:00:00Z', from: 'jane@corp.com', subject: 'Retro', body: 'Book a room.' }
+    ];
+    const { service, prompts } = withAnswers([
+        JSON.stringify({
+            summary: 'They agreed to ship on Friday [1, 2].',
+            actionItems: [{ text: 'Book a room', owner: 'unknown', sources: [3] }],
+            decisions: [{ text: 'Ship on Friday', sources: [2, 9] }]
+        }),
+        JSON.stringify({
+            summary: 'A retro is planned.',
+            actionItems: [{ text: 'Book a room [3]', owner: 'Jane', sources: [] }, 'Send the agenda'],
+            decisions: []
+        }),
+        JSON.stringify({ summary: 'January shipped [2], February planned a retro [3].' })
+    ]);
+
+    const summary = await service.summarize(messages);
+
+    assert.equal(prompts.length, 3);
+    assert.deepEqual(summary.references, ['a', 'b', 'c']);
+    assert.deepEqual(summary.periods.map(period => period.sources), [['a', 'b'], ['c']]);
+    assert.deepEqual(summary.overview.sources, ['b', 'c']);
+    assert.deepEqual(summary.actionItems, [
+        { text: 'Book a room', sources: ['c'], owner: 'Jane' },
+        { text: 'Send the agenda', sources: [] }
+    ]);
+    assert.deepEqual(summary.decisions, [{ text: 'Ship on Friday', sources: ['b'] }]);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ThreadBuilder, parseMessageIds } from '../modules/threading.js';
+
+const builder = new ThreadBuilder();
+
+function message(id, subject, headers = {}) {
+    return { id, subject, date: `2024-01-0${id}T10:00:00Z`, messageId: `m${id}@example.com`, references: [], ...headers };
+}
+
+const byId = messages => Object.fromEntries(messages.map(m => [m.id, m]));
+
+test('parseMessageIds reads bracketed and bare IDs', () => {
+    assert.deepEqual(parseMessageIds('<a@x> <b@y>\r\n <c@z>'), ['a@x', 'b@y', 'c@z']);
+    assert.deepEqual(parseMessageIds('a@x b@y'), ['a@x', 'b@y']);
+    assert.deepEqual(parseMessageIds(undefined), []);
+});
+
+test('buildThreads links replies by In-Reply-To and References', () => {
+    const threads = byId(builder.buildThreads([
+        message(1, 'Plan'),
+        message(2, 'Re: Plan', { inReplyTo: 'm1@example.com' }),
+        // The parent is missing, so the closest known reference is used
+        message(3, 'Re: Re: Plan', { inReplyTo: 'missing@example.com', references: ['m1@example.com', 'm2@example.com', 'missing@example.com'] }),
+        message(4, 'Other')
+    ]));
+    assert.equal(threads[2].threadId, 'thread-1');
+    assert.deepEqual(threads[3].ancestorIds, [2, 1]);
+    assert.equal(threads[3].threadSubject, 'Plan');
+    assert.equal(threads[4].threadId, 'thread-4');
+});
+
+test('buildThreads falls back to the subject for replies only', () => {
+    const threads = byId(builder.buildThreads([
+        message(1, 'Budget'),
+        message(2, 'AW: Re[2]: budget'),
+        message(3, 'Budget')
+    ]));
+    assert.equal(threads[2].threadId, 'thread-1');
+    assert.equal(threads[3].threadId, 'thread-3');
+});
+
+test('buildThreads breaks reply loops from malformed headers', () => {
+    const threads = builder.buildThreads([
+        message(1, 'Loop', { inReplyTo: 'm2@example.com' }),
+        message(2, 'Re: Loop', { inReplyTo: 'm1@example.com' })
+    ]);
+    assert.equal(new Set(threads.map(m => m.threadId)).size, 1);
+    assert.ok(threads.every(m => m.ancestorIds.length <= 1));
+});
+
+test('groupThreads orders threads and their messages chronologically', () => {
+    const threads = builder.groupThreads(builder.buildThreads([
+        message(3, 'Re: Plan', { inReplyTo: 'm1@example.com' }),
+        message(2, 'Other'),
+        message(1, 'Plan')
+    ]));
+    assert.deepEqual(threads.map(t => [t.subject, t.messages.map(m => m.id)]), [['Plan', [1, 3]], ['Other', [2]]]);
+});